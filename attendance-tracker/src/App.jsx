@@ -1,60 +1,228 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar, Users, UserPlus, Search, Download, RefreshCw, CalendarDays } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, Users, UserPlus, Search, Download, RefreshCw, CalendarDays, LogOut, Clock, ChevronLeft, ChevronRight, History, Trash2, RotateCcw, X, WifiOff, Copy } from 'lucide-react';
+import { saveSnapshot, loadSnapshot, clearSnapshots, queueSubmission, listOutbox, updateOutboxEntry, removeOutboxEntry } from './offline';
 
 const API_BASE_URL = 'http://localhost:3001/api';
+const SESSION_KEY = 'attendance_session';
+const PAGE_SIZE = 50;
+
+const DEFAULT_TYPE_COLOR = '#374151';
+const NEW_ATTENDANCE_TYPE = { code: '', label: '', register_code: '', category: 'leave', paid: true, color: '#0F766E', needs_range: true };
+
+// Part of the day an attendance entry covers; half days count as half a day
+const DAY_SESSIONS = [
+  { value: 'full', label: 'Full day' },
+  { value: 'am', label: 'Half day (morning)' },
+  { value: 'pm', label: 'Half day (afternoon)' }
+];
+const SESSION_LABELS = { am: 'Morning', pm: 'Afternoon' };
+
+const NOTICE_COLORS = {
+  error: { backgroundColor: '#FEF2F2', borderColor: '#FCA5A5', color: '#B91C1C' },
+  success: { backgroundColor: '#ECFDF5', borderColor: '#6EE7B7', color: '#047857' },
+  info: { backgroundColor: '#EFF6FF', borderColor: '#93C5FD', color: '#1D4ED8' }
+};
+
+const OUTBOX_COLORS = {
+  pending: { backgroundColor: '#FFFBEB', borderColor: '#FCD34D', color: '#92400E' },
+  conflict: { backgroundColor: '#FEF2F2', borderColor: '#FCA5A5', color: '#B91C1C' }
+};
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
 
 function App() {
+  // Auth states
+  const [session, setSession] = useState(loadSession);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const isEmployee = session?.user.role === 'employee';
+  const canReview = session?.user.role === 'admin' || session?.user.role === 'manager';
+  const isAdmin = session?.user.role === 'admin';
+
+  const tabs = [
+    { id: 'add', label: 'Add Attendance' },
+    { id: 'track', label: 'Track Attendance' },
+    ...(canReview ? [
+      { id: 'dashboard', label: 'Dashboard' },
+      { id: 'approvals', label: 'Approvals' },
+      { id: 'compliance', label: 'Compliance' },
+      { id: 'directory', label: 'Directory' }
+    ] : []),
+    { id: 'register', label: 'Register' },
+    { id: 'feeds', label: 'Calendar Feeds' },
+    ...(isAdmin ? [{ id: 'import', label: 'Import' }, { id: 'types', label: 'Types' }, { id: 'trash', label: 'Trash' }] : [])
+  ];
+
   const [employees, setEmployees] = useState([]);
-  const [attendanceRecords, setAttendanceRecords] = useState([]);
   const [activeTab, setActiveTab] = useState('add');
   const [loading, setLoading] = useState(false);
+
+  // Inline messages: notice is { type: 'error' | 'success' | 'info', text } and
+  // fieldErrors maps a request field (e.g. emp_id) to the problem with it
+  const [notice, setNotice] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Offline states: outbox holds this user's submissions queued while offline (see offline.js)
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [outbox, setOutbox] = useState([]);
+  const syncingOutbox = useRef(false);
   
   // Form states
   const [empId, setEmpId] = useState('');
   const [empName, setEmpName] = useState('');
-  const [attendanceType, setAttendanceType] = useState('WFO');
+  const [attendanceType, setAttendanceType] = useState('');
+  const [daySession, setDaySession] = useState('full');
   const [selectedFromDate, setSelectedFromDate] = useState(new Date().toISOString().split('T')[0]);
   const [selectedToDate, setSelectedToDate] = useState(new Date().toISOString().split('T')[0]);
   const [isDateRange, setIsDateRange] = useState(false);
+  const [leaveBalances, setLeaveBalances] = useState([]);
+  const [clockStatus, setClockStatus] = useState(null);
   
   // Search states
   const [searchEmpId, setSearchEmpId] = useState('');
+  const [searchName, setSearchName] = useState('');
+  const [searchTypes, setSearchTypes] = useState([]);
+  const [searchDepartment, setSearchDepartment] = useState('');
+  const [searchTeam, setSearchTeam] = useState('');
+  const [searchMyReports, setSearchMyReports] = useState(false);
+  const [departments, setDepartments] = useState([]);
   const [filteredRecords, setFilteredRecords] = useState([]);
   const [showAllRecords, setShowAllRecords] = useState(false);
 
-  const attendanceTypes = [
-    'WFO', 'WFH', 'Emergency Leave', 'Sick Leave', 
-    'Planned Leave', 'Maternity Leave', 'Paternity Leave', 
-    'Casual Leave', 'Annual Leave', 'Compensatory Off'
-  ];
+  // Paging states (trackFilters are the filters behind the loaded pages)
+  const [trackFilters, setTrackFilters] = useState({});
+  const [sortOrder, setSortOrder] = useState('-date');
+  const [recordsTotal, setRecordsTotal] = useState(0);
+  const [hasMoreRecords, setHasMoreRecords] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportMonth, setExportMonth] = useState(new Date().toISOString().slice(0, 7));
+
+  // Revision history of the selected record
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+
+  // Approval states
+  const [leaveRequests, setLeaveRequests] = useState([]);
+
+  // Trash states
+  const [trashRecords, setTrashRecords] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null);
+
+  // Directory states: the list is filtered in the browser, profile is the open employee
+  // and profileForm holds the admin's unsaved edits to it
+  const [directorySearch, setDirectorySearch] = useState('');
+  const [directoryStatus, setDirectoryStatus] = useState('active');
+  const [profile, setProfile] = useState(null);
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileRecords, setProfileRecords] = useState([]);
+
+  // Dashboard states (defaults to the last 30 days)
+  const [dashboardStart, setDashboardStart] = useState(
+    new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+  );
+  const [dashboardEnd, setDashboardEnd] = useState(new Date().toISOString().split('T')[0]);
+  const [dashboardGroup, setDashboardGroup] = useState('daily');
+  const [dashboard, setDashboard] = useState(null);
+
+  // Compliance states
+  const [complianceMonth, setComplianceMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [complianceTeam, setComplianceTeam] = useState('');
+  const [compliance, setCompliance] = useState(null);
+
+  // Register states
+  const [registerMonth, setRegisterMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [register, setRegister] = useState(null);
+
+  // Import states
+  const [importKind, setImportKind] = useState('attendance');
+  const [importFile, setImportFile] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  // Defaults for leave events that do not name the employee or leave type
+  const [importEmpId, setImportEmpId] = useState('');
+  const [importLeaveType, setImportLeaveType] = useState('');
+
+  // Calendar feed states
+  const [calendarFeeds, setCalendarFeeds] = useState([]);
+  const [newFeed, setNewFeed] = useState({ scope: 'employee', emp_id: '', team_id: '', include_presence: false });
+
+  // Attendance type catalogue from the server (inactive types only appear on old records)
+  const [attendanceTypes, setAttendanceTypes] = useState([]);
+  const [newAttendanceType, setNewAttendanceType] = useState(NEW_ATTENDANCE_TYPE);
+  const activeTypes = attendanceTypes.filter(type => type.active);
+  const findType = (code) => attendanceTypes.find(type => type.code === code);
 
   // Check if attendance type is a leave type
-  const isLeaveType = (type) => {
-    return type.includes('Leave') || type === 'Compensatory Off';
-  };
+  const isLeaveType = (code) => findType(code)?.category === 'leave';
 
   // Update date range mode when attendance type changes
   useEffect(() => {
-    setIsDateRange(isLeaveType(attendanceType));
-    if (!isLeaveType(attendanceType)) {
+    const needsRange = !!attendanceTypes.find(type => type.code === attendanceType)?.needs_range;
+    setIsDateRange(needsRange);
+    if (!needsRange) {
       setSelectedToDate(selectedFromDate);
     }
-  }, [attendanceType, selectedFromDate]);
+  }, [attendanceTypes, attendanceType, selectedFromDate]);
+
+  // Error from the server's { error, code, details } envelope
+  const responseError = async (response, fallback) => {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || fallback);
+    error.code = errorData.code;
+    error.status = response.status;
+    error.details = errorData.details || [];
+    return error;
+  };
+
+  // Show a failed action inline: invalid fields next to their inputs, the message in the notice
+  const showError = (action, error) => {
+    setFieldErrors(Object.fromEntries((error.details || []).map(detail => [detail.field, detail.message])));
+    setNotice({ type: 'error', text: `${action}: ${error.message}` });
+  };
+
+  const showNotice = (type, text) => {
+    setFieldErrors({});
+    setNotice({ type, text });
+  };
+
+  const clearMessages = () => {
+    setNotice(null);
+    setFieldErrors({});
+  };
 
   // API Functions
   const apiCall = async (url, options = {}) => {
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers
-        },
-        ...options
-      });
+      let response;
+      try {
+        response = await fetch(`${API_BASE_URL}${url}`, {
+          ...options,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+            ...options.headers
+          }
+        });
+      } catch {
+        // fetch only rejects when the server could not be reached
+        const error = new Error('You appear to be offline');
+        error.code = 'OFFLINE';
+        throw error;
+      }
+
+      if (response.status === 401 && session) {
+        handleLogout();
+        throw new Error('Your session has expired, please log in again');
+      }
       
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'API request failed');
+        throw await responseError(response, 'API request failed');
       }
       
       return await response.json();
@@ -64,127 +232,447 @@ function App() {
     }
   };
 
+  const handleLogin = async () => {
+    if (!username || !password) {
+      setFieldErrors({
+        ...(!username && { username: 'is required' }),
+        ...(!password && { password: 'is required' })
+      });
+      setNotice({ type: 'error', text: 'Please enter your username and password' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      clearMessages();
+      const data = await apiCall('/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ username, password })
+      });
+      localStorage.setItem(SESSION_KEY, JSON.stringify(data));
+      setSession(data);
+      setPassword('');
+    } catch (error) {
+      showError('Login failed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLogout = () => {
+    localStorage.removeItem(SESSION_KEY);
+    clearSnapshots().catch(() => {});
+    setSession(null);
+    setOutbox([]);
+    setEmployees([]);
+    setFilteredRecords([]);
+    setEmpId('');
+    setEmpName('');
+  };
+
   const fetchEmployees = async () => {
     try {
-      const data = await apiCall('/employees');
+      let data;
+      try {
+        data = await apiCall('/employees');
+        saveSnapshot('employees', data).catch(() => {});
+      } catch (error) {
+        // Offline, the last list fetched on this device will do
+        data = error.code === 'OFFLINE' ? await loadSnapshot('employees') : null;
+        if (!data) throw error;
+      }
       setEmployees(data);
+
+      // Employees can only record their own attendance
+      if (isEmployee) {
+        setEmpId(session.user.emp_id);
+        setEmpName(data[0]?.name || '');
+      }
+    } catch (error) {
+      showError('Failed to fetch employees', error);
+    }
+  };
+
+  const fetchAttendanceTypes = async () => {
+    try {
+      let data;
+      try {
+        data = await apiCall('/attendance-types');
+        saveSnapshot('attendance-types', data).catch(() => {});
+      } catch (error) {
+        data = error.code === 'OFFLINE' ? await loadSnapshot('attendance-types') : null;
+        if (!data) throw error;
+      }
+      setAttendanceTypes(data);
+
+      // Keep the form on an active type
+      setAttendanceType(current => data.some(type => type.code === current && type.active)
+        ? current
+        : data.find(type => type.active)?.code || '');
+    } catch (error) {
+      showError('Failed to fetch attendance types', error);
+    }
+  };
+
+  const fetchDepartments = async () => {
+    try {
+      setDepartments(await apiCall('/departments'));
     } catch (error) {
-      alert('Failed to fetch employees: ' + error.message);
+      showError('Failed to fetch departments', error);
     }
   };
 
+  const buildTrackParams = (filters, sort, offset) => {
+    const params = new URLSearchParams({ sort, offset, limit: PAGE_SIZE });
+    Object.entries(filters).forEach(([key, value]) => value && params.set(key, value));
+    return params;
+  };
+
+  // Load the first page for a set of filters and sort order, replacing the results
+  const fetchAttendancePage = async (filters, sort = sortOrder) => {
+    const data = await apiCall(`/attendance?${buildTrackParams(filters, sort, 0)}`);
+    setTrackFilters(filters);
+    setFilteredRecords(data.records);
+    setRecordsTotal(data.total);
+    setHasMoreRecords(data.has_more);
+    return data;
+  };
+
   const fetchAllAttendance = async () => {
     try {
       setLoading(true);
-      const data = await apiCall('/attendance');
-      setAttendanceRecords(data);
-      setFilteredRecords(data);
+      await fetchAttendancePage({});
+    } catch (error) {
+      showError('Failed to fetch attendance records', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Append the next page (infinite scroll / Load more)
+  const fetchMoreAttendance = async () => {
+    if (!hasMoreRecords || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const data = await apiCall(`/attendance?${buildTrackParams(trackFilters, sortOrder, filteredRecords.length)}`);
+      setFilteredRecords(records => [...records, ...data.records]);
+      setRecordsTotal(data.total);
+      setHasMoreRecords(data.has_more);
+    } catch (error) {
+      showError('Failed to load more records', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleRecordsScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollHeight - scrollTop - clientHeight < 100) {
+      fetchMoreAttendance();
+    }
+  };
+
+  const handleSort = async (field) => {
+    const nextSort = sortOrder === field ? `-${field}` : field;
+    setSortOrder(nextSort);
+
+    try {
+      setLoading(true);
+      await fetchAttendancePage(trackFilters, nextSort);
+    } catch (error) {
+      showError('Failed to sort records', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showRecordHistory = async (record) => {
+    try {
+      const entries = await apiCall(`/attendance/${record.id}/history`);
+      setHistoryRecord(record);
+      setHistoryEntries(entries);
+    } catch (error) {
+      showError('Failed to load history', error);
+    }
+  };
+
+  const handleDeleteRecord = async (record) => {
+    if (!window.confirm(`Move ${record.attendance_type} for ${record.emp_name} on ${record.date} to the trash?`)) return;
+
+    try {
+      setLoading(true);
+      await apiCall(`/attendance/${record.id}`, { method: 'DELETE' });
+      setFilteredRecords(records => records.filter(r => r.id !== record.id));
+      setRecordsTotal(total => total - 1);
+      if (historyRecord?.id === record.id) setHistoryRecord(null);
     } catch (error) {
-      alert('Failed to fetch attendance records: ' + error.message);
+      showError('Failed to delete record', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
   useEffect(() => {
+    if (!session) return;
+    fetchAttendanceTypes();
     fetchEmployees();
     fetchAllAttendance();
+    if (!isEmployee) fetchDepartments();
+  }, [session]);
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
   }, []);
 
-  const getDateRange = (startDate, endDate) => {
-    const dates = [];
-    const currentDate = new Date(startDate);
-    const lastDate = new Date(endDate);
+  const refreshOutbox = async () => {
+    setOutbox(session ? await listOutbox(session.user.username) : []);
+  };
+
+  // Send queued submissions in the order they were made. queued_at lets the server refuse
+  // one whose dates were changed in the meantime; those stay in the outbox as conflicts
+  // until they are overwritten or discarded.
+  const syncOutbox = async () => {
+    if (!session || syncingOutbox.current) return;
+    syncingOutbox.current = true;
+
+    let sent = 0;
+    try {
+      const entries = await listOutbox(session.user.username);
+      for (const entry of entries.filter(item => item.status === 'pending')) {
+        try {
+          await apiCall(entry.path, {
+            method: 'POST',
+            body: JSON.stringify(entry.overwrite ? entry.body : { ...entry.body, queued_at: entry.queued_at })
+          });
+          await removeOutboxEntry(entry.id);
+          sent++;
+        } catch (error) {
+          // Still offline, the server is struggling or the session ended: try again later
+          if (error.code === 'OFFLINE' || !error.status || error.status >= 500 || error.status === 401) break;
+          await updateOutboxEntry({ ...entry, status: 'conflict', error: error.message, code: error.code || null });
+        }
+      }
+    } finally {
+      syncingOutbox.current = false;
+      await refreshOutbox();
+    }
 
-    while (currentDate <= lastDate) {
-      dates.push(new Date(currentDate).toISOString().split('T')[0]);
-      currentDate.setDate(currentDate.getDate() + 1);
+    if (sent > 0) {
+      showNotice('success', `${sent} ${sent === 1 ? 'submission' : 'submissions'} saved offline ${sent === 1 ? 'was' : 'were'} sent`);
+      fetchEmployees();
+      if (showAllRecords) fetchAttendancePage(trackFilters).catch(() => {});
     }
-    
-    return dates;
+  };
+
+  useEffect(() => {
+    if (!session) return;
+    if (isOnline) {
+      syncOutbox();
+    } else {
+      refreshOutbox();
+    }
+  }, [session, isOnline]);
+
+  // Overwrite sends a conflicting submission again without queued_at, so it replaces the newer record
+  const resolveOutboxEntry = async (entry, action) => {
+    if (action === 'discard') {
+      await removeOutboxEntry(entry.id);
+    } else {
+      await updateOutboxEntry({ ...entry, status: 'pending', error: null, code: null, overwrite: action === 'overwrite' });
+    }
+    await refreshOutbox();
+    if (action !== 'discard' && isOnline) syncOutbox();
+  };
+
+  // Keep a submission that could not be sent, replacing an older pending one for the same dates
+  const queueOffline = async (path, body) => {
+    const sameDates = (entry) => entry.path === path && entry.status === 'pending' &&
+      entry.body.emp_id === body.emp_id && entry.body.date === body.date &&
+      entry.body.start_date === body.start_date && entry.body.end_date === body.end_date &&
+      entry.body.session === body.session;
+    const entries = await listOutbox(session.user.username);
+    await Promise.all(entries.filter(sameDates).map(entry => removeOutboxEntry(entry.id)));
+    await queueSubmission(session.user.username, path, body);
+    await refreshOutbox();
+  };
+
+  // Leave balances and clock status for the employee in the form, once they match a known employee
+  useEffect(() => {
+    if (!session || !employees.some(emp => emp.emp_id === empId)) {
+      setLeaveBalances([]);
+      setClockStatus(null);
+      return;
+    }
+
+    apiCall(`/leave/balances/${encodeURIComponent(empId)}`)
+      .then(setLeaveBalances)
+      .catch(() => setLeaveBalances([]));
+    apiCall(`/clock/status/${encodeURIComponent(empId)}`)
+      .then(setClockStatus)
+      .catch(() => setClockStatus(null));
+  }, [session, employees, empId]);
+
+  const handleClock = async (action) => {
+    try {
+      setLoading(true);
+      const data = await apiCall(`/clock/${action}`, {
+        method: 'POST',
+        body: JSON.stringify({
+          emp_id: empId,
+          // Leave types fall back to the server's default presence type
+          attendance_type: isLeaveType(attendanceType) ? undefined : attendanceType
+        })
+      });
+      setClockStatus(data);
+    } catch (error) {
+      showError('Failed to update clock', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+  // Working days in the range according to the employee's holiday calendar
+  const getWorkingDays = async (startDate, endDate) => {
+    const params = new URLSearchParams({ emp_id: empId, start_date: startDate, end_date: endDate });
+    return apiCall(`/working-days?${params}`);
   };
 
   const handleAddAttendance = async () => {
     if (!empId || !empName) {
-      alert('Please fill in all required fields');
+      setFieldErrors({
+        ...(!empId && { emp_id: 'is required' }),
+        ...(!empName && { emp_name: 'is required' })
+      });
+      setNotice({ type: 'error', text: 'Please fill in all required fields' });
       return;
     }
 
     if (isDateRange && new Date(selectedFromDate) > new Date(selectedToDate)) {
-      alert('From Date cannot be later than To Date');
+      setFieldErrors({ end_date: 'must not be before the From Date' });
+      setNotice({ type: 'error', text: 'From Date cannot be later than To Date' });
       return;
     }
 
     try {
       setLoading(true);
+      clearMessages();
       
-      const dates = isDateRange ? 
-        getDateRange(selectedFromDate, selectedToDate) : 
-        [selectedFromDate];
+      // Without a connection the range is not checked here; the server still skips
+      // weekends and holidays when the queued submission is sent
+      const workingDays = isDateRange && isOnline
+        ? await getWorkingDays(selectedFromDate, selectedToDate).catch(error => {
+          if (error.code === 'OFFLINE') return null;
+          throw error;
+        })
+        : null;
+
+      if (workingDays) {
+        const { working_days, skipped } = workingDays;
 
-      if (dates.length > 1) {
-        const confirmMsg = `This will create ${dates.length} attendance records from ${selectedFromDate} to ${selectedToDate}. Continue?`;
-        if (!window.confirm(confirmMsg)) {
+        if (working_days.length === 0) {
+          showNotice('error', 'There are no working days in the selected range');
           setLoading(false);
           return;
         }
+
+        if (working_days.length > 1 || skipped.length > 0) {
+          const skippedText = skipped.length > 0 ? ` (${skipped.length} weekend/holiday days skipped)` : '';
+          const confirmMsg = `This will create ${working_days.length} attendance records from ${selectedFromDate} to ${selectedToDate}${skippedText}. Continue?`;
+          if (!window.confirm(confirmMsg)) {
+            setLoading(false);
+            return;
+          }
+        }
       }
 
-      const promises = dates.map(date => {
-        const attendanceData = {
-          emp_id: empId,
-          emp_name: empName,
-          attendance_type: attendanceType,
-          date: date
-        };
-
-        return apiCall('/attendance', {
-          method: 'POST',
-          body: JSON.stringify(attendanceData)
-        });
-      });
+      // The server expands a range and saves every day in one transaction
+      const path = isDateRange ? '/attendance/range' : '/attendance';
+      const body = {
+        emp_id: empId,
+        emp_name: empName,
+        attendance_type: attendanceType,
+        ...(isDateRange ? { start_date: selectedFromDate, end_date: selectedToDate } : { date: selectedFromDate }),
+        ...(daySession !== 'full' && { session: daySession })
+      };
 
-      await Promise.all(promises);
+      let data;
+      try {
+        data = await apiCall(path, { method: 'POST', body: JSON.stringify(body) });
+      } catch (error) {
+        if (error.code !== 'OFFLINE') throw error;
+        await queueOffline(path, body);
+        showNotice('info', 'You are offline. The attendance was saved on this device and will be sent when you are back online.');
+        return;
+      }
+      const savedCount = isDateRange ? data.saved : 1;
+      const savedDays = daySession === 'full' ? savedCount : savedCount / 2;
+      const warning = data.warning;
 
-      setEmpId('');
-      setEmpName('');
-      setAttendanceType('WFO');
+      if (!isEmployee) {
+        setEmpId('');
+        setEmpName('');
+      }
+      setAttendanceType(activeTypes[0]?.code || '');
+      setDaySession('full');
       setSelectedFromDate(new Date().toISOString().split('T')[0]);
       setSelectedToDate(new Date().toISOString().split('T')[0]);
       
       await fetchEmployees();
       if (showAllRecords) {
-        await fetchAllAttendance();
+        await fetchAttendancePage(trackFilters);
       }
       
-      const recordText = dates.length > 1 ? `${dates.length} attendance records` : 'Attendance record';
-      alert(`${recordText} added successfully!`);
+      const recordText = savedCount > 1 ? `${savedCount} attendance records` : 'Attendance record';
+      const successText = isLeaveType(attendanceType)
+        ? `Leave request for ${savedDays} ${savedDays === 1 ? 'day' : 'days'} submitted for approval!`
+        : `${recordText} added successfully!`;
+      showNotice(warning ? 'info' : 'success', `${successText}${warning ? ` Warning: ${warning}` : ''}`);
     } catch (error) {
-      alert('Failed to add attendance: ' + error.message);
+      showError('Failed to add attendance', error);
     } finally {
       setLoading(false);
     }
   };
 
   const handleSearchEmployee = async () => {
-    if (!searchEmpId) {
-      alert('Please enter Employee ID');
+    if (!searchEmpId && !searchName && searchTypes.length === 0 && !searchDepartment && !searchTeam && !searchMyReports) {
+      showNotice('error', 'Please enter an Employee ID, a name, or choose attendance types or part of the organization');
       return;
     }
 
     try {
       setLoading(true);
-      const data = await apiCall(`/attendance/${searchEmpId}`);
+      const data = await fetchAttendancePage({
+        emp_id: searchEmpId,
+        name: searchName,
+        attendance_type: searchTypes.join(','),
+        department_id: searchDepartment,
+        team_id: searchTeam,
+        manager_id: searchMyReports ? session.user.emp_id : ''
+      });
+      setShowAllRecords(false);
       
-      if (data.length === 0) {
-        alert('No records found for this Employee ID');
-        setFilteredRecords([]);
+      if (data.total === 0) {
+        showNotice('info', 'No records found for this search');
       } else {
-        setFilteredRecords(data);
-        setShowAllRecords(false);
+        clearMessages();
       }
     } catch (error) {
-      alert('Failed to search employee: ' + error.message);
+      showError('Failed to search employee', error);
       setFilteredRecords([]);
     } finally {
       setLoading(false);
@@ -194,277 +682,2214 @@ function App() {
   const handleGetAllDetails = async () => {
     setShowAllRecords(true);
     setSearchEmpId('');
+    setSearchName('');
+    setSearchTypes([]);
+    setSearchDepartment('');
+    setSearchTeam('');
+    setSearchMyReports(false);
     await fetchAllAttendance();
   };
 
-  const getAttendanceTypeColor = (type) => {
-    const colors = {
-      'WFO': 'bg-green-100 text-green-800',
-      'WFH': 'bg-blue-100 text-blue-800',
-      'Emergency Leave': 'bg-red-100 text-red-800',
-      'Sick Leave': 'bg-orange-100 text-orange-800',
-      'Planned Leave': 'bg-purple-100 text-purple-800',
-      'Maternity Leave': 'bg-pink-100 text-pink-800',
-      'Paternity Leave': 'bg-indigo-100 text-indigo-800',
-      'Casual Leave': 'bg-yellow-100 text-yellow-800',
-      'Annual Leave': 'bg-teal-100 text-teal-800',
-      'Compensatory Off': 'bg-gray-100 text-gray-800'
-    };
-    return colors[type] || 'bg-gray-100 text-gray-800';
+  const toggleSearchType = (type) => {
+    setSearchTypes(types => types.includes(type) ? types.filter(t => t !== type) : [...types, type]);
   };
 
-  const exportToCSV = () => {
-    if (filteredRecords.length === 0) {
-      alert('No data to export');
-      return;
+  const fetchLeaveRequests = async () => {
+    try {
+      setLoading(true);
+      const data = await apiCall('/leave/requests?status=pending');
+      setLeaveRequests(data);
+    } catch (error) {
+      showError('Failed to fetch leave requests', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'approvals') {
+      fetchLeaveRequests();
     }
+  }, [activeTab]);
 
-    const csvContent = [
-      ['Employee ID', 'Employee Name', 'Attendance Type', 'Date'],
-      ...filteredRecords.map(record => [
-        record.emp_id,
-        record.emp_name,
-        record.attendance_type,
-        record.date
-      ])
-    ].map(row => row.join(',')).join('\n');
+  const handleReviewLeave = async (request, decision) => {
+    const comment = window.prompt(
+      `${decision === 'approve' ? 'Approve' : 'Reject'} ${request.attendance_type} for ${request.emp_name}? Optional comment:`
+    );
+    if (comment === null) return;
 
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'attendance_records.csv';
-    a.click();
-    window.URL.revokeObjectURL(url);
+    try {
+      setLoading(true);
+      const data = await apiCall(`/leave/requests/${request.leave_request_id}/${decision}`, {
+        method: 'POST',
+        body: JSON.stringify({ comment: comment || undefined })
+      });
+      if (data.warning) showNotice('info', `${data.message}. Warning: ${data.warning}`);
+      setLeaveRequests(leaveRequests.filter(r => r.leave_request_id !== request.leave_request_id));
+    } catch (error) {
+      showError('Failed to review leave request', error);
+    } finally {
+      setLoading(false);
+    }
   };
 
-  return (
-    <div style={{
-      minHeight: '100vh',
-      background: 'linear-gradient(135deg, #4F46E5 0%, #3B82F6 100%)',
-      padding: '20px',
-      fontFamily: 'system-ui, -apple-system, sans-serif'
-    }}>
-      <div style={{ maxWidth: '600px', margin: '0 auto' }}>
-    
-        {/* Main Card Container */}
-        <div style={{
-          background: 'white',
-          borderRadius: '12px',
-          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
-          padding: '30px',
-          maxWidth: '450px',
-          margin: '0 auto'
-        }}>
-          {/* Navigation Tabs */}
-          <div style={{ display: 'flex', marginBottom: '30px' }}>
-            <button
-              onClick={() => setActiveTab('add')}
-              style={{
-                flex: 1,
-                padding: '12px 16px',
-                borderTopLeftRadius: '8px',
-                borderBottomLeftRadius: '8px',
-                fontWeight: '600',
-                fontSize: '14px',
-                border: 'none',
-                cursor: 'pointer',
-                transition: 'all 0.2s',
-                backgroundColor: activeTab === 'add' ? '#4F46E5' : '#F3F4F6',
-                color: activeTab === 'add' ? 'white' : '#6B7280'
-              }}
-            >
-              Add Attendance
-            </button>
-            <button
-              onClick={() => setActiveTab('track')}
-              style={{
-                flex: 1,
-                padding: '12px 16px',
-                borderTopRightRadius: '8px',
-                borderBottomRightRadius: '8px',
-                fontWeight: '600',
-                fontSize: '14px',
-                border: 'none',
-                cursor: 'pointer',
-                transition: 'all 0.2s',
-                backgroundColor: activeTab === 'track' ? '#4F46E5' : '#F3F4F6',
-                color: activeTab === 'track' ? 'white' : '#6B7280'
-              }}
-            >
-              Track Attendance
-            </button>
-          </div>
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const data = await apiCall('/attendance/trash');
+      setTrashRecords(data.records);
+      setTrashRetentionDays(data.retention_days);
+    } catch (error) {
+      showError('Failed to fetch trash', error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-          {/* Add Attendance Tab */}
-          {activeTab === 'add' && (
-            <div>
-              <h2 style={{ 
-                fontSize: '24px', 
-                fontWeight: '600', 
-                color: '#1F2937', 
-                marginBottom: '24px', 
-                textAlign: 'center' 
-              }}>
-                Welcome! Stay present, achieve more
-              </h2>
-              
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-                {/* Employee ID */}
-                <input
-                  type="text"
-                  value={empId}
-                  onChange={(e) => setEmpId(e.target.value)}
-                  placeholder="Employee ID"
-                  list="employees-list"
-                  style={{
-                    width: '100%',
-                    padding: '12px 16px',
-                    border: '2px solid #E5E7EB',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    boxSizing: 'border-box',
-                    outline: 'none',
-                    transition: 'border-color 0.2s'
-                  }}
-                  onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
-                  onBlur={(e) => e.target.style.borderColor = '#E5E7EB'}
-                />
-                <datalist id="employees-list">
-                  {employees.map(emp => (
-                    <option key={emp.emp_id} value={emp.emp_id}>
-                      {emp.name}
-                    </option>
-                  ))}
-                </datalist>
+  useEffect(() => {
+    if (activeTab === 'trash') {
+      fetchTrash();
+    }
+  }, [activeTab]);
 
-                {/* Employee Name */}
-                <input
+  // Restore a record, or delete it for good once confirmed
+  const handleTrashAction = async (record, action) => {
+    if (action === 'purge' && !window.confirm(`Permanently delete ${record.attendance_type} for ${record.emp_name} on ${record.date}?`)) return;
+
+    try {
+      setLoading(true);
+      const data = await apiCall(
+        action === 'restore' ? `/attendance/${record.id}/restore` : `/attendance/trash/${record.id}`,
+        { method: action === 'restore' ? 'POST' : 'DELETE' }
+      );
+      setTrashRecords(trashRecords.filter(r => r.id !== record.id));
+      if (data.warning) showNotice('info', `${data.message}. Warning: ${data.warning}`);
+    } catch (error) {
+      showError(`Failed to ${action} record`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const directoryEmployees = employees.filter(emp => {
+    if (directoryStatus !== 'all' && emp.active !== (directoryStatus === 'active')) return false;
+    const term = directorySearch.trim().toLowerCase();
+    return !term || [emp.emp_id, emp.name, emp.email, emp.department_name, emp.team_name, emp.manager_name]
+      .some(value => value?.toLowerCase().includes(term));
+  });
+
+  // Editable profile fields as form values ('' for empty)
+  const toProfileForm = (employee) => ({
+    emp_id: employee.emp_id,
+    name: employee.name,
+    email: employee.email || '',
+    department_id: employee.department_id ? String(employee.department_id) : '',
+    team_id: employee.team_id ? String(employee.team_id) : '',
+    manager_id: employee.manager_id || '',
+    join_date: employee.join_date || '',
+    exit_date: employee.exit_date || ''
+  });
+
+  const openProfile = async (id) => {
+    try {
+      setLoading(true);
+      clearMessages();
+      const [employee, records] = await Promise.all([
+        apiCall(`/employees/${encodeURIComponent(id)}`),
+        apiCall(`/attendance?${new URLSearchParams({ emp_id: id, sort: '-date', limit: 10 })}`)
+      ]);
+      setProfile(employee);
+      setProfileForm(toProfileForm(employee));
+      setProfileRecords(records.records);
+    } catch (error) {
+      showError('Failed to load employee', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Send changes to the open employee and reload it (under its new ID if that changed)
+  const updateProfile = async (changes, action) => {
+    try {
+      setLoading(true);
+      const data = await apiCall(`/employees/${encodeURIComponent(profile.emp_id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+      await fetchEmployees();
+      await openProfile(data.emp_id);
+      showNotice('success', data.message);
+    } catch (error) {
+      showError(`Failed to ${action}`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveProfile = () => {
+    const { emp_id, department_id, team_id, ...fields } = profileForm;
+    updateProfile({
+      ...(emp_id !== profile.emp_id && { emp_id }),
+      // Blank fields are cleared
+      ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value.trim() || null])),
+      department_id: department_id ? Number(department_id) : null,
+      team_id: team_id ? Number(team_id) : null
+    }, 'save employee');
+  };
+
+  const handleDeleteEmployee = async () => {
+    if (!window.confirm(`Delete ${profile.name} (${profile.emp_id})? Only employees without any attendance can be deleted.`)) return;
+
+    try {
+      setLoading(true);
+      await apiCall(`/employees/${encodeURIComponent(profile.emp_id)}`, { method: 'DELETE' });
+      setProfile(null);
+      await fetchEmployees();
+      showNotice('success', `${profile.name} was deleted`);
+    } catch (error) {
+      showError('Failed to delete employee', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDashboard = async (startDate, endDate, group) => {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate, group });
+
+    try {
+      setLoading(true);
+      setDashboard(await apiCall(`/stats?${params}`));
+    } catch (error) {
+      showError('Failed to fetch statistics', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'dashboard' && dashboardStart && dashboardEnd) {
+      fetchDashboard(dashboardStart, dashboardEnd, dashboardGroup);
+    }
+  }, [activeTab, dashboardStart, dashboardEnd, dashboardGroup]);
+
+  // Horizontal bar chart rows: [{ key, label, value, color, detail }]
+  const renderBars = (items) => {
+    const max = Math.max(1, ...items.map(item => item.value));
+    return items.map(item => (
+      <div key={item.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px', fontSize: '13px' }}>
+        <span style={{ width: '110px', color: '#374151', flexShrink: 0 }}>{item.label}</span>
+        <div style={{ flex: 1, backgroundColor: '#F3F4F6', borderRadius: '4px', height: '14px' }}>
+          <div style={{
+            width: `${(item.value / max) * 100}%`,
+            height: '100%',
+            borderRadius: '4px',
+            backgroundColor: item.color || '#4F46E5'
+          }} />
+        </div>
+        <span style={{ width: '70px', textAlign: 'right', color: '#6B7280', flexShrink: 0 }}>{item.detail ?? item.value}</span>
+      </div>
+    ));
+  };
+
+  // Evaluate everyone (or one team) against their work policy for a whole month
+  const fetchCompliance = async (month, teamId) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const params = new URLSearchParams({ start_date: `${month}-01`, end_date: `${month}-${lastDay}` });
+    if (teamId) params.set('team_id', teamId);
+
+    try {
+      setLoading(true);
+      setCompliance(await apiCall(`/compliance?${params}`));
+    } catch (error) {
+      showError('Failed to evaluate compliance', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'compliance') {
+      fetchCompliance(complianceMonth, complianceTeam);
+    }
+  }, [activeTab, complianceMonth, complianceTeam]);
+
+  const fetchRegister = async (month) => {
+    try {
+      setLoading(true);
+      const data = await apiCall(`/reports/monthly?month=${month}`);
+      setRegister(data);
+    } catch (error) {
+      showError('Failed to fetch monthly register', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'register') {
+      fetchRegister(registerMonth);
+    }
+  }, [activeTab, registerMonth]);
+
+  const shiftMonth = (value, delta) => {
+    const [year, month] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+  };
+
+  const shiftRegisterMonth = (delta) => setRegisterMonth(shiftMonth(registerMonth, delta));
+
+  const handleImport = async (mode) => {
+    if (!importFile) {
+      showNotice('error', importKind === 'leave' ? 'Please choose an iCalendar (.ics) file' : 'Please choose a CSV or XLSX file');
+      return;
+    }
+
+    if (mode === 'commit') {
+      const { insert, update } = importReport.summary;
+      if (!window.confirm(`This will add ${insert} and update ${update} ${importKind} rows. Continue?`)) {
+        return;
+      }
+    }
+
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ kind: importKind, mode, filename: importFile.name });
+      if (importKind === 'leave') {
+        if (importEmpId) params.set('emp_id', importEmpId);
+        if (importLeaveType) params.set('attendance_type', importLeaveType);
+      }
+      const data = await apiCall(`/import?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': importFile.type || 'application/octet-stream' },
+        body: importFile
+      });
+      setImportReport(data);
+
+      if (mode === 'commit') {
+        showNotice('success', `${data.applied} rows imported successfully!`);
+        await fetchEmployees();
+      }
+    } catch (error) {
+      showError('Failed to import file', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCalendarFeeds = async () => {
+    try {
+      setLoading(true);
+      setCalendarFeeds(await apiCall('/calendar-feeds'));
+    } catch (error) {
+      showError('Failed to fetch calendar feeds', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'feeds') {
+      fetchCalendarFeeds();
+      // Employees pick their team from the organization too
+      if (isEmployee) fetchDepartments();
+    }
+  }, [activeTab]);
+
+  const handleCreateFeed = async () => {
+    try {
+      setLoading(true);
+      await apiCall('/calendar-feeds', {
+        method: 'POST',
+        body: JSON.stringify({
+          scope: newFeed.scope,
+          include_presence: newFeed.include_presence,
+          ...(newFeed.scope === 'employee' && { emp_id: newFeed.emp_id || session.user.emp_id }),
+          ...(newFeed.scope === 'team' && { team_id: Number(newFeed.team_id) })
+        })
+      });
+      showNotice('success', 'Calendar feed created. Copy its URL into your calendar app to subscribe.');
+      await fetchCalendarFeeds();
+    } catch (error) {
+      showError('Failed to create calendar feed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteFeed = async (feed) => {
+    if (!window.confirm('Delete this feed? Calendars subscribed to it will stop updating.')) return;
+
+    try {
+      setLoading(true);
+      await apiCall(`/calendar-feeds/${feed.id}`, { method: 'DELETE' });
+      setCalendarFeeds(calendarFeeds.filter(f => f.id !== feed.id));
+    } catch (error) {
+      showError('Failed to delete calendar feed', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyFeedUrl = async (feed) => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      showNotice('success', 'Feed URL copied');
+    } catch {
+      window.prompt('Copy the feed URL:', feed.url);
+    }
+  };
+
+  const describeFeed = (feed) => {
+    const subject = feed.scope === 'employee'
+      ? `${feed.emp_name} (${feed.emp_id})`
+      : feed.scope === 'team' ? `Team ${feed.team_name}` : 'Whole company';
+    return `${subject}: leave${feed.include_presence ? ', WFO and WFH' : ''}`;
+  };
+
+  // Badge in the type's colour on a light tint of it
+  const getAttendanceTypeStyle = (code) => {
+    const color = findType(code)?.color || DEFAULT_TYPE_COLOR;
+    return { backgroundColor: `${color}1F`, color };
+  };
+
+  // Save one field of an existing type, or create the type in the new-type form
+  const handleUpdateAttendanceType = async (code, changes) => {
+    try {
+      setLoading(true);
+      await apiCall(`/attendance-types/${encodeURIComponent(code)}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes)
+      });
+      await fetchAttendanceTypes();
+    } catch (error) {
+      showError('Failed to update attendance type', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateAttendanceType = async () => {
+    try {
+      setLoading(true);
+      await apiCall('/attendance-types', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...newAttendanceType,
+          label: newAttendanceType.label || newAttendanceType.code,
+          register_code: newAttendanceType.register_code || undefined
+        })
+      });
+      setNewAttendanceType(NEW_ATTENDANCE_TYPE);
+      clearMessages();
+      await fetchAttendanceTypes();
+    } catch (error) {
+      showError('Failed to create attendance type', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteAttendanceType = async (type) => {
+    if (!window.confirm(`Delete the attendance type ${type.label}?`)) return;
+
+    try {
+      setLoading(true);
+      await apiCall(`/attendance-types/${encodeURIComponent(type.code)}`, { method: 'DELETE' });
+      await fetchAttendanceTypes();
+    } catch (error) {
+      showError('Failed to delete attendance type', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Download the current view from the server (PDF is the monthly register)
+  const handleExport = async () => {
+    const params = new URLSearchParams({ format: exportFormat });
+    Object.entries(trackFilters).forEach(([key, value]) => value && params.set(key, value));
+    if (exportFormat === 'pdf') params.set('month', exportMonth);
+
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE_URL}/export?${params}`, {
+        headers: { Authorization: `Bearer ${session.token}` }
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, 'Export failed');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = exportFormat === 'pdf' ? `attendance_register_${exportMonth}.pdf` : `attendance_records.${exportFormat}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to export', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderNotice = () => notice && (
+    <div
+      role={notice.type === 'error' ? 'alert' : 'status'}
+      style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        gap: '12px',
+        padding: '12px 16px',
+        marginBottom: '20px',
+        border: '1px solid',
+        borderRadius: '8px',
+        fontSize: '14px',
+        ...NOTICE_COLORS[notice.type]
+      }}
+    >
+      <span>{notice.text}</span>
+      <button
+        onClick={clearMessages}
+        aria-label="Dismiss"
+        style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0 }}
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+
+  // Message under an input for the request field the server rejected
+  const renderFieldError = (name) => fieldErrors[name] && (
+    <p style={{ fontSize: '13px', color: '#DC2626', margin: '6px 0 0' }}>
+      {fieldErrors[name].charAt(0).toUpperCase() + fieldErrors[name].slice(1)}
+    </p>
+  );
+
+  const inputBorder = (name) => `2px solid ${fieldErrors[name] ? '#FCA5A5' : '#E5E7EB'}`;
+
+  if (!session) {
+    return (
+      <div style={{
+        minHeight: '100vh',
+        background: 'linear-gradient(135deg, #4F46E5 0%, #3B82F6 100%)',
+        padding: '20px',
+        fontFamily: 'system-ui, -apple-system, sans-serif'
+      }}>
+        <div style={{
+          background: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+          padding: '30px',
+          maxWidth: '450px',
+          margin: '0 auto'
+        }}>
+          <h2 style={{ 
+            fontSize: '24px', 
+            fontWeight: '600', 
+            color: '#1F2937', 
+            marginBottom: '24px', 
+            textAlign: 'center' 
+          }}>
+            Sign in
+          </h2>
+
+          {renderNotice()}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+            <div>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                autoComplete="username"
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  border: inputBorder('username'),
+                  borderRadius: '8px',
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
+                  outline: 'none'
+                }}
+              />
+              {renderFieldError('username')}
+            </div>
+            <div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+                placeholder="Password"
+                autoComplete="current-password"
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  border: inputBorder('password'),
+                  borderRadius: '8px',
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
+                  outline: 'none'
+                }}
+              />
+              {renderFieldError('password')}
+            </div>
+            <button
+              onClick={handleLogin}
+              disabled={loading}
+              style={{
+                width: '100%',
+                backgroundColor: loading ? '#9CA3AF' : '#4F46E5',
+                color: 'white',
+                padding: '12px 24px',
+                borderRadius: '8px',
+                fontSize: '16px',
+                fontWeight: '600',
+                border: 'none',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                transition: 'background-color 0.2s'
+              }}
+            >
+              {loading ? 'Signing in...' : 'Sign in'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      background: 'linear-gradient(135deg, #4F46E5 0%, #3B82F6 100%)',
+      padding: '20px',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    }}>
+      <div style={{ maxWidth: '600px', margin: '0 auto' }}>
+    
+        {/* Main Card Container */}
+        <div style={{
+          background: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+          padding: '30px',
+          maxWidth: '450px',
+          margin: '0 auto'
+        }}>
+          {/* Session Bar */}
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '20px',
+            fontSize: '14px',
+            color: '#6B7280'
+          }}>
+            <span>
+              Signed in as <strong style={{ color: '#1F2937' }}>{session.user.username}</strong> ({session.user.role})
+              {!isOnline && (
+                <span style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  marginLeft: '12px',
+                  padding: '2px 8px',
+                  borderRadius: '9999px',
+                  backgroundColor: OUTBOX_COLORS.pending.backgroundColor,
+                  color: OUTBOX_COLORS.pending.color,
+                  fontWeight: '600'
+                }}>
+                  <WifiOff size={14} />
+                  Offline
+                </span>
+              )}
+            </span>
+            <button
+              onClick={handleLogout}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                background: 'none',
+                border: 'none',
+                color: '#4F46E5',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              <LogOut size={16} />
+              Log out
+            </button>
+          </div>
+
+          {/* Navigation Tabs */}
+          <div style={{ display: 'flex', marginBottom: '30px' }}>
+            {tabs.map((tab, index) => (
+              <button
+                key={tab.id}
+                onClick={() => {
+                  setActiveTab(tab.id);
+                  clearMessages();
+                }}
+                style={{
+                  flex: 1,
+                  padding: '12px 16px',
+                  borderTopLeftRadius: index === 0 ? '8px' : 0,
+                  borderBottomLeftRadius: index === 0 ? '8px' : 0,
+                  borderTopRightRadius: index === tabs.length - 1 ? '8px' : 0,
+                  borderBottomRightRadius: index === tabs.length - 1 ? '8px' : 0,
+                  fontWeight: '600',
+                  fontSize: '14px',
+                  border: 'none',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s',
+                  backgroundColor: activeTab === tab.id ? '#4F46E5' : '#F3F4F6',
+                  color: activeTab === tab.id ? 'white' : '#6B7280'
+                }}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {renderNotice()}
+
+          {/* Add Attendance Tab */}
+          {activeTab === 'add' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Welcome! Stay present, achieve more
+              </h2>
+              
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+                {/* Employee ID */}
+                <div>
+                  <input
+                    type="text"
+                    value={empId}
+                    onChange={(e) => setEmpId(e.target.value)}
+                    placeholder="Employee ID"
+                    list="employees-list"
+                    readOnly={isEmployee}
+                    style={{
+                      width: '100%',
+                      padding: '12px 16px',
+                      border: inputBorder('emp_id'),
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      boxSizing: 'border-box',
+                      outline: 'none',
+                      transition: 'border-color 0.2s'
+                    }}
+                    onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
+                    onBlur={(e) => e.target.style.borderColor = fieldErrors.emp_id ? '#FCA5A5' : '#E5E7EB'}
+                  />
+                  {renderFieldError('emp_id')}
+                </div>
+                <datalist id="employees-list">
+                  {employees.filter(emp => emp.active !== false).map(emp => (
+                    <option key={emp.emp_id} value={emp.emp_id}>
+                      {emp.name}
+                    </option>
+                  ))}
+                </datalist>
+
+                {/* Employee Name */}
+                <div>
+                  <input
+                    type="text"
+                    value={empName}
+                    onChange={(e) => setEmpName(e.target.value)}
+                    placeholder="Employee Name"
+                    readOnly={isEmployee}
+                    style={{
+                      width: '100%',
+                      padding: '12px 16px',
+                      border: inputBorder('emp_name'),
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      boxSizing: 'border-box',
+                      outline: 'none',
+                      transition: 'border-color 0.2s'
+                    }}
+                    onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
+                    onBlur={(e) => e.target.style.borderColor = fieldErrors.emp_name ? '#FCA5A5' : '#E5E7EB'}
+                  />
+                  {renderFieldError('emp_name')}
+                </div>
+
+                {/* Attendance Type */}
+                <div>
+                  <select
+                    value={attendanceType}
+                    onChange={(e) => setAttendanceType(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '12px 16px',
+                      border: inputBorder('attendance_type'),
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      boxSizing: 'border-box',
+                      outline: 'none',
+                      backgroundColor: 'white',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {activeTypes.map(type => (
+                      <option key={type.code} value={type.code}>{type.label}</option>
+                    ))}
+                  </select>
+                  {renderFieldError('attendance_type')}
+                </div>
+
+                {/* Full or half day */}
+                <div>
+                  <select
+                    value={daySession}
+                    onChange={(e) => setDaySession(e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '12px 16px',
+                      border: inputBorder('session'),
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      boxSizing: 'border-box',
+                      outline: 'none',
+                      backgroundColor: 'white',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {DAY_SESSIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {renderFieldError('session')}
+                </div>
+
+                {/* Date Selection */}
+                {!isDateRange ? (
+                  <div>
+                    <div>
+                      <input
+                        type="date"
+                        value={selectedFromDate}
+                        onChange={(e) => setSelectedFromDate(e.target.value)}
+                        style={{
+                          width: '100%',
+                          padding: '12px 16px',
+                          border: inputBorder('date'),
+                          borderRadius: '8px',
+                          fontSize: '16px',
+                          boxSizing: 'border-box',
+                          outline: 'none'
+                        }}
+                      />
+                      {renderFieldError('start_date')}
+                    </div>
+                    {renderFieldError('date')}
+                  </div>
+                ) : (
+                  <>
+                    <input
+                      type="date"
+                      value={selectedFromDate}
+                      onChange={(e) => {
+                        setSelectedFromDate(e.target.value);
+                        if (new Date(e.target.value) > new Date(selectedToDate)) {
+                          setSelectedToDate(e.target.value);
+                        }
+                      }}
+                      style={{
+                        width: '100%',
+                        padding: '12px 16px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '16px',
+                        boxSizing: 'border-box',
+                        outline: 'none'
+                      }}
+                    />
+                    <div>
+                      <input
+                        type="date"
+                        value={selectedToDate}
+                        onChange={(e) => setSelectedToDate(e.target.value)}
+                        min={selectedFromDate}
+                        style={{
+                          width: '100%',
+                          padding: '12px 16px',
+                          border: inputBorder('end_date'),
+                          borderRadius: '8px',
+                          fontSize: '16px',
+                          boxSizing: 'border-box',
+                          outline: 'none'
+                        }}
+                      />
+                      {renderFieldError('end_date')}
+                    </div>
+                  </>
+                )}
+
+                {/* Submit Button */}
+                <button
+                  onClick={handleAddAttendance}
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    backgroundColor: loading ? '#9CA3AF' : '#4F46E5',
+                    color: 'white',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    border: 'none',
+                    cursor: loading ? 'not-allowed' : 'pointer',
+                    transition: 'background-color 0.2s'
+                  }}
+                  onMouseEnter={(e) => {
+                    if (!loading) e.target.style.backgroundColor = '#4338CA';
+                  }}
+                  onMouseLeave={(e) => {
+                    if (!loading) e.target.style.backgroundColor = '#4F46E5';
+                  }}
+                >
+                  {loading ? 'Adding...' : 'Add Record'}
+                </button>
+
+                {/* Clock In / Out */}
+                {clockStatus && (
+                  <div style={{
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    padding: '12px 16px'
+                  }}>
+                    <div style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                      fontSize: '14px',
+                      color: '#374151',
+                      marginBottom: '12px'
+                    }}>
+                      <Clock size={16} />
+                      <span>
+                        {clockStatus.clocked_in ? 'Clocked in' : clockStatus.on_break ? 'On a break' : 'Clocked out'}
+                        {' · '}worked today {formatMinutes(clockStatus.worked_minutes)}
+                        {clockStatus.late_minutes > 0 && ` · ${clockStatus.late_minutes}m late`}
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        onClick={() => handleClock(
+                          clockStatus.clocked_in ? 'out' : clockStatus.on_break ? 'break/end' : 'in'
+                        )}
+                        disabled={loading}
+                        style={{
+                          flex: 1,
+                          backgroundColor: clockStatus.clocked_in ? '#DC2626' : '#16A34A',
+                          color: 'white',
+                          padding: '10px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {clockStatus.clocked_in ? 'Clock Out' : clockStatus.on_break ? 'End Break' : 'Clock In'}
+                      </button>
+                      {clockStatus.clocked_in && (
+                        <button
+                          onClick={() => handleClock('break/start')}
+                          disabled={loading}
+                          style={{
+                            flex: 1,
+                            backgroundColor: '#6B7280',
+                            color: 'white',
+                            padding: '10px 16px',
+                            borderRadius: '8px',
+                            fontSize: '14px',
+                            fontWeight: '600',
+                            border: 'none',
+                            cursor: loading ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          Start Break
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Offline outbox */}
+                {outbox.length > 0 && (
+                  <div style={{
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    padding: '12px 16px'
+                  }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                      <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', margin: 0 }}>
+                        Saved on this device ({outbox.length})
+                      </h3>
+                      <button
+                        onClick={syncOutbox}
+                        disabled={!isOnline || !outbox.some(entry => entry.status === 'pending')}
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '6px',
+                          background: 'none',
+                          border: 'none',
+                          color: isOnline ? '#4F46E5' : '#9CA3AF',
+                          fontWeight: '600',
+                          fontSize: '14px',
+                          cursor: isOnline ? 'pointer' : 'not-allowed'
+                        }}
+                      >
+                        <RefreshCw size={14} />
+                        Sync now
+                      </button>
+                    </div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {outbox.map(entry => (
+                        <div
+                          key={entry.id}
+                          style={{
+                            ...OUTBOX_COLORS[entry.status],
+                            border: `1px solid ${OUTBOX_COLORS[entry.status].borderColor}`,
+                            borderRadius: '6px',
+                            padding: '8px 12px',
+                            fontSize: '14px'
+                          }}
+                        >
+                          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                            <span>
+                              <strong>{entry.body.attendance_type}</strong> for {entry.body.emp_name} ({entry.body.emp_id}) on{' '}
+                              {entry.body.date || `${entry.body.start_date} to ${entry.body.end_date}`}
+                              {entry.body.session && ` (${SESSION_LABELS[entry.body.session].toLowerCase()})`}
+                            </span>
+                            <span style={{ fontWeight: '600', whiteSpace: 'nowrap' }}>
+                              {entry.status === 'pending' ? 'Pending' : 'Conflict'}
+                            </span>
+                          </div>
+                          {entry.status === 'conflict' && (
+                            <>
+                              <div style={{ marginTop: '4px' }}>{entry.error}</div>
+                              <div style={{ display: 'flex', gap: '12px', marginTop: '6px' }}>
+                                <button
+                                  onClick={() => resolveOutboxEntry(entry, entry.code === 'ATTENDANCE_CONFLICT' ? 'overwrite' : 'retry')}
+                                  style={{ background: 'none', border: 'none', padding: 0, color: '#4F46E5', fontWeight: '600', cursor: 'pointer' }}
+                                >
+                                  {entry.code === 'ATTENDANCE_CONFLICT' ? 'Overwrite' : 'Retry'}
+                                </button>
+                                <button
+                                  onClick={() => resolveOutboxEntry(entry, 'discard')}
+                                  style={{ background: 'none', border: 'none', padding: 0, color: '#6B7280', fontWeight: '600', cursor: 'pointer' }}
+                                >
+                                  Discard
+                                </button>
+                              </div>
+                            </>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Leave Balances */}
+                {leaveBalances.length > 0 && (
+                  <div style={{
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    padding: '12px 16px'
+                  }}>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', margin: '0 0 8px' }}>
+                      Leave Balance ({leaveBalances[0].year})
+                    </h3>
+                    <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                      <tbody>
+                        {leaveBalances.map(balance => (
+                          <tr key={balance.attendance_type} style={{ borderBottom: '1px solid #F3F4F6' }}>
+                            <td style={{ padding: '6px 0', color: '#374151' }}>{balance.attendance_type}</td>
+                            <td style={{
+                              padding: '6px 0',
+                              textAlign: 'right',
+                              fontWeight: '600',
+                              color: balance.remaining < 0 ? '#991B1B' : '#166534'
+                            }}>
+                              {balance.remaining} left
+                            </td>
+                            <td style={{ padding: '6px 0 6px 8px', textAlign: 'right', color: '#6B7280' }}>
+                              {balance.taken} / {Math.round((balance.accrued + balance.carried_forward + balance.adjustments) * 100) / 100} used
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Track Attendance Tab */}
+          {activeTab === 'track' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Track Attendance
+              </h2>
+              
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+                {/* Search Input */}
+                <input
+                  type="text"
+                  value={searchEmpId}
+                  onChange={(e) => setSearchEmpId(e.target.value)}
+                  placeholder="Enter Employee ID"
+                  list="search-employees-list"
+                  style={{
+                    width: '100%',
+                    padding: '12px 16px',
+                    border: '2px solid #E5E7EB',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    boxSizing: 'border-box',
+                    outline: 'none',
+                    transition: 'border-color 0.2s'
+                  }}
+                  onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
+                  onBlur={(e) => e.target.style.borderColor = '#E5E7EB'}
+                />
+                <datalist id="search-employees-list">
+                  {employees.map(emp => (
+                    <option key={emp.emp_id} value={emp.emp_id}>
+                      {emp.name}
+                    </option>
+                  ))}
+                </datalist>
+
+                {/* Name Search */}
+                <input
                   type="text"
-                  value={empName}
-                  onChange={(e) => setEmpName(e.target.value)}
-                  placeholder="Employee Name"
+                  value={searchName}
+                  onChange={(e) => setSearchName(e.target.value)}
+                  placeholder="Employee name contains..."
+                  style={{
+                    width: '100%',
+                    padding: '12px 16px',
+                    border: '2px solid #E5E7EB',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    boxSizing: 'border-box',
+                    outline: 'none',
+                    transition: 'border-color 0.2s'
+                  }}
+                  onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
+                  onBlur={(e) => e.target.style.borderColor = '#E5E7EB'}
+                />
+
+                {/* Organization Filters */}
+                {!isEmployee && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+                    <select
+                      value={searchDepartment}
+                      onChange={(e) => {
+                        setSearchDepartment(e.target.value);
+                        setSearchTeam('');
+                      }}
+                      style={{
+                        flex: 1,
+                        padding: '10px 12px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '14px'
+                      }}
+                    >
+                      <option value="">All departments</option>
+                      {departments.map(dept => (
+                        <option key={dept.id} value={dept.id}>{dept.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={searchTeam}
+                      onChange={(e) => setSearchTeam(e.target.value)}
+                      style={{
+                        flex: 1,
+                        padding: '10px 12px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '14px'
+                      }}
+                    >
+                      <option value="">All teams</option>
+                      {departments
+                        .filter(dept => !searchDepartment || String(dept.id) === searchDepartment)
+                        .flatMap(dept => dept.teams.map(team => (
+                          <option key={team.id} value={team.id}>
+                            {searchDepartment ? team.name : `${dept.name} / ${team.name}`}
+                          </option>
+                        )))}
+                    </select>
+                    {session.user.emp_id && (
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#374151' }}>
+                        <input
+                          type="checkbox"
+                          checked={searchMyReports}
+                          onChange={(e) => setSearchMyReports(e.target.checked)}
+                        />
+                        My reporting line
+                      </label>
+                    )}
+                  </div>
+                )}
+
+                {/* Attendance Type Filter */}
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                  {attendanceTypes.map(type => (
+                    <button
+                      key={type.code}
+                      onClick={() => toggleSearchType(type.code)}
+                      style={{
+                        padding: '4px 10px',
+                        borderRadius: '9999px',
+                        fontSize: '12px',
+                        fontWeight: '500',
+                        cursor: 'pointer',
+                        border: searchTypes.includes(type.code) ? '2px solid #4F46E5' : '2px solid transparent',
+                        ...getAttendanceTypeStyle(type.code)
+                      }}
+                    >
+                      {type.label}
+                    </button>
+                  ))}
+                </div>
+                
+                {/* Search Button */}
+                <button
+                  onClick={handleSearchEmployee}
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    backgroundColor: loading ? '#9CA3AF' : '#4F46E5',
+                    color: 'white',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    border: 'none',
+                    cursor: loading ? 'not-allowed' : 'pointer',
+                    transition: 'background-color 0.2s'
+                  }}
+                >
+                  {loading ? 'Searching...' : 'Search'}
+                </button>
+                
+                {/* Get All Button */}
+                <button
+                  onClick={handleGetAllDetails}
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    backgroundColor: loading ? '#9CA3AF' : '#16A34A',
+                    color: 'white',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    border: 'none',
+                    cursor: loading ? 'not-allowed' : 'pointer',
+                    transition: 'background-color 0.2s'
+                  }}
+                >
+                  {loading ? 'Loading...' : 'Get All'}
+                </button>
+
+                {/* Export Options */}
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    style={{
+                      flex: 1,
+                      padding: '12px 16px',
+                      border: '2px solid #E5E7EB',
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      boxSizing: 'border-box',
+                      outline: 'none',
+                      backgroundColor: 'white',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (XLSX)</option>
+                    <option value="pdf">PDF monthly register</option>
+                  </select>
+                  {exportFormat === 'pdf' && (
+                    <input
+                      type="month"
+                      value={exportMonth}
+                      onChange={(e) => setExportMonth(e.target.value)}
+                      style={{
+                        flex: 1,
+                        padding: '12px 16px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '16px',
+                        boxSizing: 'border-box',
+                        outline: 'none'
+                      }}
+                    />
+                  )}
+                </div>
+
+                {/* Export Button */}
+                <button
+                  onClick={handleExport}
+                  disabled={loading}
+                  style={{
+                    width: '100%',
+                    backgroundColor: loading ? '#9CA3AF' : '#6B7280',
+                    color: 'white',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    border: 'none',
+                    cursor: loading ? 'not-allowed' : 'pointer',
+                    transition: 'background-color 0.2s',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px'
+                  }}
+                >
+                  <Download size={16} />
+                  Download
+                </button>
+              </div>
+
+              {/* Results Table */}
+              {filteredRecords.length > 0 && (
+                <div
+                  onScroll={handleRecordsScroll}
+                  style={{ 
+                    overflowX: 'auto',
+                    overflowY: 'auto',
+                    maxHeight: '480px',
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px'
+                  }}
+                >
+                  <table style={{ 
+                    width: '100%', 
+                    fontSize: '14px',
+                    borderCollapse: 'collapse'
+                  }}>
+                    <thead style={{ position: 'sticky', top: 0, backgroundColor: '#F9FAFB', zIndex: 10 }}>
+                      <tr style={{ 
+                        backgroundColor: '#F9FAFB', 
+                        borderBottom: '2px solid #E5E7EB'
+                      }}>
+                        {[
+                          ['emp_id', 'Employee ID'],
+                          ['emp_name', 'Employee Name'],
+                          ['attendance_type', 'Attendance Type'],
+                          ['date', 'Date'],
+                          ['worked_minutes', 'Hours']
+                        ].map(([field, label]) => (
+                          <th
+                            key={field}
+                            onClick={() => handleSort(field)}
+                            style={{ 
+                              padding: '10px 6px', 
+                              textAlign: 'left', 
+                              fontWeight: '600', 
+                              color: '#374151',
+                              cursor: 'pointer',
+                              whiteSpace: 'nowrap'
+                            }}
+                          >
+                            {label}
+                            {sortOrder === field && ' ▲'}
+                            {sortOrder === `-${field}` && ' ▼'}
+                          </th>
+                        ))}
+                        <th style={{ padding: '10px 6px' }} />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filteredRecords.map((record, index) => (
+                        <tr key={record.id || index} style={{ 
+                          borderBottom: '1px solid #E5E7EB'
+                        }}>
+                          <td style={{ padding: '10px 6px' }}>{record.emp_id}</td>
+                          <td style={{ padding: '10px 6px' }}>{record.emp_name}</td>
+                          <td style={{ padding: '10px 6px' }}>
+                            <span style={{
+                              padding: '4px 8px',
+                              borderRadius: '9999px',
+                              fontSize: '12px',
+                              fontWeight: '500',
+                              ...getAttendanceTypeStyle(record.attendance_type)
+                            }}>
+                              {record.attendance_type}
+                            </span>
+                            {record.fraction < 1 && (
+                              <div style={{ marginTop: '4px', fontSize: '11px', color: '#6B7280' }}>
+                                {SESSION_LABELS[record.session] || 'Part day'}{record.fraction !== 0.5 && ` · ${record.fraction} day`}
+                              </div>
+                            )}
+                            {record.status !== 'approved' && (
+                              <div style={{
+                                marginTop: '4px',
+                                fontSize: '11px',
+                                fontWeight: '600',
+                                textTransform: 'uppercase',
+                                color: record.status === 'pending' ? '#A16207' : '#991B1B'
+                              }}>
+                                {record.status}
+                              </div>
+                            )}
+                          </td>
+                          <td style={{ padding: '10px 6px' }}>{record.date}</td>
+                          <td style={{ padding: '10px 6px' }}>
+                            {record.worked_minutes ? formatMinutes(record.worked_minutes) : '-'}
+                          </td>
+                          <td style={{ padding: '10px 6px' }}>
+                            <button
+                              onClick={() => showRecordHistory(record)}
+                              title="Show history"
+                              style={{
+                                background: 'none',
+                                border: 'none',
+                                color: historyRecord?.id === record.id ? '#4F46E5' : '#6B7280',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              <History size={16} />
+                            </button>
+                            {isAdmin && (
+                              <button
+                                onClick={() => handleDeleteRecord(record)}
+                                title="Move to trash"
+                                style={{
+                                  background: 'none',
+                                  border: 'none',
+                                  color: '#DC2626',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                <Trash2 size={16} />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Paging Status */}
+              {filteredRecords.length > 0 && (
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginTop: '12px',
+                  fontSize: '14px',
+                  color: '#6B7280'
+                }}>
+                  <span>Showing {filteredRecords.length} of {recordsTotal}</span>
+                  {hasMoreRecords && (
+                    <button
+                      onClick={fetchMoreAttendance}
+                      disabled={loadingMore}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: '#4F46E5',
+                        fontWeight: '600',
+                        cursor: loadingMore ? 'not-allowed' : 'pointer'
+                      }}
+                    >
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Record History Panel */}
+              {historyRecord && (
+                <div style={{
+                  marginTop: '16px',
+                  padding: '16px',
+                  border: '1px solid #E5E7EB',
+                  borderRadius: '8px',
+                  backgroundColor: '#F9FAFB'
+                }}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: '12px'
+                  }}>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937' }}>
+                      History: {historyRecord.emp_id} · {historyRecord.attendance_type} · {historyRecord.date}
+                    </h3>
+                    <button
+                      onClick={() => setHistoryRecord(null)}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: '#4F46E5',
+                        fontWeight: '600',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Close
+                    </button>
+                  </div>
+                  {historyEntries.map(entry => (
+                    <div key={entry.id} style={{
+                      padding: '8px 0',
+                      borderTop: '1px solid #E5E7EB',
+                      fontSize: '14px'
+                    }}>
+                      <div style={{ color: '#374151' }}>
+                        <strong style={{ textTransform: 'capitalize' }}>{entry.action}</strong>
+                        {' by '}{entry.actor}{' · '}{new Date(entry.changed_at).toLocaleString()}
+                      </div>
+                      {entry.action === 'update' && (
+                        <ul style={{ margin: '4px 0 0 16px', color: '#6B7280' }}>
+                          {Object.entries(entry.changes).map(([field, change]) => (
+                            <li key={field}>
+                              {field}: {formatAuditValue(change.from)} → {formatAuditValue(change.to)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* No Records Message */}
+              {filteredRecords.length === 0 && !loading && (
+                <div style={{ 
+                  textAlign: 'center', 
+                  padding: '32px 0',
+                  color: '#6B7280'
+                }}>
+                  <p>No records found</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Dashboard Tab */}
+          {activeTab === 'dashboard' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Attendance Dashboard
+              </h2>
+
+              {/* Range and Grouping */}
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                {[[dashboardStart, setDashboardStart], [dashboardEnd, setDashboardEnd]].map(([value, setValue], index) => (
+                  <input
+                    key={index}
+                    type="date"
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                    style={{
+                      flex: 1,
+                      padding: '8px 12px',
+                      border: '2px solid #E5E7EB',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      outline: 'none'
+                    }}
+                  />
+                ))}
+                <select
+                  value={dashboardGroup}
+                  onChange={(e) => setDashboardGroup(e.target.value)}
                   style={{
-                    width: '100%',
-                    padding: '12px 16px',
+                    padding: '8px 12px',
+                    border: '2px solid #E5E7EB',
+                    borderRadius: '8px',
+                    fontSize: '14px'
+                  }}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+
+              {dashboard && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+                  {/* Totals */}
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px' }}>
+                    {[
+                      ['Employees', dashboard.totalEmployees],
+                      ['Records', dashboard.totalRecords],
+                      ['Presence', dashboard.presenceRecords],
+                      ['Leave', dashboard.leaveRecords]
+                    ].map(([label, value]) => (
+                      <div key={label} style={{
+                        border: '1px solid #E5E7EB',
+                        borderRadius: '8px',
+                        padding: '12px',
+                        textAlign: 'center'
+                      }}>
+                        <div style={{ fontSize: '24px', fontWeight: '700', color: '#1F2937' }}>{value}</div>
+                        <div style={{ fontSize: '12px', color: '#6B7280' }}>{label}</div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Trend (stacked by type) */}
+                  <div>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', marginBottom: '8px' }}>
+                      Trend by type
+                    </h3>
+                    {dashboard.trends.length === 0 ? (
+                      <p style={{ fontSize: '14px', color: '#6B7280' }}>No records in this range</p>
+                    ) : (
+                      <>
+                        <div style={{
+                          display: 'flex',
+                          alignItems: 'flex-end',
+                          gap: '2px',
+                          height: '160px',
+                          borderBottom: '1px solid #E5E7EB'
+                        }}>
+                          {dashboard.trends.map(point => {
+                            const max = Math.max(...dashboard.trends.map(p => p.total));
+                            return (
+                              <div
+                                key={point.period}
+                                title={`${point.period}: ${Object.entries(point.counts).map(([type, count]) => `${type} ${count}`).join(', ')}`}
+                                style={{
+                                  flex: 1,
+                                  height: `${(point.total / max) * 100}%`,
+                                  display: 'flex',
+                                  flexDirection: 'column-reverse'
+                                }}
+                              >
+                                {Object.entries(point.counts).map(([type, count]) => (
+                                  <div key={type} style={{
+                                    height: `${(count / point.total) * 100}%`,
+                                    backgroundColor: getAttendanceTypeStyle(type).color
+                                  }} />
+                                ))}
+                              </div>
+                            );
+                          })}
+                        </div>
+                        <div style={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          fontSize: '11px',
+                          color: '#6B7280',
+                          marginTop: '4px'
+                        }}>
+                          <span>{dashboard.trends[0].period}</span>
+                          <span>{dashboard.trends[dashboard.trends.length - 1].period}</span>
+                        </div>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px' }}>
+                          {dashboard.attendanceByType.map(type => (
+                            <span key={type.attendance_type} style={{
+                              padding: '2px 8px',
+                              borderRadius: '9999px',
+                              fontSize: '11px',
+                              ...getAttendanceTypeStyle(type.attendance_type)
+                            }}>
+                              {type.label} {type.count}
+                            </span>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+
+                  {/* Office Occupancy */}
+                  <div>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', marginBottom: '8px' }}>
+                      Average presence by weekday
+                    </h3>
+                    {renderBars(dashboard.occupancyByWeekday.map(day => ({
+                      key: day.weekday,
+                      label: day.name,
+                      value: day.average_present,
+                      color: '#16A34A'
+                    })))}
+                  </div>
+
+                  {/* Leave Usage */}
+                  <div>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', marginBottom: '8px' }}>
+                      Leave usage
+                    </h3>
+                    {dashboard.leaveUsage.length === 0 ? (
+                      <p style={{ fontSize: '14px', color: '#6B7280' }}>No leave taken in this range</p>
+                    ) : renderBars(dashboard.leaveUsage.map(usage => ({
+                      key: usage.attendance_type,
+                      label: usage.label,
+                      value: usage.days,
+                      color: getAttendanceTypeStyle(usage.attendance_type).color,
+                      detail: `${usage.days}d / ${usage.employees}p`
+                    })))}
+                  </div>
+
+                  {/* Per Employee */}
+                  {dashboard.employees.length > 0 && (
+                    <div>
+                      <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', marginBottom: '8px' }}>
+                        By employee
+                      </h3>
+                      <div style={{ overflow: 'auto', maxHeight: '320px', border: '1px solid #E5E7EB', borderRadius: '8px' }}>
+                        <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                          <thead style={{ position: 'sticky', top: 0, backgroundColor: '#F9FAFB' }}>
+                            <tr style={{ borderBottom: '2px solid #E5E7EB' }}>
+                              {['Employee', 'Presence', 'Leave', 'Total'].map(label => (
+                                <th key={label} style={{ padding: '8px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>
+                                  {label}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {dashboard.employees.map(employee => (
+                              <tr key={employee.emp_id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                                <td style={{ padding: '8px 6px' }}>{employee.emp_name} ({employee.emp_id})</td>
+                                <td style={{ padding: '8px 6px' }}>{employee.presence}</td>
+                                <td style={{ padding: '8px 6px' }}>{employee.leave}</td>
+                                <td style={{ padding: '8px 6px', fontWeight: '600' }}>{employee.total}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Compliance Tab */}
+          {activeTab === 'compliance' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Hybrid Work Compliance
+              </h2>
+
+              {/* Month and Team */}
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '8px',
+                marginBottom: '16px'
+              }}>
+                <button
+                  onClick={() => setComplianceMonth(shiftMonth(complianceMonth, -1))}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#4F46E5' }}
+                >
+                  <ChevronLeft size={20} />
+                </button>
+                <input
+                  type="month"
+                  value={complianceMonth}
+                  onChange={(e) => e.target.value && setComplianceMonth(e.target.value)}
+                  style={{
+                    padding: '8px 12px',
                     border: '2px solid #E5E7EB',
                     borderRadius: '8px',
                     fontSize: '16px',
-                    boxSizing: 'border-box',
-                    outline: 'none',
-                    transition: 'border-color 0.2s'
+                    outline: 'none'
                   }}
-                  onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
-                  onBlur={(e) => e.target.style.borderColor = '#E5E7EB'}
                 />
-
-                {/* Attendance Type */}
                 <select
-                  value={attendanceType}
-                  onChange={(e) => setAttendanceType(e.target.value)}
+                  value={complianceTeam}
+                  onChange={(e) => setComplianceTeam(e.target.value)}
                   style={{
-                    width: '100%',
-                    padding: '12px 16px',
+                    flex: 1,
+                    padding: '8px 12px',
                     border: '2px solid #E5E7EB',
                     borderRadius: '8px',
-                    fontSize: '16px',
-                    boxSizing: 'border-box',
-                    outline: 'none',
-                    backgroundColor: 'white',
-                    cursor: 'pointer'
+                    fontSize: '14px'
                   }}
                 >
-                  {attendanceTypes.map(type => (
-                    <option key={type} value={type}>{type}</option>
-                  ))}
+                  <option value="">All teams</option>
+                  {departments.flatMap(dept => dept.teams.map(team => (
+                    <option key={team.id} value={team.id}>{dept.name} / {team.name}</option>
+                  )))}
                 </select>
+                <button
+                  onClick={() => setComplianceMonth(shiftMonth(complianceMonth, 1))}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#4F46E5' }}
+                >
+                  <ChevronRight size={20} />
+                </button>
+              </div>
 
-                {/* Date Selection */}
-                {!isDateRange ? (
-                  <input
-                    type="date"
-                    value={selectedFromDate}
-                    onChange={(e) => setSelectedFromDate(e.target.value)}
+              {compliance && (
+                <>
+                  {/* Summary */}
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '16px' }}>
+                    {[
+                      ['Evaluated', compliance.summary.evaluated, '#1F2937'],
+                      ['Passing', compliance.summary.passed, '#166534'],
+                      ['Failing', compliance.summary.failed, '#991B1B'],
+                      ['No policy', compliance.summary.no_policy, '#6B7280']
+                    ].map(([label, value, color]) => (
+                      <div key={label} style={{
+                        border: '1px solid #E5E7EB',
+                        borderRadius: '8px',
+                        padding: '12px',
+                        textAlign: 'center'
+                      }}>
+                        <div style={{ fontSize: '24px', fontWeight: '700', color }}>{value}</div>
+                        <div style={{ fontSize: '12px', color: '#6B7280' }}>{label}</div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Employees, failing first */}
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    {[...compliance.employees]
+                      .sort((a, b) => (a.status === 'fail' ? 0 : 1) - (b.status === 'fail' ? 0 : 1))
+                      .map(employee => (
+                        <div key={employee.emp_id} style={{
+                          border: '1px solid #E5E7EB',
+                          borderRadius: '8px',
+                          padding: '12px 16px'
+                        }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                            <div style={{ fontWeight: '600', color: '#1F2937' }}>
+                              {employee.name} ({employee.emp_id})
+                              {employee.team_name && (
+                                <span style={{ fontWeight: '400', color: '#6B7280' }}> · {employee.team_name}</span>
+                              )}
+                            </div>
+                            <span style={{
+                              padding: '4px 8px',
+                              borderRadius: '9999px',
+                              fontSize: '12px',
+                              fontWeight: '600',
+                              textTransform: 'uppercase',
+                              backgroundColor: { pass: '#DCFCE7', fail: '#FEE2E2' }[employee.status] || '#F3F4F6',
+                              color: { pass: '#166534', fail: '#991B1B' }[employee.status] || '#374151'
+                            }}>
+                              {employee.status === 'no_policy' ? 'No policy' : employee.status}
+                            </span>
+                          </div>
+                          {employee.policy && (
+                            <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px' }}>
+                              {employee.policy.name}: {employee.office_days} office · {employee.remote_days} remote days
+                            </div>
+                          )}
+                          {employee.reasons.length > 0 && (
+                            <ul style={{ margin: '8px 0 0 16px', fontSize: '14px', color: '#991B1B' }}>
+                              {employee.reasons.map(reason => (
+                                <li key={reason}>{reason}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      ))}
+                  </div>
+
+                  {compliance.employees.length === 0 && !loading && (
+                    <div style={{ 
+                      textAlign: 'center', 
+                      padding: '32px 0',
+                      color: '#6B7280'
+                    }}>
+                      <p>No employees to evaluate</p>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Register Tab */}
+          {activeTab === 'register' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Monthly Register
+              </h2>
+
+              {/* Month Navigation */}
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                marginBottom: '16px'
+              }}>
+                <button
+                  onClick={() => shiftRegisterMonth(-1)}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#4F46E5' }}
+                >
+                  <ChevronLeft size={20} />
+                </button>
+                <input
+                  type="month"
+                  value={registerMonth}
+                  onChange={(e) => e.target.value && setRegisterMonth(e.target.value)}
+                  style={{
+                    padding: '8px 12px',
+                    border: '2px solid #E5E7EB',
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    outline: 'none'
+                  }}
+                />
+                <button
+                  onClick={() => shiftRegisterMonth(1)}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#4F46E5' }}
+                >
+                  <ChevronRight size={20} />
+                </button>
+              </div>
+
+              {register && register.rows.length > 0 && (
+                <div style={{ 
+                  overflow: 'auto',
+                  maxHeight: '400px',
+                  border: '1px solid #E5E7EB',
+                  borderRadius: '8px'
+                }}>
+                  <table style={{ fontSize: '12px', borderCollapse: 'separate', borderSpacing: 0 }}>
+                    <thead>
+                      <tr>
+                        <th style={{
+                          position: 'sticky',
+                          top: 0,
+                          left: 0,
+                          zIndex: 3,
+                          backgroundColor: '#F9FAFB',
+                          padding: '8px 6px',
+                          textAlign: 'left',
+                          borderBottom: '2px solid #E5E7EB',
+                          minWidth: '120px'
+                        }}>Employee</th>
+                        {register.days.map(day => (
+                          <th key={day.date} style={{
+                            position: 'sticky',
+                            top: 0,
+                            zIndex: 2,
+                            backgroundColor: day.weekday > 5 ? '#F3F4F6' : '#F9FAFB',
+                            padding: '8px 4px',
+                            borderBottom: '2px solid #E5E7EB',
+                            minWidth: '28px'
+                          }}>{day.day}</th>
+                        ))}
+                        <th style={{
+                          position: 'sticky',
+                          top: 0,
+                          zIndex: 2,
+                          backgroundColor: '#F9FAFB',
+                          padding: '8px 6px',
+                          textAlign: 'left',
+                          borderBottom: '2px solid #E5E7EB',
+                          minWidth: '140px'
+                        }}>Totals</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {register.rows.map(row => (
+                        <tr key={row.emp_id}>
+                          <td style={{
+                            position: 'sticky',
+                            left: 0,
+                            zIndex: 1,
+                            backgroundColor: 'white',
+                            padding: '6px',
+                            borderBottom: '1px solid #E5E7EB',
+                            whiteSpace: 'nowrap'
+                          }}>
+                            <div style={{ fontWeight: '600', color: '#1F2937' }}>{row.name}</div>
+                            <div style={{ color: '#6B7280' }}>{row.emp_id}</div>
+                          </td>
+                          {row.days.map(day => (
+                            <td
+                              key={day.date}
+                              title={day.attendance_type || register.legend[day.code] || ''}
+                              style={{
+                                padding: '6px 2px',
+                                textAlign: 'center',
+                                fontWeight: '600',
+                                borderBottom: '1px solid #E5E7EB',
+                                ...(day.attendance_type
+                                  ? getAttendanceTypeStyle(day.attendance_type)
+                                  : day.code === 'A'
+                                    ? { color: '#991B1B' }
+                                    : { color: '#9CA3AF' })
+                              }}
+                            >
+                              {day.code}
+                            </td>
+                          ))}
+                          <td style={{
+                            padding: '6px',
+                            borderBottom: '1px solid #E5E7EB',
+                            color: '#374151',
+                            whiteSpace: 'nowrap'
+                          }}>
+                            {Object.entries(row.totals).map(([type, count]) => `${type}: ${count}`).join(', ') || '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Register Legend */}
+              {register && register.rows.length > 0 && (
+                <p style={{ fontSize: '12px', color: '#6B7280', marginTop: '12px' }}>
+                  {Object.entries(register.legend).map(([code, label]) => `${code} = ${label}`).join(' · ')}
+                </p>
+              )}
+
+              {/* No Employees Message */}
+              {register && register.rows.length === 0 && !loading && (
+                <div style={{ 
+                  textAlign: 'center', 
+                  padding: '32px 0',
+                  color: '#6B7280'
+                }}>
+                  <p>No employees found</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Calendar Feeds Tab */}
+          {activeTab === 'feeds' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '8px', 
+                textAlign: 'center' 
+              }}>
+                Calendar Feeds
+              </h2>
+              <p style={{ textAlign: 'center', fontSize: '14px', color: '#6B7280', marginBottom: '24px' }}>
+                Subscribe to leave in Google Calendar, Outlook or Apple Calendar. Anyone with a feed URL can read it.
+              </p>
+
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginBottom: '24px' }}>
+                <select
+                  value={newFeed.scope}
+                  onChange={(e) => setNewFeed({ ...newFeed, scope: e.target.value })}
+                  style={{
+                    padding: '8px 12px',
+                    border: '2px solid #E5E7EB',
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                    backgroundColor: 'white'
+                  }}
+                >
+                  <option value="employee">{isEmployee ? 'My leave' : 'One employee'}</option>
+                  <option value="team">{isAdmin ? 'A team' : 'My team'}</option>
+                  {isAdmin && <option value="company">Whole company</option>}
+                </select>
+                {newFeed.scope === 'employee' && !isEmployee && (
+                  <select
+                    value={newFeed.emp_id}
+                    onChange={(e) => setNewFeed({ ...newFeed, emp_id: e.target.value })}
                     style={{
-                      width: '100%',
-                      padding: '12px 16px',
+                      flex: 1,
+                      padding: '8px 12px',
                       border: '2px solid #E5E7EB',
                       borderRadius: '8px',
-                      fontSize: '16px',
-                      boxSizing: 'border-box',
-                      outline: 'none'
+                      fontSize: '14px',
+                      backgroundColor: 'white'
                     }}
-                  />
-                ) : (
-                  <>
-                    <input
-                      type="date"
-                      value={selectedFromDate}
-                      onChange={(e) => {
-                        setSelectedFromDate(e.target.value);
-                        if (new Date(e.target.value) > new Date(selectedToDate)) {
-                          setSelectedToDate(e.target.value);
-                        }
-                      }}
-                      style={{
-                        width: '100%',
-                        padding: '12px 16px',
-                        border: '2px solid #E5E7EB',
-                        borderRadius: '8px',
-                        fontSize: '16px',
-                        boxSizing: 'border-box',
-                        outline: 'none'
-                      }}
-                    />
-                    <input
-                      type="date"
-                      value={selectedToDate}
-                      onChange={(e) => setSelectedToDate(e.target.value)}
-                      min={selectedFromDate}
-                      style={{
-                        width: '100%',
-                        padding: '12px 16px',
-                        border: '2px solid #E5E7EB',
-                        borderRadius: '8px',
-                        fontSize: '16px',
-                        boxSizing: 'border-box',
-                        outline: 'none'
-                      }}
-                    />
-                  </>
+                  >
+                    <option value="">Select employee</option>
+                    {employees.map(emp => (
+                      <option key={emp.emp_id} value={emp.emp_id}>{emp.name} ({emp.emp_id})</option>
+                    ))}
+                  </select>
                 )}
-
-                {/* Submit Button */}
+                {newFeed.scope === 'team' && (
+                  <select
+                    value={newFeed.team_id}
+                    onChange={(e) => setNewFeed({ ...newFeed, team_id: e.target.value })}
+                    style={{
+                      flex: 1,
+                      padding: '8px 12px',
+                      border: '2px solid #E5E7EB',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      backgroundColor: 'white'
+                    }}
+                  >
+                    <option value="">Select team</option>
+                    {departments.flatMap(dept => dept.teams.map(team => (
+                      <option key={team.id} value={team.id}>{dept.name} / {team.name}</option>
+                    )))}
+                  </select>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#374151' }}>
+                  <input
+                    type="checkbox"
+                    checked={newFeed.include_presence}
+                    onChange={(e) => setNewFeed({ ...newFeed, include_presence: e.target.checked })}
+                  />
+                  Include WFO/WFH days
+                </label>
                 <button
-                  onClick={handleAddAttendance}
-                  disabled={loading}
+                  onClick={handleCreateFeed}
+                  disabled={loading || (newFeed.scope === 'team' && !newFeed.team_id) ||
+                    (newFeed.scope === 'employee' && !isEmployee && !newFeed.emp_id)}
                   style={{
-                    width: '100%',
-                    backgroundColor: loading ? '#9CA3AF' : '#4F46E5',
+                    backgroundColor: '#4F46E5',
                     color: 'white',
-                    padding: '12px 24px',
+                    padding: '8px 16px',
                     borderRadius: '8px',
-                    fontSize: '16px',
+                    fontSize: '14px',
                     fontWeight: '600',
                     border: 'none',
-                    cursor: loading ? 'not-allowed' : 'pointer',
-                    transition: 'background-color 0.2s'
-                  }}
-                  onMouseEnter={(e) => {
-                    if (!loading) e.target.style.backgroundColor = '#4338CA';
-                  }}
-                  onMouseLeave={(e) => {
-                    if (!loading) e.target.style.backgroundColor = '#4F46E5';
+                    cursor: loading ? 'not-allowed' : 'pointer'
                   }}
                 >
-                  {loading ? 'Adding...' : 'Add Record'}
+                  Create Feed
                 </button>
               </div>
+
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {calendarFeeds.map(feed => (
+                  <div key={feed.id} style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '12px',
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    padding: '12px 16px'
+                  }}>
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ fontWeight: '600', color: '#1F2937' }}>
+                        {describeFeed(feed)}
+                      </div>
+                      <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px', wordBreak: 'break-all' }}>
+                        {feed.url}
+                      </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        onClick={() => copyFeedUrl(feed)}
+                        title="Copy feed URL"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                          backgroundColor: '#4F46E5',
+                          color: 'white',
+                          padding: '8px 12px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        <Copy size={14} />
+                        Copy
+                      </button>
+                      <button
+                        onClick={() => handleDeleteFeed(feed)}
+                        disabled={loading}
+                        title="Delete feed"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                          backgroundColor: '#DC2626',
+                          color: 'white',
+                          padding: '8px 12px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        <Trash2 size={14} />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {calendarFeeds.length === 0 && !loading && (
+                <div style={{ 
+                  textAlign: 'center', 
+                  padding: '32px 0',
+                  color: '#6B7280'
+                }}>
+                  <p>You have no calendar feeds yet</p>
+                </div>
+              )}
             </div>
           )}
 
-          {/* Track Attendance Tab */}
-          {activeTab === 'track' && (
+          {/* Import Tab */}
+          {activeTab === 'import' && (
             <div>
               <h2 style={{ 
                 fontSize: '24px', 
@@ -473,17 +2898,16 @@ function App() {
                 marginBottom: '24px', 
                 textAlign: 'center' 
               }}>
-                Track Attendance
+                Import from Spreadsheet or Calendar
               </h2>
-              
+
               <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
-                {/* Search Input */}
-                <input
-                  type="text"
-                  value={searchEmpId}
-                  onChange={(e) => setSearchEmpId(e.target.value)}
-                  placeholder="Enter Employee ID"
-                  list="search-employees-list"
+                <select
+                  value={importKind}
+                  onChange={(e) => {
+                    setImportKind(e.target.value);
+                    setImportReport(null);
+                  }}
                   style={{
                     width: '100%',
                     padding: '12px 16px',
@@ -492,183 +2916,902 @@ function App() {
                     fontSize: '16px',
                     boxSizing: 'border-box',
                     outline: 'none',
-                    transition: 'border-color 0.2s'
-                  }}
-                  onFocus={(e) => e.target.style.borderColor = '#4F46E5'}
-                  onBlur={(e) => e.target.style.borderColor = '#E5E7EB'}
-                />
-                <datalist id="search-employees-list">
-                  {employees.map(emp => (
-                    <option key={emp.emp_id} value={emp.emp_id}>
-                      {emp.name}
-                    </option>
-                  ))}
-                </datalist>
-                
-                {/* Search Button */}
-                <button
-                  onClick={handleSearchEmployee}
-                  disabled={loading}
-                  style={{
-                    width: '100%',
-                    backgroundColor: loading ? '#9CA3AF' : '#4F46E5',
-                    color: 'white',
-                    padding: '12px 24px',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    fontWeight: '600',
-                    border: 'none',
-                    cursor: loading ? 'not-allowed' : 'pointer',
-                    transition: 'background-color 0.2s'
+                    backgroundColor: 'white',
+                    cursor: 'pointer'
                   }}
                 >
-                  {loading ? 'Searching...' : 'Search'}
-                </button>
-                
-                {/* Get All Button */}
+                  <option value="attendance">Attendance (Employee ID, Employee Name, Attendance Type, Date)</option>
+                  <option value="employees">Employees (Employee ID, Name)</option>
+                  <option value="leave">Leave (iCalendar .ics)</option>
+                </select>
+
+                {importKind === 'leave' && (
+                  <div style={{ display: 'flex', gap: '12px' }}>
+                    <input
+                      type="text"
+                      placeholder="Employee ID for events without one"
+                      value={importEmpId}
+                      onChange={(e) => {
+                        setImportEmpId(e.target.value);
+                        setImportReport(null);
+                      }}
+                      style={{
+                        flex: 1,
+                        padding: '12px 16px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '14px',
+                        boxSizing: 'border-box',
+                        outline: 'none'
+                      }}
+                    />
+                    <select
+                      value={importLeaveType}
+                      onChange={(e) => {
+                        setImportLeaveType(e.target.value);
+                        setImportReport(null);
+                      }}
+                      style={{
+                        flex: 1,
+                        padding: '12px 16px',
+                        border: '2px solid #E5E7EB',
+                        borderRadius: '8px',
+                        fontSize: '14px',
+                        backgroundColor: 'white',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <option value="">Leave type for events without one</option>
+                      {activeTypes.filter(type => type.category === 'leave').map(type => (
+                        <option key={type.code} value={type.code}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <input
+                  type="file"
+                  accept={importKind === 'leave' ? '.ics' : '.csv,.xlsx'}
+                  onChange={(e) => {
+                    setImportFile(e.target.files[0] || null);
+                    setImportReport(null);
+                  }}
+                  style={{ fontSize: '14px' }}
+                />
+
                 <button
-                  onClick={handleGetAllDetails}
-                  disabled={loading}
+                  onClick={() => handleImport('dry-run')}
+                  disabled={loading || !importFile}
                   style={{
                     width: '100%',
-                    backgroundColor: loading ? '#9CA3AF' : '#16A34A',
+                    backgroundColor: loading || !importFile ? '#9CA3AF' : '#4F46E5',
                     color: 'white',
                     padding: '12px 24px',
                     borderRadius: '8px',
                     fontSize: '16px',
                     fontWeight: '600',
                     border: 'none',
-                    cursor: loading ? 'not-allowed' : 'pointer',
+                    cursor: loading || !importFile ? 'not-allowed' : 'pointer',
                     transition: 'background-color 0.2s'
                   }}
                 >
-                  {loading ? 'Loading...' : 'Get All'}
+                  Validate (Dry Run)
                 </button>
 
-                {/* Export CSV Button */}
-                <button
-                  onClick={exportToCSV}
-                  disabled={filteredRecords.length === 0}
-                  style={{
-                    width: '100%',
-                    backgroundColor: filteredRecords.length === 0 ? '#9CA3AF' : '#6B7280',
-                    color: 'white',
-                    padding: '12px 24px',
+                {importReport && importReport.mode === 'dry-run' && (
+                  <button
+                    onClick={() => handleImport('commit')}
+                    disabled={loading || importReport.summary.insert + importReport.summary.update === 0}
+                    style={{
+                      width: '100%',
+                      backgroundColor: loading || importReport.summary.insert + importReport.summary.update === 0 ? '#9CA3AF' : '#16A34A',
+                      color: 'white',
+                      padding: '12px 24px',
+                      borderRadius: '8px',
+                      fontSize: '16px',
+                      fontWeight: '600',
+                      border: 'none',
+                      cursor: loading ? 'not-allowed' : 'pointer',
+                      transition: 'background-color 0.2s'
+                    }}
+                  >
+                    Import Valid Rows
+                  </button>
+                )}
+              </div>
+
+              {/* Validation Report */}
+              {importReport && (
+                <div>
+                  <p style={{ fontSize: '14px', color: '#374151' }}>
+                    {importReport.summary.total} rows: {importReport.summary.insert} new, {importReport.summary.update} updates,
+                    {' '}{importReport.summary.unchanged} unchanged, {importReport.summary.error} with errors
+                  </p>
+                  <div style={{ 
+                    overflowX: 'auto',
+                    overflowY: 'auto',
+                    maxHeight: '300px',
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px'
+                  }}>
+                    <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                      <thead style={{ position: 'sticky', top: 0, backgroundColor: '#F9FAFB' }}>
+                        <tr style={{ borderBottom: '2px solid #E5E7EB' }}>
+                          <th style={{ padding: '10px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>Row</th>
+                          <th style={{ padding: '10px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>Employee ID</th>
+                          {importReport.kind === 'leave' && (
+                            <th style={{ padding: '10px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>Dates</th>
+                          )}
+                          <th style={{ padding: '10px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>Result</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importReport.rows.filter(entry => entry.status !== 'unchanged').map(entry => (
+                          <tr key={entry.row} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                            <td style={{ padding: '10px 6px' }}>{entry.row}</td>
+                            <td style={{ padding: '10px 6px' }}>{entry.data.emp_id}</td>
+                            {importReport.kind === 'leave' && (
+                              <td style={{ padding: '10px 6px' }}>
+                                {entry.data.start_date === entry.data.end_date
+                                  ? entry.data.start_date
+                                  : `${entry.data.start_date} – ${entry.data.end_date}`}
+                              </td>
+                            )}
+                            <td style={{
+                              padding: '10px 6px',
+                              color: entry.status === 'error' ? '#991B1B' : entry.status === 'update' ? '#A16207' : '#166534'
+                            }}>
+                              {entry.status === 'error' && entry.errors.join('; ')}
+                              {entry.status === 'insert' && 'New'}
+                              {entry.status === 'update' && (Object.entries(entry.conflict)
+                                .map(([field, { current, incoming }]) => `${field}: ${current} → ${incoming}`)
+                                .join('; ') || 'Update')}
+                              {entry.warning && `. ${entry.warning}`}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Approvals Tab */}
+          {activeTab === 'approvals' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Pending Leave Requests
+              </h2>
+
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {leaveRequests.map(request => (
+                  <div key={request.leave_request_id} style={{
+                    border: '1px solid #E5E7EB',
                     borderRadius: '8px',
-                    fontSize: '16px',
-                    fontWeight: '600',
-                    border: 'none',
-                    cursor: filteredRecords.length === 0 ? 'not-allowed' : 'pointer',
-                    transition: 'background-color 0.2s',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    gap: '8px'
-                  }}
-                >
-                  <Download size={16} />
-                  Download CSV
-                </button>
+                    padding: '12px 16px'
+                  }}>
+                    <div style={{ fontWeight: '600', color: '#1F2937' }}>
+                      {request.emp_name} ({request.emp_id})
+                    </div>
+                    <div style={{ fontSize: '14px', color: '#374151', marginTop: '4px' }}>
+                      {request.attendance_type}: {request.start_date}
+                      {request.end_date !== request.start_date && ` to ${request.end_date}`} ({request.days} {request.days === 1 ? 'day' : 'days'})
+                    </div>
+                    {request.balance_exceeded && (
+                      <div style={{ fontSize: '12px', color: '#991B1B', marginTop: '4px' }}>
+                        Exceeds remaining leave balance
+                      </div>
+                    )}
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+                      <button
+                        onClick={() => handleReviewLeave(request, 'approve')}
+                        disabled={loading}
+                        style={{
+                          flex: 1,
+                          backgroundColor: '#16A34A',
+                          color: 'white',
+                          padding: '8px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleReviewLeave(request, 'reject')}
+                        disabled={loading}
+                        style={{
+                          flex: 1,
+                          backgroundColor: '#DC2626',
+                          color: 'white',
+                          padding: '8px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                ))}
               </div>
 
-              {/* Results Table */}
-              {filteredRecords.length > 0 && (
+              {/* No Requests Message */}
+              {leaveRequests.length === 0 && !loading && (
                 <div style={{ 
-                  overflowX: 'auto',
-                  overflowY: 'auto',
-                  maxHeight: '300px',
-                  border: '1px solid #E5E7EB',
-                  borderRadius: '8px'
+                  textAlign: 'center', 
+                  padding: '32px 0',
+                  color: '#6B7280'
                 }}>
-                  <table style={{ 
-                    width: '100%', 
-                    fontSize: '14px',
-                    borderCollapse: 'collapse'
-                  }}>
-                    <thead style={{ position: 'sticky', top: 0, backgroundColor: '#F9FAFB', zIndex: 10 }}>
-                      <tr style={{ 
-                        backgroundColor: '#F9FAFB', 
-                        borderBottom: '2px solid #E5E7EB'
-                      }}>
-                        <th style={{ 
-                          padding: '10px 6px', 
-                          textAlign: 'left', 
-                          fontWeight: '600', 
-                          color: '#374151'
-                        }}>Employee ID</th>
-                        <th style={{ 
-                          padding: '10px 6px', 
-                          textAlign: 'left', 
-                          fontWeight: '600', 
-                          color: '#374151'
-                        }}>Employee Name</th>
-                        <th style={{ 
-                          padding: '10px 6px', 
-                          textAlign: 'left', 
-                          fontWeight: '600', 
-                          color: '#374151'
-                        }}>Attendance Type</th>
-                        <th style={{ 
-                          padding: '10px 6px', 
-                          textAlign: 'left', 
-                          fontWeight: '600', 
-                          color: '#374151'
-                        }}>Date</th>
+                  <p>No pending leave requests</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Directory Tab */}
+          {activeTab === 'directory' && !profile && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Employee Directory
+              </h2>
+
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                <div style={{ position: 'relative', flex: 1 }}>
+                  <Search size={16} style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)', color: '#9CA3AF' }} />
+                  <input
+                    type="text"
+                    value={directorySearch}
+                    onChange={(e) => setDirectorySearch(e.target.value)}
+                    placeholder="Search by name, ID, email, department, team or manager"
+                    style={{
+                      width: '100%',
+                      padding: '10px 12px 10px 36px',
+                      border: '2px solid #E5E7EB',
+                      borderRadius: '8px',
+                      fontSize: '14px',
+                      boxSizing: 'border-box'
+                    }}
+                  />
+                </div>
+                <select
+                  value={directoryStatus}
+                  onChange={(e) => setDirectoryStatus(e.target.value)}
+                  style={{ padding: '10px 12px', border: '2px solid #E5E7EB', borderRadius: '8px', fontSize: '14px' }}
+                >
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+
+              <div style={{ overflowX: 'auto', border: '1px solid #E5E7EB', borderRadius: '8px' }}>
+                <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#F9FAFB', borderBottom: '2px solid #E5E7EB' }}>
+                      {['ID', 'Name', 'Department', 'Team', 'Manager', 'Status'].map(label => (
+                        <th key={label} style={{ padding: '10px 12px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {directoryEmployees.map(emp => (
+                      <tr
+                        key={emp.emp_id}
+                        onClick={() => openProfile(emp.emp_id)}
+                        style={{ borderBottom: '1px solid #E5E7EB', cursor: 'pointer', opacity: emp.active ? 1 : 0.6 }}
+                        onMouseEnter={(e) => e.currentTarget.style.backgroundColor = '#F9FAFB'}
+                        onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'transparent'}
+                      >
+                        <td style={{ padding: '10px 12px', fontWeight: '500' }}>{emp.emp_id}</td>
+                        <td style={{ padding: '10px 12px' }}>{emp.name}</td>
+                        <td style={{ padding: '10px 12px', color: '#6B7280' }}>{emp.department_name || '—'}</td>
+                        <td style={{ padding: '10px 12px', color: '#6B7280' }}>{emp.team_name || '—'}</td>
+                        <td style={{ padding: '10px 12px', color: '#6B7280' }}>{emp.manager_name || '—'}</td>
+                        <td style={{ padding: '10px 12px', color: emp.active ? '#166534' : '#6B7280' }}>
+                          {emp.active ? 'Active' : 'Inactive'}
+                        </td>
                       </tr>
-                    </thead>
-                    <tbody>
-                      {filteredRecords
-                        .sort((a, b) => new Date(b.date) - new Date(a.date))
-                        .map((record, index) => (
-                        <tr key={record.id || index} style={{ 
-                          borderBottom: '1px solid #E5E7EB'
-                        }}>
-                          <td style={{ padding: '10px 6px' }}>{record.emp_id}</td>
-                          <td style={{ padding: '10px 6px' }}>{record.emp_name}</td>
-                          <td style={{ padding: '10px 6px' }}>
-                            <span style={{
-                              padding: '4px 8px',
-                              borderRadius: '9999px',
-                              fontSize: '12px',
-                              fontWeight: '500',
-                              backgroundColor: getAttendanceTypeColor(record.attendance_type).includes('green') ? '#DCFCE7' : 
-                                             getAttendanceTypeColor(record.attendance_type).includes('blue') ? '#DBEAFE' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('red') ? '#FEE2E2' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('orange') ? '#FED7AA' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('purple') ? '#E9D5FF' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('pink') ? '#FCE7F3' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('indigo') ? '#E0E7FF' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('yellow') ? '#FEF3C7' :
-                                             getAttendanceTypeColor(record.attendance_type).includes('teal') ? '#CCFBF1' : '#F3F4F6',
-                              color: getAttendanceTypeColor(record.attendance_type).includes('green') ? '#166534' : 
-                                    getAttendanceTypeColor(record.attendance_type).includes('blue') ? '#1E40AF' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('red') ? '#991B1B' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('orange') ? '#EA580C' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('purple') ? '#7C3AED' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('pink') ? '#BE185D' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('indigo') ? '#4338CA' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('yellow') ? '#A16207' :
-                                    getAttendanceTypeColor(record.attendance_type).includes('teal') ? '#0F766E' : '#374151'
-                            }}>
-                              {record.attendance_type}
-                            </span>
-                          </td>
-                          <td style={{ padding: '10px 6px' }}>{record.date}</td>
-                        </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {directoryEmployees.length === 0 && !loading && (
+                <div style={{ 
+                  textAlign: 'center', 
+                  padding: '32px 0',
+                  color: '#6B7280'
+                }}>
+                  <p>No employees match</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Employee Profile */}
+          {activeTab === 'directory' && profile && (
+            <div>
+              <button
+                onClick={() => {
+                  setProfile(null);
+                  clearMessages();
+                }}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px',
+                  background: 'none',
+                  border: 'none',
+                  color: '#4F46E5',
+                  fontWeight: '600',
+                  fontSize: '14px',
+                  cursor: 'pointer',
+                  padding: 0,
+                  marginBottom: '16px'
+                }}
+              >
+                <ChevronLeft size={16} />
+                Directory
+              </button>
+
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '24px' }}>
+                <h2 style={{ fontSize: '24px', fontWeight: '600', color: '#1F2937', margin: 0 }}>
+                  {profile.name}
+                </h2>
+                <span style={{ color: '#6B7280' }}>{profile.emp_id}</span>
+                <span style={{
+                  padding: '2px 10px',
+                  borderRadius: '9999px',
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  backgroundColor: profile.active ? '#DCFCE7' : '#F3F4F6',
+                  color: profile.active ? '#166534' : '#6B7280'
+                }}>
+                  {profile.active ? 'Active' : 'Inactive'}
+                </span>
+              </div>
+
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
+                {/* Details (editable by admins) */}
+                <div style={{ border: '1px solid #E5E7EB', borderRadius: '8px', padding: '16px' }}>
+                  {isAdmin ? (
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px' }}>
+                      {[
+                        { name: 'emp_id', label: 'Employee ID' },
+                        { name: 'name', label: 'Name' },
+                        { name: 'email', label: 'Email', type: 'email' },
+                        { name: 'join_date', label: 'Joined', type: 'date' },
+                        { name: 'exit_date', label: 'Left', type: 'date' }
+                      ].map(input => (
+                        <label key={input.name} style={{ fontSize: '13px', color: '#374151' }}>
+                          {input.label}
+                          <input
+                            type={input.type || 'text'}
+                            value={profileForm[input.name]}
+                            onChange={(e) => setProfileForm({ ...profileForm, [input.name]: e.target.value })}
+                            style={{
+                              display: 'block',
+                              width: '100%',
+                              marginTop: '4px',
+                              padding: '8px 10px',
+                              border: inputBorder(input.name),
+                              borderRadius: '8px',
+                              fontSize: '14px',
+                              boxSizing: 'border-box'
+                            }}
+                          />
+                          {renderFieldError(input.name)}
+                        </label>
                       ))}
-                    </tbody>
-                  </table>
+                      <label style={{ fontSize: '13px', color: '#374151' }}>
+                        Department
+                        <select
+                          value={profileForm.department_id}
+                          onChange={(e) => setProfileForm({ ...profileForm, department_id: e.target.value, team_id: '' })}
+                          style={{ display: 'block', width: '100%', marginTop: '4px', padding: '8px 10px', border: inputBorder('department_id'), borderRadius: '8px', fontSize: '14px' }}
+                        >
+                          <option value="">No department</option>
+                          {departments.map(dept => (
+                            <option key={dept.id} value={dept.id}>{dept.name}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label style={{ fontSize: '13px', color: '#374151' }}>
+                        Team
+                        <select
+                          value={profileForm.team_id}
+                          onChange={(e) => setProfileForm({ ...profileForm, team_id: e.target.value })}
+                          style={{ display: 'block', width: '100%', marginTop: '4px', padding: '8px 10px', border: inputBorder('team_id'), borderRadius: '8px', fontSize: '14px' }}
+                        >
+                          <option value="">No team</option>
+                          {departments
+                            .filter(dept => !profileForm.department_id || String(dept.id) === profileForm.department_id)
+                            .flatMap(dept => dept.teams.map(team => (
+                              <option key={team.id} value={team.id}>
+                                {profileForm.department_id ? team.name : `${dept.name} / ${team.name}`}
+                              </option>
+                            )))}
+                        </select>
+                      </label>
+                      <label style={{ fontSize: '13px', color: '#374151' }}>
+                        Manager
+                        <select
+                          value={profileForm.manager_id}
+                          onChange={(e) => setProfileForm({ ...profileForm, manager_id: e.target.value })}
+                          style={{ display: 'block', width: '100%', marginTop: '4px', padding: '8px 10px', border: inputBorder('manager_id'), borderRadius: '8px', fontSize: '14px' }}
+                        >
+                          <option value="">No manager</option>
+                          {employees
+                            .filter(emp => emp.emp_id !== profile.emp_id && (emp.active || emp.emp_id === profile.manager_id))
+                            .map(emp => (
+                              <option key={emp.emp_id} value={emp.emp_id}>{emp.name} ({emp.emp_id})</option>
+                            ))}
+                        </select>
+                      </label>
+                    </div>
+                  ) : (
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', fontSize: '14px' }}>
+                      {[
+                        ['Email', profile.email],
+                        ['Department', profile.department_name],
+                        ['Team', profile.team_name],
+                        ['Manager', profile.manager_name && `${profile.manager_name} (${profile.manager_id})`],
+                        ['Calendar', profile.calendar_name],
+                        ['Joined', profile.join_date],
+                        ['Left', profile.exit_date]
+                      ].map(([label, value]) => (
+                        <div key={label}>
+                          <div style={{ fontSize: '12px', color: '#6B7280' }}>{label}</div>
+                          <div style={{ color: '#1F2937', marginTop: '2px' }}>{value || '—'}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {isAdmin && (
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+                      <button
+                        onClick={handleSaveProfile}
+                        disabled={loading}
+                        style={{
+                          flex: 1,
+                          backgroundColor: '#4F46E5',
+                          color: 'white',
+                          padding: '10px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        Save Changes
+                      </button>
+                      <button
+                        onClick={() => updateProfile({ active: !profile.active }, profile.active ? 'deactivate employee' : 'reactivate employee')}
+                        disabled={loading}
+                        style={{
+                          backgroundColor: '#6B7280',
+                          color: 'white',
+                          padding: '10px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {profile.active ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                      <button
+                        onClick={handleDeleteEmployee}
+                        disabled={loading}
+                        title="Delete employee"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                          backgroundColor: '#DC2626',
+                          color: 'white',
+                          padding: '10px 16px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        <Trash2 size={14} />
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {/* Direct Reports */}
+                {profile.reports.length > 0 && (
+                  <div style={{ border: '1px solid #E5E7EB', borderRadius: '8px', padding: '12px 16px' }}>
+                    <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', margin: '0 0 8px' }}>
+                      Direct Reports ({profile.reports.length})
+                    </h3>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                      {profile.reports.map(report => (
+                        <button
+                          key={report.emp_id}
+                          onClick={() => openProfile(report.emp_id)}
+                          style={{
+                            padding: '4px 10px',
+                            borderRadius: '9999px',
+                            border: '1px solid #E5E7EB',
+                            backgroundColor: '#F9FAFB',
+                            color: report.active ? '#1F2937' : '#9CA3AF',
+                            fontSize: '13px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          {report.name} ({report.emp_id})
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Recent Attendance */}
+                <div style={{ border: '1px solid #E5E7EB', borderRadius: '8px', padding: '12px 16px' }}>
+                  <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937', margin: '0 0 8px' }}>
+                    Recent Attendance
+                  </h3>
+                  {profileRecords.length > 0 ? (
+                    <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                      <tbody>
+                        {profileRecords.map(record => (
+                          <tr key={record.id} style={{ borderBottom: '1px solid #F3F4F6' }}>
+                            <td style={{ padding: '6px 0', color: '#374151' }}>{record.date}</td>
+                            <td style={{ padding: '6px 0' }}>
+                              <span style={{
+                                padding: '2px 8px',
+                                borderRadius: '9999px',
+                                fontSize: '12px',
+                                fontWeight: '500',
+                                ...getAttendanceTypeStyle(record.attendance_type)
+                              }}>
+                                {record.attendance_type}
+                              </span>
+                            </td>
+                            <td style={{ padding: '6px 0', textAlign: 'right', color: '#6B7280' }}>{record.status}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p style={{ fontSize: '14px', color: '#6B7280', margin: 0 }}>No attendance recorded</p>
+                  )}
                 </div>
+              </div>
+            </div>
+          )}
+
+          {/* Attendance Types Tab */}
+          {activeTab === 'types' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '24px', 
+                textAlign: 'center' 
+              }}>
+                Attendance Types
+              </h2>
+
+              <div style={{ overflowX: 'auto', border: '1px solid #E5E7EB', borderRadius: '8px' }}>
+                <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#F9FAFB', borderBottom: '2px solid #E5E7EB' }}>
+                      {['Code', 'Label', 'Register', 'Category', 'Colour', 'Paid', 'Range', 'Active', ''].map(label => (
+                        <th key={label} style={{ padding: '10px 6px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {attendanceTypes.map(type => (
+                      <tr key={type.code} style={{ borderBottom: '1px solid #E5E7EB', opacity: type.active ? 1 : 0.6 }}>
+                        <td style={{ padding: '8px 6px' }}>
+                          <span style={{
+                            padding: '4px 8px',
+                            borderRadius: '9999px',
+                            fontSize: '12px',
+                            fontWeight: '500',
+                            ...getAttendanceTypeStyle(type.code)
+                          }}>
+                            {type.code}
+                          </span>
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <input
+                            type="text"
+                            defaultValue={type.label}
+                            onBlur={(e) => e.target.value && e.target.value !== type.label &&
+                              handleUpdateAttendanceType(type.code, { label: e.target.value })}
+                            style={{ width: '100%', padding: '6px 8px', border: '1px solid #E5E7EB', borderRadius: '6px' }}
+                          />
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <input
+                            type="text"
+                            defaultValue={type.register_code}
+                            maxLength={5}
+                            onBlur={(e) => e.target.value && e.target.value !== type.register_code &&
+                              handleUpdateAttendanceType(type.code, { register_code: e.target.value })}
+                            title="Code shown in the monthly register"
+                            style={{ width: '60px', padding: '6px 8px', border: '1px solid #E5E7EB', borderRadius: '6px' }}
+                          />
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <select
+                            value={type.category}
+                            onChange={(e) => handleUpdateAttendanceType(type.code, { category: e.target.value })}
+                            style={{ padding: '6px 8px', border: '1px solid #E5E7EB', borderRadius: '6px' }}
+                          >
+                            <option value="presence">Presence</option>
+                            <option value="leave">Leave</option>
+                          </select>
+                        </td>
+                        <td style={{ padding: '8px 6px' }}>
+                          <input
+                            type="color"
+                            defaultValue={type.color}
+                            onBlur={(e) => e.target.value.toUpperCase() !== type.color.toUpperCase() &&
+                              handleUpdateAttendanceType(type.code, { color: e.target.value })}
+                          />
+                        </td>
+                        {['paid', 'needs_range', 'active'].map(field => (
+                          <td key={field} style={{ padding: '8px 6px' }}>
+                            <input
+                              type="checkbox"
+                              checked={type[field]}
+                              onChange={(e) => handleUpdateAttendanceType(type.code, { [field]: e.target.checked })}
+                            />
+                          </td>
+                        ))}
+                        <td style={{ padding: '8px 6px' }}>
+                          <button
+                            onClick={() => handleDeleteAttendanceType(type)}
+                            title="Delete type"
+                            style={{ background: 'none', border: 'none', color: '#DC2626', cursor: 'pointer' }}
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                    {/* New Type Row */}
+                    <tr style={{ backgroundColor: '#F9FAFB' }}>
+                      <td style={{ padding: '8px 6px' }}>
+                        <input
+                          type="text"
+                          value={newAttendanceType.code}
+                          onChange={(e) => setNewAttendanceType({ ...newAttendanceType, code: e.target.value })}
+                          placeholder="New code"
+                          style={{
+                            width: '100%',
+                            padding: '6px 8px',
+                            border: `1px solid ${fieldErrors.code ? '#FCA5A5' : '#E5E7EB'}`,
+                            borderRadius: '6px'
+                          }}
+                        />
+                        {renderFieldError('code')}
+                      </td>
+                      <td style={{ padding: '8px 6px' }}>
+                        <input
+                          type="text"
+                          value={newAttendanceType.label}
+                          onChange={(e) => setNewAttendanceType({ ...newAttendanceType, label: e.target.value })}
+                          placeholder="Label"
+                          style={{
+                            width: '100%',
+                            padding: '6px 8px',
+                            border: `1px solid ${fieldErrors.label ? '#FCA5A5' : '#E5E7EB'}`,
+                            borderRadius: '6px'
+                          }}
+                        />
+                        {renderFieldError('label')}
+                      </td>
+                      <td style={{ padding: '8px 6px' }}>
+                        <input
+                          type="text"
+                          value={newAttendanceType.register_code}
+                          maxLength={5}
+                          onChange={(e) => setNewAttendanceType({ ...newAttendanceType, register_code: e.target.value })}
+                          placeholder="Auto"
+                          title="Code shown in the monthly register; the initials of the code if left empty"
+                          style={{
+                            width: '60px',
+                            padding: '6px 8px',
+                            border: `1px solid ${fieldErrors.register_code ? '#FCA5A5' : '#E5E7EB'}`,
+                            borderRadius: '6px'
+                          }}
+                        />
+                        {renderFieldError('register_code')}
+                      </td>
+                      <td style={{ padding: '8px 6px' }}>
+                        <select
+                          value={newAttendanceType.category}
+                          onChange={(e) => setNewAttendanceType({
+                            ...newAttendanceType,
+                            category: e.target.value,
+                            needs_range: e.target.value === 'leave'
+                          })}
+                          style={{ padding: '6px 8px', border: '1px solid #E5E7EB', borderRadius: '6px' }}
+                        >
+                          <option value="presence">Presence</option>
+                          <option value="leave">Leave</option>
+                        </select>
+                      </td>
+                      <td style={{ padding: '8px 6px' }}>
+                        <input
+                          type="color"
+                          value={newAttendanceType.color}
+                          onChange={(e) => setNewAttendanceType({ ...newAttendanceType, color: e.target.value })}
+                        />
+                        {renderFieldError('color')}
+                      </td>
+                      {['paid', 'needs_range'].map(field => (
+                        <td key={field} style={{ padding: '8px 6px' }}>
+                          <input
+                            type="checkbox"
+                            checked={newAttendanceType[field]}
+                            onChange={(e) => setNewAttendanceType({ ...newAttendanceType, [field]: e.target.checked })}
+                          />
+                        </td>
+                      ))}
+                      <td colSpan={2} style={{ padding: '8px 6px' }}>
+                        <button
+                          onClick={handleCreateAttendanceType}
+                          disabled={loading || !newAttendanceType.code}
+                          style={{
+                            backgroundColor: '#4F46E5',
+                            color: 'white',
+                            padding: '6px 12px',
+                            borderRadius: '6px',
+                            fontSize: '14px',
+                            fontWeight: '600',
+                            border: 'none',
+                            cursor: loading || !newAttendanceType.code ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          Add
+                        </button>
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Trash Tab */}
+          {activeTab === 'trash' && (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#1F2937', 
+                marginBottom: '8px', 
+                textAlign: 'center' 
+              }}>
+                Deleted Records
+              </h2>
+              {trashRetentionDays !== null && (
+                <p style={{ textAlign: 'center', fontSize: '14px', color: '#6B7280', marginBottom: '24px' }}>
+                  Records are permanently deleted {trashRetentionDays} days after they are moved to the trash
+                </p>
               )}
 
-              {/* No Records Message */}
-              {filteredRecords.length === 0 && !loading && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {trashRecords.map(record => (
+                  <div key={record.id} style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '12px',
+                    border: '1px solid #E5E7EB',
+                    borderRadius: '8px',
+                    padding: '12px 16px'
+                  }}>
+                    <div>
+                      <div style={{ fontWeight: '600', color: '#1F2937' }}>
+                        {record.emp_name} ({record.emp_id})
+                      </div>
+                      <div style={{ fontSize: '14px', color: '#374151', marginTop: '4px' }}>
+                        {record.attendance_type}: {record.date}
+                      </div>
+                      <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px' }}>
+                        Deleted by {record.deleted_by} on {new Date(record.deleted_at).toLocaleString()}
+                        {' · '}purged {new Date(record.purge_at).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        onClick={() => handleTrashAction(record, 'restore')}
+                        disabled={loading}
+                        title="Restore"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                          backgroundColor: '#4F46E5',
+                          color: 'white',
+                          padding: '8px 12px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        <RotateCcw size={14} />
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => handleTrashAction(record, 'purge')}
+                        disabled={loading}
+                        title="Delete permanently"
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: '4px',
+                          backgroundColor: '#DC2626',
+                          color: 'white',
+                          padding: '8px 12px',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          border: 'none',
+                          cursor: loading ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        <Trash2 size={14} />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Empty Trash Message */}
+              {trashRecords.length === 0 && !loading && (
                 <div style={{ 
                   textAlign: 'center', 
                   padding: '32px 0',
                   color: '#6B7280'
                 }}>
-                  <p>No records found</p>
+                  <p>The trash is empty</p>
                 </div>
               )}
             </div>
@@ -0,0 +1,63 @@
+// Offline storage in IndexedDB:
+//  - snapshots: lists the app needs to open without a connection (employees, attendance types)
+//  - outbox: attendance submitted while offline, sent in order when the connection returns.
+//    Entries are { id, username, path, body, queued_at, status, error, code, overwrite } where
+//    status is 'pending' (waiting to be sent) or 'conflict' (the server refused it).
+
+const DB_NAME = 'attendance-tracker';
+const DB_VERSION = 1;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('snapshots');
+        request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+// Run fn(store) in a transaction and resolve with the result of the request it returns
+const withStore = async (name, mode, fn) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(name, mode);
+    const request = fn(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const saveSnapshot = (key, value) => withStore('snapshots', 'readwrite', store => store.put(value, key));
+
+export const loadSnapshot = (key) => withStore('snapshots', 'readonly', store => store.get(key));
+
+export const clearSnapshots = () => withStore('snapshots', 'readwrite', store => store.clear());
+
+export const queueSubmission = (username, path, body) => withStore('outbox', 'readwrite', store => store.add({
+  username,
+  path,
+  body,
+  queued_at: new Date().toISOString(),
+  status: 'pending',
+  error: null,
+  code: null,
+  overwrite: false
+}));
+
+// A user's queued submissions, oldest first
+export const listOutbox = async (username) => {
+  const entries = await withStore('outbox', 'readonly', store => store.getAll());
+  return entries.filter(entry => entry.username === username);
+};
+
+export const updateOutboxEntry = (entry) => withStore('outbox', 'readwrite', store => store.put(entry));
+
+export const removeOutboxEntry = (id) => withStore('outbox', 'readwrite', store => store.delete(id));
@@ -0,0 +1,27 @@
+// Storage layer. Both drivers expose the same interface:
+//   query(text, params)   -> { rows, rowCount }, with $1..$n placeholders
+//   connect()             -> client with query() and release(), for transactions
+//   exec(client, script)  -> runs several statements (migrations)
+//   setAuditActor(client, actor), end(), sql (dialect-specific expressions),
+//   dialect ('postgres' or 'sqlite') and name (for logs)
+// Constraint violations carry PostgreSQL SQLSTATE codes (23505 unique, 23503 foreign key).
+
+const path = require('path');
+
+const DRIVERS = ['postgres', 'sqlite'];
+
+// DATABASE_DRIVER picks the driver; without it, PostgreSQL is used when DATABASE_URL is set
+function createDatabase(env = process.env) {
+  const driver = env.DATABASE_DRIVER || (env.DATABASE_URL ? 'postgres' : 'sqlite');
+
+  if (driver === 'postgres') {
+    return require('./postgres').createPostgresDatabase({ connectionString: env.DATABASE_URL });
+  }
+  if (driver === 'sqlite') {
+    const filename = env.SQLITE_FILE || path.join(__dirname, '..', 'attendance.db');
+    return require('./sqlite').createSqliteDatabase({ filename });
+  }
+  throw new Error(`DATABASE_DRIVER must be one of: ${DRIVERS.join(', ')}`);
+}
+
+module.exports = { createDatabase, DRIVERS };
@@ -0,0 +1,47 @@
+// PostgreSQL storage driver. Queries are written in PostgreSQL's dialect, so they run as-is.
+
+const { Pool } = require('pg');
+
+// Expressions whose SQL differs between drivers
+const sql = {
+  // YYYY-MM-DD text for a date or timestamp
+  date: expr => `to_char(${expr}, 'YYYY-MM-DD')`,
+  year: expr => `EXTRACT(YEAR FROM ${expr})`,
+  // 1 = Monday ... 7 = Sunday
+  isoWeekday: expr => `EXTRACT(ISODOW FROM ${expr})::int`,
+  // First day of the day, week (Monday) or month containing a date, as YYYY-MM-DD
+  periodStart: (unit, expr) => `to_char(date_trunc('${unit}', ${expr}::timestamp), 'YYYY-MM-DD')`,
+  // Minutes from start to end, or to now while end is NULL
+  minutesSince: (start, end) => `EXTRACT(EPOCH FROM (COALESCE(${end}, NOW()) - ${start})) / 60`
+};
+
+function createPostgresDatabase({ connectionString }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  pool.on('connect', () => {
+    console.log('Connected to PostgreSQL database');
+  });
+
+  pool.on('error', (err) => {
+    console.error('Unexpected error on idle client', err);
+    process.exit(-1);
+  });
+
+  return {
+    dialect: 'postgres',
+    name: 'PostgreSQL',
+    sql,
+    query: (text, params) => pool.query(text, params),
+    connect: () => pool.connect(),
+    // Run a script of several statements (migrations)
+    exec: (client, script) => client.query(script),
+    // Tag the open transaction with the acting user for the audit triggers
+    setAuditActor: (client, actor) => client.query(`SELECT set_config('app.actor', $1, true)`, [actor]),
+    end: () => pool.end()
+  };
+}
+
+module.exports = { createPostgresDatabase };
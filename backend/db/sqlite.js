@@ -0,0 +1,181 @@
+// SQLite storage driver for installs without a PostgreSQL server.
+// Queries are written in PostgreSQL's dialect; translate() rewrites the constructs SQLite
+// spells differently and the sql helpers cover the expressions that cannot be rewritten.
+// All access goes through one connection, one query or transaction at a time.
+
+// Current time as ISO 8601 UTC text, the format timestamps are stored in
+const SQLITE_NOW = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+// SQLite stores these as 0/1 or JSON text; PostgreSQL returns booleans, arrays and objects
+const BOOLEAN_COLUMNS = new Set(['active', 'paid', 'needs_range', 'is_default', 'balance_exceeded']);
+const JSON_COLUMNS = new Set(['working_days', 'anchor_days', 'before_data', 'after_data', 'events', 'payload', 'result']);
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// SQLite constraint errors reported with the matching PostgreSQL SQLSTATE codes
+const CONSTRAINT_CODES = [
+  ['UNIQUE constraint failed', '23505'],
+  ['FOREIGN KEY constraint failed', '23503'],
+  ['NOT NULL constraint failed', '23502'],
+  ['CHECK constraint failed', '23514']
+];
+
+// Expressions whose SQL differs between drivers
+const sql = {
+  date: expr => `date(${expr})`,
+  year: expr => `CAST(strftime('%Y', ${expr}) AS INTEGER)`,
+  isoWeekday: expr => `((CAST(strftime('%w', ${expr}) AS INTEGER) + 6) % 7 + 1)`,
+  periodStart: (unit, expr) => ({
+    day: `date(${expr})`,
+    week: `date(${expr}, '-' || ((CAST(strftime('%w', ${expr}) AS INTEGER) + 6) % 7) || ' days')`,
+    month: `strftime('%Y-%m-01', ${expr})`
+  })[unit],
+  minutesSince: (start, end) => `(julianday(COALESCE(${end}, 'now')) - julianday(${start})) * 1440`
+};
+
+// Rewrite PostgreSQL syntax: casts are dropped, "= ANY(array)" reads a JSON array,
+// ILIKE becomes LIKE (case-insensitive for ASCII), the current time is ISO text and
+// $n placeholders become ?n
+function translate(text) {
+  return text
+    .replace(/::\w+(\[\])?/g, '')
+    .replace(/=\s*ANY\(([^()]+)\)/g, 'IN (SELECT value FROM json_each($1))')
+    .replace(/\bILIKE\b/g, 'LIKE')
+    .replace(/\bNOW\(\)|\bCURRENT_TIMESTAMP\b/g, SQLITE_NOW)
+    .replace(/\$(\d+)/g, '?$1');
+}
+
+function toParam(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fromRow(row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null) continue;
+    if (BOOLEAN_COLUMNS.has(column)) {
+      row[column] = value === 1;
+    } else if (JSON_COLUMNS.has(column)) {
+      row[column] = JSON.parse(value);
+    } else if (typeof value === 'string' && TIMESTAMP_PATTERN.test(value)) {
+      row[column] = new Date(value);
+    }
+  }
+  return row;
+}
+
+function toConstraintError(err) {
+  const match = CONSTRAINT_CODES.find(([message]) => err.message.includes(message));
+  if (match) err.code = match[1];
+  return err;
+}
+
+// Queue that lets one holder at a time use the connection; resolves to a release function
+function createLock(ready) {
+  let tail = ready;
+  return () => {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const acquired = tail.then(() => release);
+    tail = tail.then(() => held);
+    return acquired;
+  };
+}
+
+function createSqliteDatabase({ filename }) {
+  const sqlite3 = require('sqlite3');
+  const connection = new sqlite3.Database(filename);
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    connection[method](...args, function (err, rows) {
+      if (err) reject(toConstraintError(err));
+      else resolve(method === 'run' ? { rows: [], rowCount: this.changes } : { rows, rowCount: rows && rows.length });
+    });
+  });
+
+  const ready = call('exec', 'PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;')
+    .then(() => console.log(`Connected to SQLite database ${filename}`));
+  const acquire = createLock(ready);
+
+  // Statements returning rows are read with all(); other writes report their change count
+  async function run(text, params = []) {
+    const statement = translate(text);
+    const returnsRows = /^\s*(SELECT|WITH|PRAGMA|VALUES)\b/i.test(statement) || /\bRETURNING\b/i.test(statement);
+    const result = await call(returnsRows ? 'all' : 'run', statement, params.map(toParam));
+    result.rows = result.rows.map(fromRow);
+    return result;
+  }
+
+  return {
+    dialect: 'sqlite',
+    name: `SQLite (${filename})`,
+    sql,
+    query: async (text, params) => {
+      const release = await acquire();
+      try {
+        return await run(text, params);
+      } finally {
+        release();
+      }
+    },
+    // The client holds the connection until released, so its transaction is not interleaved
+    connect: async () => {
+      const release = await acquire();
+      const client = {
+        query: run,
+        actorSet: false,
+        release: () => {
+          if (!client.actorSet) return release();
+          call('run', 'DELETE FROM audit_context').catch(() => {}).then(release);
+        }
+      };
+      return client;
+    },
+    exec: (client, script) => call('exec', script),
+    // The audit triggers read the acting user from audit_context; it is cleared on release
+    setAuditActor: async (client, actor) => {
+      client.actorSet = true;
+      await client.query('INSERT OR REPLACE INTO audit_context (id, actor) VALUES (1, $1)', [actor]);
+    },
+    end: async () => {
+      const release = await acquire();
+      await call('close');
+      release();
+    }
+  };
+}
+
+// ===================
+// Migration Helpers
+// ===================
+
+// SQLite has no row-to-JSON function, so the audit triggers list a table's columns
+// and any migration that adds or removes audited columns recreates them
+function auditTriggers(table, keyColumn, columns) {
+  const image = row => `json_object(${columns.map(column => `'${column}', ${row}.${column}`).join(', ')})`;
+  const actor = `COALESCE((SELECT actor FROM audit_context), 'system')`;
+  const trigger = (action, condition, recordId, before, after) => `
+    CREATE TRIGGER audit_${table}_${action} AFTER ${action.toUpperCase()} ON ${table}
+    FOR EACH ROW${condition ? ` WHEN ${condition}` : ''}
+    BEGIN
+      INSERT INTO audit_log (table_name, record_id, action, actor, before_data, after_data)
+      VALUES ('${table}', ${recordId}, '${action}', ${actor}, ${before}, ${after});
+    END;`;
+
+  return `
+    ${dropAuditTriggers(table)}
+    ${trigger('insert', null, `NEW.${keyColumn}`, 'NULL', image('NEW'))}
+    ${trigger('update', `${image('OLD')} IS NOT ${image('NEW')}`, `NEW.${keyColumn}`, image('OLD'), image('NEW'))}
+    ${trigger('delete', null, `OLD.${keyColumn}`, image('OLD'), 'NULL')}
+  `;
+}
+
+function dropAuditTriggers(table) {
+  return ['insert', 'update', 'delete']
+    .map(action => `DROP TRIGGER IF EXISTS audit_${table}_${action};`)
+    .join('\n');
+}
+
+module.exports = { createSqliteDatabase, translate, auditTriggers, dropAuditTriggers, SQLITE_NOW };
@@ -0,0 +1,151 @@
+// iCalendar (RFC 5545) for the calendar feeds and the leave import. Only what those need
+// is supported: writing all-day events, and reading the dates and text of VEVENTs.
+
+const PRODUCT_ID = '-//Attendance Tracker//Calendar Feeds//EN';
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets continue on lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = date => date.replace(/-/g, '');
+
+// YYYY-MM-DD the given number of days after a date
+function shiftDate(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// A calendar of all-day events. Each event is
+//   { uid, start, end, summary, description, status, categories, properties }
+// with start and end as inclusive YYYY-MM-DD dates and properties holding extra X- fields.
+function formatCalendar({ name, events, now = new Date() }) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(event.start)}`,
+      // The end of an all-day event is the day after it
+      `DTEND;VALUE=DATE:${compactDate(shiftDate(event.end, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.status ? [`STATUS:${event.status}`] : []),
+      ...(event.categories ? [`CATEGORIES:${escapeText(event.categories)}`] : []),
+      ...Object.entries(event.properties || {}).map(([key, value]) => `${key}:${escapeText(value)}`),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// YYYY-MM-DD from a DATE or DATE-TIME value. Times are taken at face value, in whatever
+// zone they were written in.
+function valueDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value || '');
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed) || !parsed.toISOString().startsWith(date)) return null;
+  return { date, midnight: !match[4] || `${match[5]}${match[6]}${match[7]}` === '000000' };
+}
+
+// Inclusive dates an event covers. An all-day or midnight end is exclusive.
+function eventDates(properties) {
+  const start = valueDate(properties.DTSTART?.value);
+  if (!start) return { start: null, end: null };
+
+  const end = valueDate(properties.DTEND?.value);
+  if (!end || end.date <= start.date) return { start: start.date, end: start.date };
+  return { start: start.date, end: end.midnight ? shiftDate(end.date, -1) : end.date };
+}
+
+// The VEVENTs of a calendar in file order, as
+//   { uid, summary, description, status, start, end, properties }
+// where properties maps each property name to its unescaped { value, params } (the first
+// one wins).
+function parseCalendar(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('not an iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let properties = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+    if (!match) continue;
+    const name = match[1].toUpperCase();
+    const value = match[3];
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      properties = {};
+      depth = 0;
+    } else if (properties && name === 'BEGIN') {
+      // Nested components such as VALARM have their own properties
+      depth++;
+    } else if (properties && name === 'END' && depth > 0) {
+      depth--;
+    } else if (properties && name === 'END' && value.toUpperCase() === 'VEVENT') {
+      events.push(properties);
+      properties = null;
+    } else if (properties && depth === 0 && !properties[name]) {
+      const params = Object.fromEntries(match[2].split(';').filter(Boolean).map(param => {
+        const [key, ...rest] = param.split('=');
+        return [key.toUpperCase(), rest.join('=')];
+      }));
+      properties[name] = { value: unescapeText(value), params };
+    }
+  }
+
+  return events.map(properties => ({
+    uid: properties.UID?.value || null,
+    summary: properties.SUMMARY?.value || '',
+    description: properties.DESCRIPTION?.value || '',
+    status: properties.STATUS?.value.toUpperCase() || null,
+    ...eventDates(properties),
+    properties
+  }));
+}
+
+module.exports = { formatCalendar, parseCalendar };
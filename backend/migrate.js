@@ -0,0 +1,163 @@
+// Versioned schema migrations.
+// Each file in ./migrations is named NNN_description.js and exports { up, down } SQL
+// for every storage driver ({ postgres: { up, down }, sqlite: { up, down } }).
+// Applied versions are tracked in schema_migrations; run from the command line with
+//   node migrate.js up [version] | down [steps] | status
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Arbitrary key so concurrent runners (e.g. two deploys) never apply the same migration twice
+const MIGRATION_LOCK_ID = 7413029;
+
+// Load the migrations for a driver's dialect in version order
+function loadMigrations(dialect) {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file))[dialect] || {};
+      if (typeof up !== 'string' || typeof down !== 'string') {
+        throw new Error(`Migration ${file} must export up and down SQL for ${dialect}`);
+      }
+      return { version, name, up, down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Compare the migration files with what the database has applied.
+// unknown lists versions applied to the database that have no file here (a newer deploy ran them).
+async function migrationStatus(database, client = database) {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(result.rows.map(row => row.version));
+  const migrations = loadMigrations(database.dialect);
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied: result.rows.filter(row => known.has(row.version)),
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: result.rows.filter(row => !known.has(row.version))
+  };
+}
+
+// Run fn on a dedicated client holding the migration lock. SQLite needs no lock
+// because the driver already gives the client the only connection.
+async function withMigrationLock(database, fn) {
+  const client = await database.connect();
+  const locking = database.dialect === 'postgres';
+  try {
+    if (locking) await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    return await fn(client);
+  } finally {
+    if (locking) await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// Apply pending migrations in order, each in its own transaction, up to and including `to` if given
+async function migrateUp(database, { to } = {}) {
+  return withMigrationLock(database, async client => {
+    const { pending } = await migrationStatus(database, client);
+    const batch = to ? pending.filter(migration => Number(migration.version) <= Number(to)) : pending;
+
+    for (const migration of batch) {
+      try {
+        await client.query('BEGIN');
+        await database.exec(client, migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`Applied ${migration.version}_${migration.name}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${err.message}`);
+      }
+    }
+    return batch;
+  });
+}
+
+// Revert the most recently applied migrations, newest first
+async function migrateDown(database, { steps = 1 } = {}) {
+  return withMigrationLock(database, async client => {
+    const { applied, unknown } = await migrationStatus(database, client);
+    if (unknown.length > 0) {
+      throw new Error(`Cannot roll back: no migration files for applied versions ${unknown.map(row => row.version).join(', ')}`);
+    }
+
+    const migrations = new Map(loadMigrations(database.dialect).map(migration => [migration.version, migration]));
+    const batch = applied.slice(-steps).reverse().map(row => migrations.get(row.version));
+
+    for (const migration of batch) {
+      try {
+        await client.query('BEGIN');
+        await database.exec(client, migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        console.log(`Reverted ${migration.version}_${migration.name}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${err.message}`);
+      }
+    }
+    return batch;
+  });
+}
+
+module.exports = { loadMigrations, migrationStatus, migrateUp, migrateDown };
+
+// ===================
+// Command Line
+// ===================
+
+async function main([command = 'status', arg]) {
+  require('dotenv').config();
+  const { createDatabase } = require('./db');
+  const database = createDatabase();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(database, { to: arg });
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const reverted = await migrateDown(database, { steps });
+      console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const { applied, pending, unknown } = await migrationStatus(database);
+      applied.forEach(row => console.log(`  applied  ${row.version}_${row.name}  (${row.applied_at.toISOString()})`));
+      pending.forEach(migration => console.log(`  pending  ${migration.version}_${migration.name}`));
+      unknown.forEach(row => console.log(`  unknown  ${row.version}_${row.name}  (no migration file)`));
+    } else {
+      throw new Error(`Unknown command '${command}' - use up [version], down [steps] or status`);
+    }
+  } finally {
+    await database.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,61 @@
+// Employees and their daily attendance records
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS employees (
+        emp_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS attendance_records (
+        id SERIAL PRIMARY KEY,
+        emp_id TEXT NOT NULL,
+        emp_name TEXT NOT NULL,
+        attendance_type TEXT NOT NULL,
+        date DATE NOT NULL,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (emp_id) REFERENCES employees (emp_id),
+        UNIQUE(emp_id, date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_attendance_emp_date ON attendance_records(emp_id, date);
+      CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance_records(date);
+    `,
+    down: `
+      DROP TABLE IF EXISTS attendance_records;
+      DROP TABLE IF EXISTS employees;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE employees (
+        emp_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        updated_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE attendance_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        emp_id TEXT NOT NULL,
+        emp_name TEXT NOT NULL,
+        attendance_type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        timestamp TEXT DEFAULT ${SQLITE_NOW},
+        FOREIGN KEY (emp_id) REFERENCES employees (emp_id),
+        UNIQUE(emp_id, date)
+      );
+
+      CREATE INDEX idx_attendance_emp_date ON attendance_records(emp_id, date);
+      CREATE INDEX idx_attendance_date ON attendance_records(date);
+    `,
+    down: `
+      DROP TABLE attendance_records;
+      DROP TABLE employees;
+    `
+  }
+};
@@ -0,0 +1,35 @@
+// Login accounts with a role, optionally linked to an employee
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'manager', 'employee')),
+        emp_id TEXT REFERENCES employees (emp_id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS users;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'manager', 'employee')),
+        emp_id TEXT REFERENCES employees (emp_id),
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+    `,
+    down: `
+      DROP TABLE users;
+    `
+  }
+};
@@ -0,0 +1,66 @@
+// Holiday calendars with a working week, their holidays, and a default calendar
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS holiday_calendars (
+        id SERIAL PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        working_days INTEGER[] NOT NULL DEFAULT '{1,2,3,4,5}',
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_calendars_default ON holiday_calendars(is_default) WHERE is_default;
+
+      CREATE TABLE IF NOT EXISTS holidays (
+        id SERIAL PRIMARY KEY,
+        calendar_id INTEGER NOT NULL REFERENCES holiday_calendars (id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        name TEXT NOT NULL,
+        UNIQUE(calendar_id, date)
+      );
+
+      ALTER TABLE employees ADD COLUMN IF NOT EXISTS calendar_id INTEGER REFERENCES holiday_calendars (id) ON DELETE SET NULL;
+
+      INSERT INTO holiday_calendars (name, is_default)
+      SELECT 'Default', TRUE
+      WHERE NOT EXISTS (SELECT 1 FROM holiday_calendars WHERE is_default)
+      ON CONFLICT (name) DO NOTHING;
+    `,
+    down: `
+      ALTER TABLE employees DROP COLUMN IF EXISTS calendar_id;
+      DROP TABLE IF EXISTS holidays;
+      DROP TABLE IF EXISTS holiday_calendars;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE holiday_calendars (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        working_days TEXT NOT NULL DEFAULT '[1,2,3,4,5]',
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+      CREATE UNIQUE INDEX idx_calendars_default ON holiday_calendars(is_default) WHERE is_default;
+
+      CREATE TABLE holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        calendar_id INTEGER NOT NULL REFERENCES holiday_calendars (id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        name TEXT NOT NULL,
+        UNIQUE(calendar_id, date)
+      );
+
+      ALTER TABLE employees ADD COLUMN calendar_id INTEGER REFERENCES holiday_calendars (id) ON DELETE SET NULL;
+
+      INSERT INTO holiday_calendars (name, is_default) VALUES ('Default', TRUE);
+    `,
+    down: `
+      ALTER TABLE employees DROP COLUMN calendar_id;
+      DROP TABLE holidays;
+      DROP TABLE holiday_calendars;
+    `
+  }
+};
@@ -0,0 +1,69 @@
+// Leave entitlements per type, manual ledger entries, and the over-balance flag
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS leave_policies (
+        attendance_type TEXT PRIMARY KEY,
+        annual_days NUMERIC(6,2) NOT NULL CHECK (annual_days >= 0),
+        accrual TEXT NOT NULL DEFAULT 'yearly' CHECK (accrual IN ('yearly', 'monthly')),
+        carry_forward_cap NUMERIC(6,2) NOT NULL DEFAULT 0 CHECK (carry_forward_cap >= 0),
+        on_exceed TEXT NOT NULL DEFAULT 'reject' CHECK (on_exceed IN ('reject', 'flag')),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS leave_ledger (
+        id SERIAL PRIMARY KEY,
+        emp_id TEXT NOT NULL REFERENCES employees (emp_id),
+        attendance_type TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('adjustment', 'carry_forward')),
+        days NUMERIC(6,2) NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_leave_ledger_emp_year ON leave_ledger(emp_id, year);
+
+      ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS balance_exceeded BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+    down: `
+      ALTER TABLE attendance_records DROP COLUMN IF EXISTS balance_exceeded;
+      DROP TABLE IF EXISTS leave_ledger;
+      DROP TABLE IF EXISTS leave_policies;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE leave_policies (
+        attendance_type TEXT PRIMARY KEY,
+        annual_days NUMERIC NOT NULL CHECK (annual_days >= 0),
+        accrual TEXT NOT NULL DEFAULT 'yearly' CHECK (accrual IN ('yearly', 'monthly')),
+        carry_forward_cap NUMERIC NOT NULL DEFAULT 0 CHECK (carry_forward_cap >= 0),
+        on_exceed TEXT NOT NULL DEFAULT 'reject' CHECK (on_exceed IN ('reject', 'flag')),
+        updated_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE leave_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        emp_id TEXT NOT NULL REFERENCES employees (emp_id),
+        attendance_type TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('adjustment', 'carry_forward')),
+        days NUMERIC NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+      CREATE INDEX idx_leave_ledger_emp_year ON leave_ledger(emp_id, year);
+
+      ALTER TABLE attendance_records ADD COLUMN balance_exceeded BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+    down: `
+      ALTER TABLE attendance_records DROP COLUMN balance_exceeded;
+      DROP TABLE leave_ledger;
+      DROP TABLE leave_policies;
+    `
+  }
+};
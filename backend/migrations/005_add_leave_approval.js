@@ -0,0 +1,43 @@
+// Leave approval workflow (existing records count as approved)
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE attendance_records
+        ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')),
+        ADD COLUMN IF NOT EXISTS leave_request_id TEXT,
+        ADD COLUMN IF NOT EXISTS reviewed_by TEXT,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS review_comment TEXT;
+      CREATE INDEX IF NOT EXISTS idx_attendance_leave_request ON attendance_records(leave_request_id);
+      CREATE INDEX IF NOT EXISTS idx_attendance_status ON attendance_records(status);
+    `,
+    down: `
+      ALTER TABLE attendance_records
+        DROP COLUMN IF EXISTS status,
+        DROP COLUMN IF EXISTS leave_request_id,
+        DROP COLUMN IF EXISTS reviewed_by,
+        DROP COLUMN IF EXISTS reviewed_at,
+        DROP COLUMN IF EXISTS review_comment;
+    `
+  },
+  sqlite: {
+    up: `
+      ALTER TABLE attendance_records ADD COLUMN status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected'));
+      ALTER TABLE attendance_records ADD COLUMN leave_request_id TEXT;
+      ALTER TABLE attendance_records ADD COLUMN reviewed_by TEXT;
+      ALTER TABLE attendance_records ADD COLUMN reviewed_at TEXT;
+      ALTER TABLE attendance_records ADD COLUMN review_comment TEXT;
+      CREATE INDEX idx_attendance_leave_request ON attendance_records(leave_request_id);
+      CREATE INDEX idx_attendance_status ON attendance_records(status);
+    `,
+    down: `
+      DROP INDEX idx_attendance_leave_request;
+      DROP INDEX idx_attendance_status;
+      ALTER TABLE attendance_records DROP COLUMN status;
+      ALTER TABLE attendance_records DROP COLUMN leave_request_id;
+      ALTER TABLE attendance_records DROP COLUMN reviewed_by;
+      ALTER TABLE attendance_records DROP COLUMN reviewed_at;
+      ALTER TABLE attendance_records DROP COLUMN review_comment;
+    `
+  }
+};
@@ -0,0 +1,51 @@
+// Clock-in work periods and breaks, and the working hours they are measured against
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS attendance_sessions (
+        id SERIAL PRIMARY KEY,
+        attendance_id INTEGER NOT NULL REFERENCES attendance_records (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('work', 'break')),
+        started_at TIMESTAMPTZ NOT NULL,
+        ended_at TIMESTAMPTZ,
+        CHECK (ended_at IS NULL OR ended_at >= started_at)
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_attendance ON attendance_sessions(attendance_id);
+
+      ALTER TABLE holiday_calendars
+        ADD COLUMN IF NOT EXISTS work_start TIME NOT NULL DEFAULT '09:00',
+        ADD COLUMN IF NOT EXISTS work_end TIME NOT NULL DEFAULT '18:00',
+        ADD COLUMN IF NOT EXISTS grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0);
+    `,
+    down: `
+      ALTER TABLE holiday_calendars
+        DROP COLUMN IF EXISTS work_start,
+        DROP COLUMN IF EXISTS work_end,
+        DROP COLUMN IF EXISTS grace_minutes;
+      DROP TABLE IF EXISTS attendance_sessions;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE attendance_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attendance_id INTEGER NOT NULL REFERENCES attendance_records (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('work', 'break')),
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        CHECK (ended_at IS NULL OR ended_at >= started_at)
+      );
+      CREATE INDEX idx_sessions_attendance ON attendance_sessions(attendance_id);
+
+      ALTER TABLE holiday_calendars ADD COLUMN work_start TEXT NOT NULL DEFAULT '09:00';
+      ALTER TABLE holiday_calendars ADD COLUMN work_end TEXT NOT NULL DEFAULT '18:00';
+      ALTER TABLE holiday_calendars ADD COLUMN grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0);
+    `,
+    down: `
+      ALTER TABLE holiday_calendars DROP COLUMN work_start;
+      ALTER TABLE holiday_calendars DROP COLUMN work_end;
+      ALTER TABLE holiday_calendars DROP COLUMN grace_minutes;
+      DROP TABLE attendance_sessions;
+    `
+  }
+};
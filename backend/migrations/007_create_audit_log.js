@@ -0,0 +1,92 @@
+// Audit log filled by triggers on employees and attendance_records. The acting user
+// comes from the app.actor setting of the transaction (audit_context on SQLite),
+// or 'system' when unset.
+const { SQLITE_NOW, auditTriggers, dropAuditTriggers } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        table_name TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+        actor TEXT NOT NULL,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        before_data JSONB,
+        after_data JSONB
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_record ON audit_log(table_name, record_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_changed_at ON audit_log(changed_at);
+
+      CREATE OR REPLACE FUNCTION audit_row_change() RETURNS trigger AS $$
+      DECLARE
+        before_row JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) END;
+        after_row JSONB := CASE WHEN TG_OP IN ('INSERT', 'UPDATE') THEN to_jsonb(NEW) END;
+      BEGIN
+        IF TG_OP = 'UPDATE' AND before_row = after_row THEN
+          RETURN NULL;
+        END IF;
+
+        INSERT INTO audit_log (table_name, record_id, action, actor, before_data, after_data)
+        VALUES (
+          TG_TABLE_NAME,
+          COALESCE(after_row, before_row) ->> TG_ARGV[0],
+          lower(TG_OP),
+          COALESCE(NULLIF(current_setting('app.actor', true), ''), 'system'),
+          before_row,
+          after_row
+        );
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS audit_employees ON employees;
+      CREATE TRIGGER audit_employees AFTER INSERT OR UPDATE OR DELETE ON employees
+      FOR EACH ROW EXECUTE FUNCTION audit_row_change('emp_id');
+
+      DROP TRIGGER IF EXISTS audit_attendance_records ON attendance_records;
+      CREATE TRIGGER audit_attendance_records AFTER INSERT OR UPDATE OR DELETE ON attendance_records
+      FOR EACH ROW EXECUTE FUNCTION audit_row_change('id');
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS audit_attendance_records ON attendance_records;
+      DROP TRIGGER IF EXISTS audit_employees ON employees;
+      DROP FUNCTION IF EXISTS audit_row_change();
+      DROP TABLE IF EXISTS audit_log;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+        actor TEXT NOT NULL,
+        changed_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+        before_data TEXT,
+        after_data TEXT
+      );
+      CREATE INDEX idx_audit_record ON audit_log(table_name, record_id);
+      CREATE INDEX idx_audit_changed_at ON audit_log(changed_at);
+
+      CREATE TABLE audit_context (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        actor TEXT NOT NULL
+      );
+
+      ${auditTriggers('employees', 'emp_id', ['emp_id', 'name', 'created_at', 'updated_at', 'calendar_id'])}
+      ${auditTriggers('attendance_records', 'id', [
+        'id', 'emp_id', 'emp_name', 'attendance_type', 'date', 'timestamp', 'balance_exceeded',
+        'status', 'leave_request_id', 'reviewed_by', 'reviewed_at', 'review_comment'
+      ])}
+    `,
+    down: `
+      ${dropAuditTriggers('attendance_records')}
+      ${dropAuditTriggers('employees')}
+      DROP TABLE audit_context;
+      DROP TABLE audit_log;
+    `
+  }
+};
@@ -0,0 +1,39 @@
+// Soft delete: removed records are kept in the trash until purged
+const { auditTriggers } = require('../db/sqlite');
+
+const AUDITED_COLUMNS = [
+  'id', 'emp_id', 'emp_name', 'attendance_type', 'date', 'timestamp', 'balance_exceeded',
+  'status', 'leave_request_id', 'reviewed_by', 'reviewed_at', 'review_comment'
+];
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE attendance_records
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+      CREATE INDEX IF NOT EXISTS idx_attendance_deleted ON attendance_records(deleted_at) WHERE deleted_at IS NOT NULL;
+    `,
+    down: `
+      DELETE FROM attendance_records WHERE deleted_at IS NOT NULL;
+      ALTER TABLE attendance_records
+        DROP COLUMN IF EXISTS deleted_at,
+        DROP COLUMN IF EXISTS deleted_by;
+    `
+  },
+  sqlite: {
+    up: `
+      ALTER TABLE attendance_records ADD COLUMN deleted_at TEXT;
+      ALTER TABLE attendance_records ADD COLUMN deleted_by TEXT;
+      CREATE INDEX idx_attendance_deleted ON attendance_records(deleted_at) WHERE deleted_at IS NOT NULL;
+      ${auditTriggers('attendance_records', 'id', [...AUDITED_COLUMNS, 'deleted_at', 'deleted_by'])}
+    `,
+    down: `
+      DELETE FROM attendance_records WHERE deleted_at IS NOT NULL;
+      DROP INDEX idx_attendance_deleted;
+      ${auditTriggers('attendance_records', 'id', AUDITED_COLUMNS)}
+      ALTER TABLE attendance_records DROP COLUMN deleted_at;
+      ALTER TABLE attendance_records DROP COLUMN deleted_by;
+    `
+  }
+};
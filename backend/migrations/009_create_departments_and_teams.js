@@ -0,0 +1,76 @@
+// Departments and teams, and a reporting manager for each employee
+const { SQLITE_NOW, auditTriggers } = require('../db/sqlite');
+
+const AUDITED_COLUMNS = ['emp_id', 'name', 'created_at', 'updated_at', 'calendar_id'];
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS departments (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS teams (
+        id SERIAL PRIMARY KEY,
+        department_id INTEGER NOT NULL REFERENCES departments (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(department_id, name)
+      );
+
+      ALTER TABLE employees
+        ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments (id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams (id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS manager_id TEXT REFERENCES employees (emp_id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_employees_department ON employees(department_id);
+      CREATE INDEX IF NOT EXISTS idx_employees_team ON employees(team_id);
+      CREATE INDEX IF NOT EXISTS idx_employees_manager ON employees(manager_id);
+    `,
+    down: `
+      ALTER TABLE employees
+        DROP COLUMN IF EXISTS department_id,
+        DROP COLUMN IF EXISTS team_id,
+        DROP COLUMN IF EXISTS manager_id;
+      DROP TABLE IF EXISTS teams;
+      DROP TABLE IF EXISTS departments;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE departments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+
+      CREATE TABLE teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        department_id INTEGER NOT NULL REFERENCES departments (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        UNIQUE(department_id, name)
+      );
+
+      ALTER TABLE employees ADD COLUMN department_id INTEGER REFERENCES departments (id) ON DELETE SET NULL;
+      ALTER TABLE employees ADD COLUMN team_id INTEGER REFERENCES teams (id) ON DELETE SET NULL;
+      ALTER TABLE employees ADD COLUMN manager_id TEXT REFERENCES employees (emp_id) ON DELETE SET NULL;
+      CREATE INDEX idx_employees_department ON employees(department_id);
+      CREATE INDEX idx_employees_team ON employees(team_id);
+      CREATE INDEX idx_employees_manager ON employees(manager_id);
+      ${auditTriggers('employees', 'emp_id', [...AUDITED_COLUMNS, 'department_id', 'team_id', 'manager_id'])}
+    `,
+    down: `
+      DROP INDEX idx_employees_department;
+      DROP INDEX idx_employees_team;
+      DROP INDEX idx_employees_manager;
+      ${auditTriggers('employees', 'emp_id', AUDITED_COLUMNS)}
+      ALTER TABLE employees DROP COLUMN department_id;
+      ALTER TABLE employees DROP COLUMN team_id;
+      ALTER TABLE employees DROP COLUMN manager_id;
+      DROP TABLE teams;
+      DROP TABLE departments;
+    `
+  }
+};
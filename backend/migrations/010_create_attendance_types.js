@@ -0,0 +1,58 @@
+// Attendance type catalogue, seeded with the built-in types
+const { SQLITE_NOW } = require('../db/sqlite');
+
+const SEED = `
+  INSERT INTO attendance_types (code, label, category, paid, color, needs_range, sort_order) VALUES
+    ('WFO', 'Work From Office', 'presence', TRUE, '#166534', FALSE, 0),
+    ('WFH', 'Work From Home', 'presence', TRUE, '#1E40AF', FALSE, 1),
+    ('Emergency Leave', 'Emergency Leave', 'leave', TRUE, '#991B1B', TRUE, 2),
+    ('Sick Leave', 'Sick Leave', 'leave', TRUE, '#EA580C', TRUE, 3),
+    ('Planned Leave', 'Planned Leave', 'leave', TRUE, '#7C3AED', TRUE, 4),
+    ('Maternity Leave', 'Maternity Leave', 'leave', TRUE, '#BE185D', TRUE, 5),
+    ('Paternity Leave', 'Paternity Leave', 'leave', TRUE, '#4338CA', TRUE, 6),
+    ('Casual Leave', 'Casual Leave', 'leave', TRUE, '#A16207', TRUE, 7),
+    ('Annual Leave', 'Annual Leave', 'leave', TRUE, '#0F766E', TRUE, 8),
+    ('Compensatory Off', 'Compensatory Off', 'leave', TRUE, '#374151', TRUE, 9)
+  ON CONFLICT (code) DO NOTHING;
+`;
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS attendance_types (
+        code TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        category TEXT NOT NULL CHECK (category IN ('presence', 'leave')),
+        paid BOOLEAN NOT NULL DEFAULT TRUE,
+        color TEXT NOT NULL DEFAULT '#374151',
+        needs_range BOOLEAN NOT NULL DEFAULT FALSE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ${SEED}
+    `,
+    down: `
+      DROP TABLE IF EXISTS attendance_types;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE attendance_types (
+        code TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        category TEXT NOT NULL CHECK (category IN ('presence', 'leave')),
+        paid BOOLEAN NOT NULL DEFAULT TRUE,
+        color TEXT NOT NULL DEFAULT '#374151',
+        needs_range BOOLEAN NOT NULL DEFAULT FALSE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+      ${SEED}
+    `,
+    down: `
+      DROP TABLE attendance_types;
+    `
+  }
+};
@@ -0,0 +1,47 @@
+// Hybrid work policies (one company-wide policy, team policies override it)
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS work_policies (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        team_id INTEGER UNIQUE REFERENCES teams (id) ON DELETE CASCADE,
+        period TEXT NOT NULL DEFAULT 'week' CHECK (period IN ('week', 'month')),
+        min_office_days INTEGER NOT NULL DEFAULT 0 CHECK (min_office_days >= 0),
+        max_consecutive_remote INTEGER CHECK (max_consecutive_remote >= 0),
+        anchor_days INTEGER[] NOT NULL DEFAULT '{}',
+        office_type TEXT NOT NULL DEFAULT 'WFO',
+        remote_type TEXT NOT NULL DEFAULT 'WFH',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_work_policies_company ON work_policies ((TRUE)) WHERE team_id IS NULL;
+    `,
+    down: `
+      DROP TABLE IF EXISTS work_policies;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE work_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        team_id INTEGER UNIQUE REFERENCES teams (id) ON DELETE CASCADE,
+        period TEXT NOT NULL DEFAULT 'week' CHECK (period IN ('week', 'month')),
+        min_office_days INTEGER NOT NULL DEFAULT 0 CHECK (min_office_days >= 0),
+        max_consecutive_remote INTEGER CHECK (max_consecutive_remote >= 0),
+        anchor_days TEXT NOT NULL DEFAULT '[]',
+        office_type TEXT NOT NULL DEFAULT 'WFO',
+        remote_type TEXT NOT NULL DEFAULT 'WFH',
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        updated_at TEXT DEFAULT ${SQLITE_NOW}
+      );
+      CREATE UNIQUE INDEX idx_work_policies_company ON work_policies ((team_id IS NULL)) WHERE team_id IS NULL;
+    `,
+    down: `
+      DROP TABLE work_policies;
+    `
+  }
+};
@@ -0,0 +1,57 @@
+// Employee email addresses for reminders, and a log of scheduled job runs.
+// A scheduled run is claimed by inserting its row, so each job runs once a day
+// even with several server processes; manual runs (triggered_by set) are not limited.
+const { SQLITE_NOW, auditTriggers } = require('../db/sqlite');
+
+const AUDITED_COLUMNS = ['emp_id', 'name', 'created_at', 'updated_at', 'calendar_id', 'department_id', 'team_id', 'manager_id'];
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE employees ADD COLUMN IF NOT EXISTS email TEXT;
+
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job TEXT NOT NULL,
+        run_date DATE NOT NULL,
+        triggered_by TEXT,
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+        result JSONB,
+        error TEXT,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_scheduled ON job_runs(job, run_date) WHERE triggered_by IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
+    `,
+    down: `
+      DROP TABLE IF EXISTS job_runs;
+      ALTER TABLE employees DROP COLUMN IF EXISTS email;
+    `
+  },
+  sqlite: {
+    up: `
+      ALTER TABLE employees ADD COLUMN email TEXT;
+      ${auditTriggers('employees', 'emp_id', [...AUDITED_COLUMNS, 'email'])}
+
+      CREATE TABLE job_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job TEXT NOT NULL,
+        run_date TEXT NOT NULL,
+        triggered_by TEXT,
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+        result TEXT,
+        error TEXT,
+        started_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+        finished_at TEXT
+      );
+      CREATE UNIQUE INDEX idx_job_runs_scheduled ON job_runs(job, run_date) WHERE triggered_by IS NULL;
+      CREATE INDEX idx_job_runs_job ON job_runs(job, started_at);
+    `,
+    down: `
+      DROP TABLE job_runs;
+      ${auditTriggers('employees', 'emp_id', AUDITED_COLUMNS)}
+      ALTER TABLE employees DROP COLUMN email;
+    `
+  }
+};
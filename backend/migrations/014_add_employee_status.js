@@ -0,0 +1,36 @@
+// Employee status and employment dates. Inactive employees, and dates before joining or
+// after leaving, cannot have attendance; the missing-attendance checks skip them as well.
+const { auditTriggers } = require('../db/sqlite');
+
+const AUDITED_COLUMNS = ['emp_id', 'name', 'created_at', 'updated_at', 'calendar_id', 'department_id', 'team_id', 'manager_id', 'email'];
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE employees
+        ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS join_date DATE,
+        ADD COLUMN IF NOT EXISTS exit_date DATE CHECK (exit_date >= join_date);
+    `,
+    down: `
+      ALTER TABLE employees
+        DROP COLUMN IF EXISTS active,
+        DROP COLUMN IF EXISTS join_date,
+        DROP COLUMN IF EXISTS exit_date;
+    `
+  },
+  sqlite: {
+    up: `
+      ALTER TABLE employees ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE employees ADD COLUMN join_date TEXT;
+      ALTER TABLE employees ADD COLUMN exit_date TEXT CHECK (exit_date >= join_date);
+      ${auditTriggers('employees', 'emp_id', [...AUDITED_COLUMNS, 'active', 'join_date', 'exit_date'])}
+    `,
+    down: `
+      ${auditTriggers('employees', 'emp_id', AUDITED_COLUMNS)}
+      ALTER TABLE employees DROP COLUMN exit_date;
+      ALTER TABLE employees DROP COLUMN join_date;
+      ALTER TABLE employees DROP COLUMN active;
+    `
+  }
+};
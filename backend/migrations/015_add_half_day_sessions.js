@@ -0,0 +1,99 @@
+// Half-day and partial-day attendance. A record covers the whole day ('full') or one half
+// ('am' or 'pm'), and fraction is how much of the day it counts for (at most 0.5 for a half).
+// An employee can have one record per session of a day instead of one per day.
+const { auditTriggers, SQLITE_NOW } = require('../db/sqlite');
+
+const AUDITED_COLUMNS = [
+  'id', 'emp_id', 'emp_name', 'attendance_type', 'date', 'timestamp', 'balance_exceeded',
+  'status', 'leave_request_id', 'reviewed_by', 'reviewed_at', 'review_comment', 'deleted_at', 'deleted_by'
+];
+
+// Before going back to one record per day: keep the whole-day record, or else the morning one
+const KEEP_ONE_PER_DAY = `
+  DELETE FROM attendance_records
+  WHERE session <> 'full' AND EXISTS (
+    SELECT 1 FROM attendance_records other
+    WHERE other.emp_id = attendance_records.emp_id AND other.date = attendance_records.date
+      AND (other.session = 'full' OR (other.session = 'am' AND attendance_records.session = 'pm'))
+  );
+`;
+
+// SQLite cannot change a table's constraints, so the table is copied into a new one.
+// Dropping the old table would cascade to the clock sessions, so they are set aside first.
+// The columns both versions of the table have are copied across.
+function rebuildAttendanceRecords({ definitions, unique, audited }) {
+  return `
+    CREATE TABLE attendance_records_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      emp_id TEXT NOT NULL,
+      emp_name TEXT NOT NULL,
+      attendance_type TEXT NOT NULL,
+      date TEXT NOT NULL,
+      timestamp TEXT DEFAULT ${SQLITE_NOW},
+      balance_exceeded BOOLEAN NOT NULL DEFAULT FALSE,
+      status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')),
+      leave_request_id TEXT,
+      reviewed_by TEXT,
+      reviewed_at TEXT,
+      review_comment TEXT,
+      deleted_at TEXT,
+      deleted_by TEXT,
+      ${definitions.map(definition => `${definition},`).join('\n      ')}
+      FOREIGN KEY (emp_id) REFERENCES employees (emp_id),
+      UNIQUE(${unique.join(', ')})
+    );
+    INSERT INTO attendance_records_new (${AUDITED_COLUMNS.join(', ')})
+      SELECT ${AUDITED_COLUMNS.join(', ')} FROM attendance_records;
+    UPDATE sqlite_sequence SET seq = (SELECT seq FROM sqlite_sequence WHERE name = 'attendance_records')
+      WHERE name = 'attendance_records_new';
+
+    CREATE TEMP TABLE attendance_sessions_backup AS SELECT * FROM attendance_sessions;
+    DROP TABLE attendance_records;
+    ALTER TABLE attendance_records_new RENAME TO attendance_records;
+    INSERT INTO attendance_sessions SELECT * FROM attendance_sessions_backup;
+    DROP TABLE attendance_sessions_backup;
+
+    CREATE INDEX idx_attendance_emp_date ON attendance_records(emp_id, date);
+    CREATE INDEX idx_attendance_date ON attendance_records(date);
+    CREATE INDEX idx_attendance_leave_request ON attendance_records(leave_request_id);
+    CREATE INDEX idx_attendance_status ON attendance_records(status);
+    CREATE INDEX idx_attendance_deleted ON attendance_records(deleted_at) WHERE deleted_at IS NOT NULL;
+    ${auditTriggers('attendance_records', 'id', audited)}
+  `;
+}
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE attendance_records
+        ADD COLUMN IF NOT EXISTS session TEXT NOT NULL DEFAULT 'full' CHECK (session IN ('full', 'am', 'pm')),
+        ADD COLUMN IF NOT EXISTS fraction REAL NOT NULL DEFAULT 1 CHECK (fraction > 0 AND fraction <= 1),
+        ADD CONSTRAINT attendance_records_half_day_fraction CHECK (session = 'full' OR fraction <= 0.5),
+        DROP CONSTRAINT IF EXISTS attendance_records_emp_id_date_key,
+        ADD CONSTRAINT attendance_records_emp_id_date_session_key UNIQUE (emp_id, date, session);
+    `,
+    down: `
+      ${KEEP_ONE_PER_DAY}
+      ALTER TABLE attendance_records
+        DROP CONSTRAINT IF EXISTS attendance_records_emp_id_date_session_key,
+        ADD CONSTRAINT attendance_records_emp_id_date_key UNIQUE (emp_id, date),
+        DROP COLUMN IF EXISTS session,
+        DROP COLUMN IF EXISTS fraction;
+    `
+  },
+  sqlite: {
+    up: rebuildAttendanceRecords({
+      definitions: [
+        `session TEXT NOT NULL DEFAULT 'full' CHECK (session IN ('full', 'am', 'pm'))`,
+        'fraction REAL NOT NULL DEFAULT 1 CHECK (fraction > 0 AND fraction <= 1)',
+        `CHECK (session = 'full' OR fraction <= 0.5)`
+      ],
+      unique: ['emp_id', 'date', 'session'],
+      audited: [...AUDITED_COLUMNS, 'session', 'fraction']
+    }),
+    down: `
+      ${KEEP_ONE_PER_DAY}
+      ${rebuildAttendanceRecords({ definitions: [], unique: ['emp_id', 'date'], audited: AUDITED_COLUMNS })}
+    `
+  }
+};
@@ -0,0 +1,45 @@
+// Calendar feeds: iCalendar subscriptions to one employee's, a team's or the whole company's
+// leave. The token in the feed URL is the only credential calendar apps send, so each feed
+// belongs to the user who created it and is checked against their access when it is served.
+const { SQLITE_NOW } = require('../db/sqlite');
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        scope TEXT NOT NULL CHECK (scope IN ('employee', 'team', 'company')),
+        emp_id TEXT REFERENCES employees (emp_id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams (id) ON DELETE CASCADE,
+        include_presence BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        CHECK ((scope = 'employee') = (emp_id IS NOT NULL) AND (scope = 'team') = (team_id IS NOT NULL))
+      );
+      CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id);
+    `,
+    down: `
+      DROP TABLE IF EXISTS calendar_feeds;
+    `
+  },
+  sqlite: {
+    up: `
+      CREATE TABLE calendar_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        scope TEXT NOT NULL CHECK (scope IN ('employee', 'team', 'company')),
+        emp_id TEXT REFERENCES employees (emp_id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams (id) ON DELETE CASCADE,
+        include_presence BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TEXT DEFAULT ${SQLITE_NOW},
+        CHECK ((scope = 'employee') = (emp_id IS NOT NULL) AND (scope = 'team') = (team_id IS NOT NULL))
+      );
+      CREATE INDEX idx_calendar_feeds_user ON calendar_feeds(user_id);
+    `,
+    down: `
+      DROP TABLE calendar_feeds;
+    `
+  }
+};
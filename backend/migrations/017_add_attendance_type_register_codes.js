@@ -0,0 +1,40 @@
+// Short code each attendance type shows in the day cells of the monthly register.
+// Built-in types keep the codes the register has always used; other existing types start
+// with the first letters of their code.
+const BACKFILL = `
+  UPDATE attendance_types SET register_code = CASE code
+    WHEN 'WFO' THEN 'O'
+    WHEN 'WFH' THEN 'H'
+    WHEN 'Emergency Leave' THEN 'EL'
+    WHEN 'Sick Leave' THEN 'SL'
+    WHEN 'Planned Leave' THEN 'PL'
+    WHEN 'Maternity Leave' THEN 'ML'
+    WHEN 'Paternity Leave' THEN 'PTL'
+    WHEN 'Casual Leave' THEN 'CL'
+    WHEN 'Annual Leave' THEN 'AL'
+    WHEN 'Compensatory Off' THEN 'CO'
+    ELSE UPPER(SUBSTR(code, 1, 3))
+  END;
+`;
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE attendance_types ADD COLUMN IF NOT EXISTS register_code TEXT;
+      ${BACKFILL}
+      ALTER TABLE attendance_types ALTER COLUMN register_code SET NOT NULL;
+    `,
+    down: `
+      ALTER TABLE attendance_types DROP COLUMN IF EXISTS register_code;
+    `
+  },
+  sqlite: {
+    up: `
+      ALTER TABLE attendance_types ADD COLUMN register_code TEXT NOT NULL DEFAULT '';
+      ${BACKFILL}
+    `,
+    down: `
+      ALTER TABLE attendance_types DROP COLUMN register_code;
+    `
+  }
+};
@@ -0,0 +1,51 @@
+// Notification channels for the scheduled jobs. Every channel exposes the same interface:
+//   name                         -> for logs
+//   send({ to, subject, text })  -> resolves once the message is handed over
+// NOTIFY_CHANNEL picks the channel; without it, SMTP is used when SMTP_HOST is set and
+// messages are only logged otherwise. Add a channel by adding a factory to CHANNELS.
+
+const DEFAULT_FROM = 'Attendance Tracker <no-reply@localhost>';
+
+const CHANNELS = {
+  // Any SMTP server, e.g. a local stand-in such as MailHog on SMTP_HOST=localhost SMTP_PORT=1025.
+  // Port 465 uses TLS from the start; other ports upgrade with STARTTLS when the server offers it.
+  smtp: env => {
+    if (!env.SMTP_HOST) {
+      throw new Error('The smtp notification channel needs SMTP_HOST');
+    }
+
+    const nodemailer = require('nodemailer');
+    const port = parseInt(env.SMTP_PORT || '587');
+    const transport = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+      ...(env.SMTP_USER && { auth: { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } })
+    });
+    const from = env.SMTP_FROM || DEFAULT_FROM;
+
+    return {
+      name: `SMTP (${env.SMTP_HOST}:${port})`,
+      send: ({ to, subject, text }) => transport.sendMail({ from, to, subject, text })
+    };
+  },
+
+  // Development fallback: print messages instead of sending them
+  log: () => ({
+    name: 'log',
+    send: async ({ to, subject, text }) => {
+      console.log(`Notification to ${to}: ${subject}\n${text}`);
+    }
+  })
+};
+
+function createNotifier(env = process.env) {
+  const channel = env.NOTIFY_CHANNEL || (env.SMTP_HOST ? 'smtp' : 'log');
+
+  if (!CHANNELS[channel]) {
+    throw new Error(`NOTIFY_CHANNEL must be one of: ${Object.keys(CHANNELS).join(', ')}`);
+  }
+  return CHANNELS[channel](env);
+}
+
+module.exports = { createNotifier, CHANNELS };
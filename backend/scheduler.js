@@ -0,0 +1,113 @@
+// Daily background jobs.
+// Each job runs once a day at its configured local time (the server's time zone, set TZ to
+// change it). A scheduled run is claimed by inserting its job_runs row for the day, so with
+// several server processes only one of them runs it, and a run that was due while the server
+// was down happens when it starts. Runs can also be triggered by hand; those always run.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function localDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The time of day on the same date as `from`
+function atTime(from, time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  const date = new Date(from);
+  date.setHours(Number(hours), Number(minutes), 0, 0);
+  return date;
+}
+
+// Next occurrence of the time of day after `from`
+function nextRunAt(time, from = new Date()) {
+  const today = atTime(from, time);
+  if (today > from) return today;
+  const tomorrow = new Date(from);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return atTime(tomorrow, time);
+}
+
+function createScheduler(db) {
+  const jobs = new Map();
+  const timers = new Map();
+
+  // Run a job and record the outcome. Returns the run, or null when today's scheduled
+  // run was already claimed.
+  async function runJob(name, { triggeredBy = null } = {}) {
+    const job = jobs.get(name);
+    const runDate = localDate(new Date());
+
+    let run;
+    try {
+      const claim = await db.query(`
+        INSERT INTO job_runs (job, run_date, triggered_by) VALUES ($1, $2, $3)
+        RETURNING id
+      `, [name, runDate, triggeredBy]);
+      run = { id: claim.rows[0].id, job: name, run_date: runDate, triggered_by: triggeredBy };
+    } catch (err) {
+      if (err.code === '23505') return null;
+      throw err;
+    }
+
+    try {
+      const result = await job.run();
+      await db.query(
+        `UPDATE job_runs SET status = 'succeeded', result = $2::jsonb, finished_at = NOW() WHERE id = $1`,
+        [run.id, result ?? null]
+      );
+      return { ...run, status: 'succeeded', result };
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err);
+      await db.query(
+        `UPDATE job_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+        [run.id, err.message]
+      );
+      return { ...run, status: 'failed', error: err.message };
+    }
+  }
+
+  // Wait for the job's next time, run it and schedule the one after
+  function schedule(name) {
+    const job = jobs.get(name);
+    const timer = setTimeout(async () => {
+      await runJob(name).catch(err => console.error(`Error running job ${name}:`, err));
+      schedule(name);
+    }, nextRunAt(job.time) - Date.now());
+    timer.unref();
+    timers.set(name, timer);
+  }
+
+  return {
+    // time is HH:MM in the server's local time
+    define(name, { time, run }) {
+      if (!TIME_PATTERN.test(time)) {
+        throw new Error(`Job ${name} needs an HH:MM time, got '${time}'`);
+      }
+      jobs.set(name, { name, time, run });
+    },
+
+    // Catch up on today's runs that are already due, then keep every job on its schedule
+    start() {
+      const now = new Date();
+      for (const job of jobs.values()) {
+        if (atTime(now, job.time) <= now) {
+          runJob(job.name).catch(err => console.error(`Error running job ${job.name}:`, err));
+        }
+        schedule(job.name);
+      }
+    },
+
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    },
+
+    jobs: () => [...jobs.values()].map(job => ({ name: job.name, time: job.time, next_run_at: nextRunAt(job.time) })),
+
+    runNow: (name, user) => runJob(name, { triggeredBy: user.username })
+  };
+}
+
+module.exports = { createScheduler, nextRunAt };
@@ -1,301 +1,4924 @@
 require('dotenv').config();
 
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { createDatabase } = require('./db');
+const { migrationStatus } = require('./migrate');
+const { validate, field, dateRange, sendError, parseISODate, EMP_ID_PATTERN } = require('./validation');
+const webhooks = require('./webhooks');
+const { createNotifier } = require('./notifier');
+const { createScheduler } = require('./scheduler');
+const { formatCalendar, parseCalendar } = require('./ics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const isDevelopment = process.env.NODE_ENV !== 'production';
 
+// Auth configuration
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL_HOURS = parseInt(process.env.TOKEN_TTL_HOURS || '12');
+const ROLES = ['admin', 'manager', 'employee'];
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
 // Debug: Check if environment variables are loaded
 console.log('DATABASE_URL loaded:', process.env.DATABASE_URL ? 'YES' : 'NO');
 console.log('Environment:', process.env.NODE_ENV);
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Serve static files from React build (ALWAYS serve static files)
+const frontendPath = path.join(__dirname, '../attendance-tracker/dist');
+app.use(express.static(frontendPath));
+
+// Database setup (PostgreSQL or SQLite, see db/index.js)
+const db = createDatabase();
+const { sql } = db;
+
+// ===================
+// Authentication
+// ===================
+
+// Hash a password as "salt:hash" using scrypt
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) return false;
+
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function signPayload(encoded) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(encoded).digest('base64url');
+}
+
+// Tokens are "<base64url payload>.<signature>" signed with AUTH_SECRET
+function createToken(user) {
+  const payload = {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    emp_id: user.emp_id,
+    exp: Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${signPayload(encoded)}`;
+}
+
+function verifyToken(token) {
+  const [encoded, signature] = (token || '').split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(signPayload(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Require a valid bearer token and expose the session as req.user
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const user = verifyToken(token);
+
+  if (!user) {
+    return sendError(res, 401, 'Authentication required');
+  }
+
+  req.user = user;
+  next();
+}
+
+// Restrict a route to the given roles (use after requireAuth)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, 403, 'You do not have permission to perform this action');
+    }
+    next();
+  };
+}
+
+// Admins may act on every employee, managers on their reporting subtree (themselves
+// included) and employees only on their own emp_id
+async function canAccessEmployee(db, user, empId) {
+  if (user.role === 'admin') return true;
+  if (!user.emp_id) return false;
+  if (user.role === 'employee') return user.emp_id === empId;
+
+  const result = await db.query(`SELECT 1 FROM (${subtreeQuery('$1')}) s WHERE emp_id = $2`, [user.emp_id, empId]);
+  return result.rows.length > 0;
+}
+
+// Conditions limiting an emp_id column to the employees a user may act on (none for admins).
+// Values are appended to params so the conditions can join an existing WHERE clause.
+function buildAccessFilters(user, column, params) {
+  if (user.role === 'admin') return [];
+  params.push(user.emp_id || null);
+  return [user.role === 'employee'
+    ? `${column} = $${params.length}`
+    : `${column} IN (${subtreeQuery(`$${params.length}`)})`];
+}
+
+// ===================
+// Audit Trail
+// ===================
+
+// Changes to employees and attendance_records are logged by database triggers.
+// Writes run in a transaction tagged with the acting user so the trigger can record who.
+async function beginAudited(client, user) {
+  await client.query('BEGIN');
+  await db.setAuditActor(client, user.username);
+}
+
+// Run fn(client) in a transaction as the given user and return its result
+async function auditedTransaction(user, fn) {
+  const client = await db.connect();
+
+  try {
+    await beginAudited(client, user);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Run a single write statement as the given user
+function auditedQuery(user, text, params) {
+  return auditedTransaction(user, client => client.query(text, params));
+}
+
+// Field-level differences between the before and after images of a row
+function diffAuditRows(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  return changes;
+}
+
+// Shape audit_log rows for API responses
+function formatAuditEntries(rows) {
+  return rows.map(row => ({
+    id: row.id,
+    table_name: row.table_name,
+    record_id: row.record_id,
+    action: row.action,
+    actor: row.actor,
+    changed_at: row.changed_at,
+    before: row.before_data,
+    after: row.after_data,
+    changes: diffAuditRows(row.before_data, row.after_data)
+  }));
+}
+
+// ===================
+// Webhook Events
+// ===================
+
+// PostgreSQL returns DATE columns as local midnight; webhooks send them as YYYY-MM-DD
+const dateText = value => value instanceof Date ? formatLocalDate(value) : value;
+
+// Rows as sent to webhooks, by the entity named at the start of the event
+const EVENT_DATA = {
+  attendance: row => ({ ...row, date: dateText(row.date) }),
+  employee: row => ({ ...row, join_date: dateText(row.join_date), exit_date: dateText(row.exit_date) })
+};
+
+// Queue one event per changed row on the transaction client
+async function queueRowEvents(client, event, rows) {
+  const format = EVENT_DATA[event.split('.')[0]] || (row => row);
+  for (const row of rows) {
+    await webhooks.queueWebhookEvent(client, event, format(row));
+  }
+}
+
+// ===================
+// Attendance Helpers
+// ===================
+
+const MAX_RANGE_DAYS = 366;
+
+const ATTENDANCE_CATEGORIES = ['presence', 'leave'];
+
+// In-memory copy of the attendance_types table keyed by code, reloaded after every change
+let attendanceTypes = new Map();
+
+async function loadAttendanceTypes(db) {
+  const result = await db.query('SELECT * FROM attendance_types ORDER BY sort_order, code');
+  attendanceTypes = new Map(result.rows.map(row => [row.code, row]));
+}
+
+// Leave types need approval before they take effect
+function isLeaveType(type) {
+  return attendanceTypes.get(type)?.category === 'leave';
+}
+
+// Only active types can be recorded; inactive ones remain on existing records
+function isActiveType(type) {
+  return attendanceTypes.get(type)?.active === true;
+}
+
+// Type recorded by a clock-in that does not name one
+function defaultPresenceType() {
+  return [...attendanceTypes.values()].find(type => type.active && type.category === 'presence')?.code;
+}
+
+// Request fields holding an attendance type code, checked against the catalogue
+const attendanceTypeField = (check, options) => field.string({ max: 50, check, ...options });
+const knownTypeField = options => attendanceTypeField(type =>
+  attendanceTypes.has(type) ? null : 'must be a known attendance type', options);
+const activeTypeField = options => attendanceTypeField(type =>
+  isActiveType(type) ? null : 'must be an active attendance type', options);
+const presenceTypeField = options => attendanceTypeField(type =>
+  isActiveType(type) && !isLeaveType(type) ? null : 'must be an active presence type', options);
+const leaveTypeField = options => attendanceTypeField(type =>
+  isLeaveType(type) ? null : 'must be a leave type', options);
+
+// A record covers the whole day or one half of it, and counts for a fraction of a day up
+// to its session's share (e.g. a quarter day of leave taken in the morning)
+const SESSIONS = ['full', 'am', 'pm'];
+const SESSION_SHARE = { full: 1, am: 0.5, pm: 0.5 };
+const OTHER_HALF = { am: 'pm', pm: 'am' };
+
+// Sessions that overlap an entry in the given session
+function overlappingSessions(session) {
+  return session === 'full' ? SESSIONS : ['full', session];
+}
+
+// Request fields for the part of the day an entry covers (fraction defaults to the session's share)
+const sessionFields = {
+  session: field.oneOf(SESSIONS),
+  fraction: field.number({
+    check: fraction => fraction > 0 && fraction <= 1 && Number.isInteger(fraction * 4) ? null : 'must be 0.25, 0.5, 0.75 or 1'
+  })
+};
+
+// The fraction of a day must fit in its session
+function fractionFitsSession(location) {
+  return req => {
+    const session = req[location].session || 'full';
+    const fraction = req[location].fraction;
+    return fraction != null && fraction > SESSION_SHARE[session]
+      ? { location, field: 'fraction', message: `must be at most ${SESSION_SHARE[session]} for the ${session} session` }
+      : null;
+  };
+}
+
+// Make room for an entry in one session of a day, so the day never adds up to more than one.
+// A whole-day entry moves the day's half-day entries to the trash; a half-day entry turns a
+// whole-day entry into one for the other half (purging a trashed record in that half).
+async function makeRoomForSession(client, user, empId, date, session) {
+  const overlapping = await client.query(`
+    SELECT id FROM attendance_records
+    WHERE emp_id = $1 AND date = $2 AND session = ANY($3) AND session <> $4 AND deleted_at IS NULL
+  `, [empId, date, overlappingSessions(session), session]);
+
+  for (const { id } of overlapping.rows) {
+    if (session === 'full') {
+      const trashed = await client.query(`
+        UPDATE attendance_records SET deleted_at = NOW(), deleted_by = $2
+        WHERE id = $1
+        RETURNING *
+      `, [id, user.username]);
+      await queueRowEvents(client, 'attendance.deleted', trashed.rows);
+      continue;
+    }
+
+    await client.query(
+      'DELETE FROM attendance_records WHERE emp_id = $1 AND date = $2 AND session = $3 AND deleted_at IS NOT NULL',
+      [empId, date, OTHER_HALF[session]]
+    );
+    const split = await client.query(`
+      UPDATE attendance_records
+      SET session = $2, fraction = CASE WHEN fraction > 0.5 THEN 0.5 ELSE fraction END
+      WHERE id = $1
+      RETURNING *
+    `, [id, OTHER_HALF[session]]);
+    await queueRowEvents(client, 'attendance.updated', split.rows);
+  }
+}
+
+// Editable fields of an attendance type (only label, category and colour are required on create)
+function attendanceTypeFields(partial = false) {
+  return {
+    label: field.string({ max: 100, required: !partial }),
+    category: field.oneOf(ATTENDANCE_CATEGORIES, { required: !partial }),
+    paid: field.boolean(),
+    color: field.string({ pattern: /^#[0-9a-fA-F]{6}$/, format: 'a #RRGGBB colour', required: !partial }),
+    needs_range: field.boolean(),
+    active: field.boolean(),
+    register_code: field.string({ max: 5 })
+  };
+}
+
+// Register code for a new type that does not give one: the initials of its code
+function defaultRegisterCode(code) {
+  return code.trim().split(/\s+/).map(word => word[0]).join('').toUpperCase();
+}
+
+// Deleted records stay in the trash for this many days before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a record deleted at the given time leaves the trash for good
+function trashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently remove records that have been in the trash longer than the retention period
+async function purgeExpiredTrash(db) {
+  const result = await db.query(
+    'DELETE FROM attendance_records WHERE deleted_at < $1',
+    [new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS)]
+  );
+  return result.rowCount;
+}
+
+function formatISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Every calendar date from start to end inclusive, as YYYY-MM-DD strings
+function expandDateRange(startDate, endDate) {
+  const dates = [];
+  const current = parseISODate(startDate);
+  const last = parseISODate(endDate);
+
+  while (current <= last) {
+    dates.push(formatISODate(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+// ===================
+// Organization
+// ===================
+
+// Employees reporting to a manager directly or indirectly, including the manager.
+// UNION (not UNION ALL) stops the recursion if reporting lines ever form a loop.
+function subtreeQuery(placeholder) {
+  return `
+    WITH RECURSIVE subtree AS (
+      SELECT emp_id FROM employees WHERE emp_id = ${placeholder}
+      UNION
+      SELECT e.emp_id FROM employees e JOIN subtree s ON e.manager_id = s.emp_id
+    )
+    SELECT emp_id FROM subtree`;
+}
+
+// Conditions limiting an emp_id column to a department, team or manager subtree.
+// Values are appended to params so the conditions can join an existing WHERE clause.
+function buildOrgFilters(column, { department_id, team_id, manager_id }, params) {
+  const conditions = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (department_id) add(`${column} IN (SELECT emp_id FROM employees WHERE department_id = ?)`, department_id);
+  if (team_id) add(`${column} IN (SELECT emp_id FROM employees WHERE team_id = ?)`, team_id);
+  if (manager_id) add(`${column} IN (${subtreeQuery('?')})`, manager_id);
+
+  return conditions;
+}
+
+// Check the department, team and manager of an employee. A team implies its department,
+// and the manager must not report to the employee. Returns { error } or { departmentId }.
+async function validateOrgPlacement(db, empId, { department_id, team_id, manager_id }) {
+  let departmentId = department_id || null;
+
+  if (team_id) {
+    const teamResult = await db.query('SELECT department_id FROM teams WHERE id = $1', [team_id]);
+    if (teamResult.rows.length === 0) return { error: 'Team not found' };
+
+    const teamDepartment = teamResult.rows[0].department_id;
+    if (departmentId && Number(departmentId) !== teamDepartment) {
+      return { error: 'Team belongs to a different department' };
+    }
+    departmentId = teamDepartment;
+  } else if (departmentId) {
+    const departmentResult = await db.query('SELECT 1 FROM departments WHERE id = $1', [departmentId]);
+    if (departmentResult.rows.length === 0) return { error: 'Department not found' };
+  }
+
+  if (manager_id) {
+    if (manager_id === empId) return { error: 'An employee cannot report to themselves' };
+
+    const managerResult = await db.query('SELECT 1 FROM employees WHERE emp_id = $1', [manager_id]);
+    if (managerResult.rows.length === 0) return { error: 'Manager not found' };
+
+    const loopResult = await db.query(`SELECT 1 FROM (${subtreeQuery('$1')}) s WHERE emp_id = $2`, [empId, manager_id]);
+    if (loopResult.rows.length > 0) return { error: 'Manager already reports to this employee' };
+  }
+
+  return { departmentId };
+}
+
+// ===================
+// Working Calendar
+// ===================
+
+// ISO weekdays: 1 = Monday ... 7 = Sunday
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+const DEFAULT_SCHEDULE = { workStart: '09:00', workEnd: '18:00', graceMinutes: 0 };
+
+// Records count as working days when the day is in the employee's working
+// week and is not a holiday on their calendar (or the default calendar).
+// Expects the attendance table to be aliased as "ar".
+const WORKING_DAY_CONDITION = `
+  EXISTS (
+    SELECT 1 FROM holiday_calendars c
+    WHERE c.id = COALESCE(
+      (SELECT calendar_id FROM employees WHERE emp_id = ar.emp_id),
+      (SELECT id FROM holiday_calendars WHERE is_default LIMIT 1)
+    )
+    AND ${sql.isoWeekday('ar.date')} = ANY(c.working_days)
+    AND NOT EXISTS (SELECT 1 FROM holidays h WHERE h.calendar_id = c.id AND h.date = ar.date)
+  )`;
+
+// Distinct ISO weekdays in a request body
+function weekdaysField({ min = 0, ...options } = {}) {
+  return field.array(field.integer({ min: 1, max: 7 }), { min, max: 7, unique: true, ...options });
+}
+
+// Calendar fields in a request body (only the name is required on create)
+function calendarFields(partial = false) {
+  return {
+    name: field.string({ max: 100, required: !partial }),
+    working_days: weekdaysField({ min: 1 }),
+    is_default: field.boolean(),
+    work_start: field.time(),
+    work_end: field.time(),
+    grace_minutes: field.integer({ min: 0, max: 720 })
+  };
+}
+
+// Work hours must start before they end; fields left out take the given defaults
+function workHoursCheck({ workStart, workEnd } = {}) {
+  return req => {
+    const { work_start = workStart, work_end = workEnd } = req.body;
+    return work_start && work_end && work_start >= work_end
+      ? { location: 'body', field: 'work_end', message: 'must be after work_start' }
+      : null;
+  };
+}
+
+// Load the calendar that applies to an employee, with its holidays in the range
+async function getWorkCalendar(db, empId, startDate, endDate) {
+  const calendarResult = await db.query(`
+    SELECT id, name, working_days, work_start, work_end, grace_minutes FROM holiday_calendars
+    WHERE id = COALESCE(
+      (SELECT calendar_id FROM employees WHERE emp_id = $1),
+      (SELECT id FROM holiday_calendars WHERE is_default LIMIT 1)
+    )
+  `, [empId]);
+  const calendar = calendarResult.rows[0];
+
+  if (!calendar) {
+    return { id: null, name: null, workingDays: DEFAULT_WORKING_DAYS, schedule: DEFAULT_SCHEDULE, holidays: new Map() };
+  }
+
+  const holidaysResult = await db.query(`
+    SELECT ${sql.date('date')} as date, name FROM holidays
+    WHERE calendar_id = $1 AND date BETWEEN $2 AND $3
+  `, [calendar.id, startDate, endDate]);
+
+  return {
+    id: calendar.id,
+    name: calendar.name,
+    workingDays: calendar.working_days,
+    schedule: {
+      workStart: calendar.work_start.slice(0, 5),
+      workEnd: calendar.work_end.slice(0, 5),
+      graceMinutes: calendar.grace_minutes
+    },
+    holidays: new Map(holidaysResult.rows.map(row => [row.date, row.name]))
+  };
+}
+
+// Split dates into working days and skipped days (with the reason they were skipped)
+function classifyDates(calendar, dates) {
+  const working = [];
+  const skipped = [];
+
+  for (const date of dates) {
+    const weekday = parseISODate(date).getUTCDay() || 7;
+    if (!calendar.workingDays.includes(weekday)) {
+      skipped.push({ date, reason: 'Non-working day' });
+    } else if (calendar.holidays.has(date)) {
+      skipped.push({ date, reason: `Holiday: ${calendar.holidays.get(date)}` });
+    } else {
+      working.push(date);
+    }
+  }
+
+  return { working, skipped };
+}
+
+// ===================
+// Employment
+// ===================
+
+// Columns of an employees row with the employment dates as YYYY-MM-DD text
+function employeeColumns(alias) {
+  return `${alias}.*, ${sql.date(`${alias}.join_date`)} as join_date, ${sql.date(`${alias}.exit_date`)} as exit_date`;
+}
+
+// Status and employment dates of the given employees, keyed by emp_id
+async function loadEmployment(db, empIds) {
+  const result = await db.query(`
+    SELECT emp_id, active, ${sql.date('join_date')} as join_date, ${sql.date('exit_date')} as exit_date
+    FROM employees WHERE emp_id = ANY($1)
+  `, [empIds]);
+  return new Map(result.rows.map(row => [row.emp_id, row]));
+}
+
+// Why an employee cannot have attendance on some of the dates ({ code, message }), or null
+function employmentProblem(employee, dates) {
+  if (!employee.active) {
+    return { code: 'EMPLOYEE_INACTIVE', message: `${employee.emp_id} is inactive` };
+  }
+  if (employee.join_date && dates.some(date => date < employee.join_date)) {
+    return { code: 'OUTSIDE_EMPLOYMENT', message: `${employee.emp_id} joined on ${employee.join_date}` };
+  }
+  if (employee.exit_date && dates.some(date => date > employee.exit_date)) {
+    return { code: 'OUTSIDE_EMPLOYMENT', message: `${employee.emp_id} left on ${employee.exit_date}` };
+  }
+  return null;
+}
+
+// Check attendance dates against the employee's employment (unknown employees have no limits)
+async function checkEmployment(db, empId, dates) {
+  const employee = (await loadEmployment(db, [empId])).get(empId);
+  return employee ? employmentProblem(employee, dates) : null;
+}
+
+function sendEmploymentProblem(res, problem) {
+  return sendError(res, 409, `Attendance cannot be recorded: ${problem.message}`, { code: problem.code });
+}
+
+// ===================
+// Missing Attendance
+// ===================
+
+// Reminders cover the past working days in this window, ending yesterday
+const REMINDER_LOOKBACK_DAYS = parseInt(process.env.REMINDER_LOOKBACK_DAYS || '7');
+
+function yesterdayDate(now = new Date()) {
+  const date = new Date(now);
+  date.setDate(date.getDate() - 1);
+  return formatLocalDate(date);
+}
+
+// First date of a window of `days` days ending on endDate
+function lookbackStart(endDate, days = REMINDER_LOOKBACK_DAYS) {
+  const start = parseISODate(endDate);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return formatISODate(start);
+}
+
+// Working days from startDate to endDate on which each active employee has no attendance
+// record. Deleted records and rejected leave leave the day missing; days outside the
+// employment (before the join date and after the exit date) are not counted. Without a join
+// date the whole range counts, as being added to the system says nothing about employment. Takes filter conditions on employees aliased as "e".
+async function findMissingAttendance(db, startDate, endDate, { conditions = ['1=1'], params = [] } = {}) {
+  const employeesResult = await db.query(`
+    SELECT e.emp_id, e.name, e.email, e.manager_id,
+      ${sql.date('e.join_date')} as since, ${sql.date('e.exit_date')} as until
+    FROM employees e
+    WHERE e.active AND ${conditions.join(' AND ')}
+    ORDER BY e.name
+  `, params);
+
+  const recordsResult = await db.query(`
+    SELECT emp_id, ${sql.date('date')} as date FROM attendance_records
+    WHERE emp_id = ANY($1) AND date BETWEEN $2 AND $3 AND deleted_at IS NULL AND status <> 'rejected'
+  `, [employeesResult.rows.map(employee => employee.emp_id), startDate, endDate]);
+  const recorded = new Set(recordsResult.rows.map(row => `${row.emp_id}|${row.date}`));
+  const dates = expandDateRange(startDate, endDate);
+
+  const employees = [];
+  for (const { since, until, ...employee } of employeesResult.rows) {
+    const calendar = await getWorkCalendar(db, employee.emp_id, startDate, endDate);
+    const employed = dates.filter(date => (!since || date >= since) && (!until || date <= until));
+    const { working } = classifyDates(calendar, employed);
+    employees.push({
+      ...employee,
+      missing_dates: working.filter(date => !recorded.has(`${employee.emp_id}|${date}`))
+    });
+  }
+  return employees;
+}
+
+// ===================
+// Leave Balances
+// ===================
+
+const ACCRUAL_MODES = ['yearly', 'monthly'];
+
+const yearField = options => field.integer({ min: 1900, max: 9999, ...options });
+const EXCEED_ACTIONS = ['reject', 'flag'];
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected'];
+
+function roundDays(days) {
+  return Math.round(days * 100) / 100;
+}
+
+// Entitlement credited for a year as of a date: all at once, or 1/12 per started month
+function accruedDays(policy, year, asOf) {
+  const annual = parseFloat(policy.annual_days);
+  if (policy.accrual !== 'monthly') return annual;
+
+  const asOfYear = asOf.getUTCFullYear();
+  const months = asOfYear < year ? 0 : asOfYear > year ? 12 : asOf.getUTCMonth() + 1;
+  return roundDays(annual * months / 12);
+}
+
+// Balance per leave type with a policy for one employee and year.
+// Leave taken counts only working days, half days as a half; pending requests reserve
+// balance, rejected ones do not.
+async function getLeaveBalances(db, empId, year, asOf, attendanceType = null) {
+  const result = await db.query(`
+    SELECT p.*,
+      COALESCE((
+        SELECT SUM(days) FROM leave_ledger l
+        WHERE l.emp_id = $1 AND l.attendance_type = p.attendance_type AND l.year = $2 AND l.entry_type = 'carry_forward'
+      ), 0) as carried_forward,
+      COALESCE((
+        SELECT SUM(days) FROM leave_ledger l
+        WHERE l.emp_id = $1 AND l.attendance_type = p.attendance_type AND l.year = $2 AND l.entry_type = 'adjustment'
+      ), 0) as adjustments,
+      COALESCE((
+        SELECT SUM(ar.fraction) FROM attendance_records ar
+        WHERE ar.emp_id = $1 AND ar.attendance_type = p.attendance_type AND ar.status <> 'rejected'
+          AND ar.deleted_at IS NULL
+          AND ${sql.year('ar.date')} = $2 AND ${WORKING_DAY_CONDITION}
+      ), 0) as taken
+    FROM leave_policies p
+    WHERE $3::text IS NULL OR p.attendance_type = $3
+    ORDER BY p.attendance_type
+  `, [empId, year, attendanceType]);
+
+  return result.rows.map(row => {
+    const accrued = accruedDays(row, year, asOf);
+    const carriedForward = parseFloat(row.carried_forward);
+    const adjustments = parseFloat(row.adjustments);
+    const taken = roundDays(parseFloat(row.taken));
+
+    return {
+      attendance_type: row.attendance_type,
+      year,
+      annual_days: parseFloat(row.annual_days),
+      accrual: row.accrual,
+      on_exceed: row.on_exceed,
+      accrued,
+      carried_forward: carriedForward,
+      adjustments,
+      taken,
+      remaining: roundDays(accrued + carriedForward + adjustments - taken)
+    };
+  });
+}
+
+// Check whether booking the given working dates would overdraw the leave balance.
+// Leave of this type already booked in the same part of a day does not use any more balance.
+async function checkLeaveBalance(db, empId, attendanceType, dates, { session = 'full', fraction = SESSION_SHARE[session] } = {}) {
+  const policyResult = await db.query('SELECT * FROM leave_policies WHERE attendance_type = $1', [attendanceType]);
+  const policy = policyResult.rows[0];
+  if (!policy || dates.length === 0) return { policy: null, shortfalls: [] };
+
+  const existingResult = await db.query(`
+    SELECT ${sql.date('date')} as date, fraction FROM attendance_records
+    WHERE emp_id = $1 AND attendance_type = $2 AND status <> 'rejected' AND deleted_at IS NULL
+      AND date = ANY($3::date[]) AND session = ANY($4)
+  `, [empId, attendanceType, dates, overlappingSessions(session)]);
+  const alreadyBooked = new Map();
+  for (const row of existingResult.rows) {
+    alreadyBooked.set(row.date, (alreadyBooked.get(row.date) || 0) + row.fraction);
+  }
+
+  const newDaysByYear = new Map();
+  for (const date of dates) {
+    const days = fraction - (alreadyBooked.get(date) || 0);
+    if (days <= 0) continue;
+    const year = parseInt(date.slice(0, 4));
+    const booking = newDaysByYear.get(year) || { days: 0, lastDate: date };
+    newDaysByYear.set(year, { days: booking.days + days, lastDate: date });
+  }
+
+  const shortfalls = [];
+  for (const [year, { days, lastDate }] of newDaysByYear) {
+    // Monthly accrual is assessed as of the last requested date in the year
+    const [balance] = await getLeaveBalances(db, empId, year, parseISODate(lastDate), attendanceType);
+    if (days > balance.remaining) {
+      shortfalls.push({ year, requested: roundDays(days), remaining: balance.remaining });
+    }
+  }
+
+  return { policy, shortfalls };
+}
+
+// Check a pending request's days again when it is approved: leave booked or adjusted since it
+// was submitted may have used up what it reserved. Its own days already count as taken, so a
+// year falls short when its balance is below zero.
+async function checkApprovalBalance(db, records) {
+  const { emp_id: empId, attendance_type: attendanceType } = records[0];
+  const policyResult = await db.query('SELECT * FROM leave_policies WHERE attendance_type = $1', [attendanceType]);
+  const policy = policyResult.rows[0];
+  if (!policy) return { policy: null, shortfalls: [] };
+
+  const daysByYear = new Map();
+  for (const { date, fraction } of records) {
+    const year = parseInt(date.slice(0, 4));
+    const booking = daysByYear.get(year) || { days: 0, lastDate: date };
+    daysByYear.set(year, { days: booking.days + fraction, lastDate: date > booking.lastDate ? date : booking.lastDate });
+  }
+
+  const shortfalls = [];
+  for (const [year, { days, lastDate }] of daysByYear) {
+    const [balance] = await getLeaveBalances(db, empId, year, parseISODate(lastDate), attendanceType);
+    if (balance.remaining < 0) {
+      shortfalls.push({ year, requested: roundDays(days), remaining: roundDays(balance.remaining + days) });
+    }
+  }
+
+  return { policy, shortfalls };
+}
+
+function describeShortfalls(attendanceType, shortfalls) {
+  return shortfalls
+    .map(({ year, requested, remaining }) => `${attendanceType} ${year}: requested ${requested} day(s), ${remaining} remaining`)
+    .join('; ');
+}
+
+// ===================
+// Time Tracking
+// ===================
+
+// Worked minutes from clock-in sessions (open sessions count up to now).
+// Expects the attendance table to be aliased as "ar".
+const WORKED_MINUTES_COLUMN = `
+  (SELECT ROUND(SUM(${sql.minutesSince('s.started_at', 's.ended_at')}))::int
+   FROM attendance_sessions s WHERE s.attendance_id = ar.id AND s.kind = 'work') as worked_minutes`;
+
+// Clock times use the server's local time zone (set TZ to change it)
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Worked and break time for one day's sessions, with late arrival and early departure
+// measured against the calendar's work hours
+function summarizeDay(sessions, schedule, now = new Date()) {
+  const minutesBetween = (start, end) => Math.round(((end || now) - start) / 60000);
+  const work = sessions.filter(session => session.kind === 'work');
+  const breaks = sessions.filter(session => session.kind === 'break');
+
+  const workedMinutes = work.reduce((sum, session) => sum + minutesBetween(session.started_at, session.ended_at), 0);
+  const breakMinutes = breaks.reduce((sum, session) => sum + minutesBetween(session.started_at, session.ended_at), 0);
+  const isOpen = sessions.some(session => !session.ended_at);
+
+  const firstIn = work.length > 0 ? work[0].started_at : null;
+  const lastOut = work.length > 0 && !isOpen ? work[work.length - 1].ended_at : null;
+
+  const lateBy = firstIn
+    ? minutesOfDay(firstIn) - timeToMinutes(schedule.workStart) - schedule.graceMinutes
+    : 0;
+  const earlyBy = lastOut ? timeToMinutes(schedule.workEnd) - minutesOfDay(lastOut) : 0;
+
+  return {
+    first_in: firstIn,
+    last_out: lastOut,
+    clocked_in: work.some(session => !session.ended_at),
+    on_break: breaks.some(session => !session.ended_at),
+    worked_minutes: workedMinutes,
+    worked_hours: Math.round(workedMinutes / 6) / 10,
+    break_minutes: breakMinutes,
+    late_minutes: Math.max(lateBy, 0),
+    early_departure_minutes: Math.max(earlyBy, 0)
+  };
+}
+
+// ===================
+// Spreadsheet Import
+// ===================
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_KINDS = ['employees', 'attendance', 'leave'];
+const IMPORT_MODES = ['dry-run', 'commit'];
+
+// Header aliases accepted in import files (matches the export headers too)
+const IMPORT_COLUMNS = {
+  emp_id: ['emp_id', 'employee id', 'employee_id', 'id'],
+  name: ['name', 'emp_name', 'employee name', 'employee_name'],
+  attendance_type: ['attendance_type', 'attendance type', 'type'],
+  date: ['date'],
+  session: ['session'],
+  fraction: ['fraction', 'days']
+};
+
+// Parse RFC 4180 CSV text into an array of rows
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Plain text for an ExcelJS cell value (dates become YYYY-MM-DD)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatISODate(value);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value);
+}
+
+async function parseXLSX(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(cellText(row.getCell(col).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+// Turn a header row plus data rows into objects keyed by the canonical column names.
+// Each object keeps its 1-based spreadsheet row number.
+function mapImportRows(rows) {
+  const [header = [], ...data] = rows;
+  const columns = header.map(name => {
+    const normalized = String(name).trim().toLowerCase().replace(/^\uFEFF/, '');
+    return Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(normalized)) || null;
+  });
+
+  return data
+    .map((values, index) => {
+      const row = { row: index + 2 };
+      columns.forEach((column, col) => {
+        if (column) row[column] = String(values[col] ?? '').trim();
+      });
+      return row;
+    })
+    .filter(row => Object.keys(IMPORT_COLUMNS).some(key => row[key]));
+}
+
+// Validate employee rows against the employees table
+async function validateEmployeeImport(db, rows) {
+  const existingResult = await db.query('SELECT emp_id, name FROM employees WHERE emp_id = ANY($1)', [rows.map(row => row.emp_id)]);
+  const existing = new Map(existingResult.rows.map(row => [row.emp_id, row.name]));
+  const seen = new Set();
+
+  return rows.map(row => {
+    const errors = [];
+    if (!row.emp_id) errors.push('Employee ID is required');
+    if (row.emp_id && !EMP_ID_PATTERN.test(row.emp_id)) errors.push(`Invalid Employee ID '${row.emp_id}'`);
+    if (!row.name) errors.push('Name is required');
+    if (row.emp_id && seen.has(row.emp_id)) errors.push('Duplicate Employee ID in file');
+    seen.add(row.emp_id);
+
+    if (errors.length > 0) return { row: row.row, status: 'error', errors, data: row };
+
+    if (!existing.has(row.emp_id)) return { row: row.row, status: 'insert', data: row };
+    if (existing.get(row.emp_id) === row.name) return { row: row.row, status: 'unchanged', data: row };
+    return {
+      row: row.row,
+      status: 'update',
+      data: row,
+      conflict: { name: { current: existing.get(row.emp_id), incoming: row.name } }
+    };
+  });
+}
+
+// Validate attendance rows against the employees and attendance_records tables
+async function validateAttendanceImport(db, rows) {
+  const empIds = [...new Set(rows.map(row => row.emp_id).filter(Boolean))];
+  const employeesResult = await db.query('SELECT emp_id, name FROM employees WHERE emp_id = ANY($1)', [empIds]);
+  const employees = new Map(employeesResult.rows.map(row => [row.emp_id, row.name]));
+  const employment = await loadEmployment(db, empIds);
+
+  const recordsResult = await db.query(`
+    SELECT emp_id, ${sql.date('date')} as date, session, attendance_type, fraction FROM attendance_records
+    WHERE emp_id = ANY($1) AND deleted_at IS NULL
+  `, [empIds]);
+  const records = new Map(recordsResult.rows.map(row => [`${row.emp_id}|${row.date}|${row.session}`, row]));
+  const seen = new Map();
+
+  return rows.map(row => {
+    const errors = [];
+    const name = row.name || employees.get(row.emp_id);
+    // Rows without a session are whole days; the fraction defaults to the session's share
+    const session = (row.session || 'full').toLowerCase();
+    const fraction = row.fraction ? Number(row.fraction) : SESSION_SHARE[session];
+
+    if (!row.emp_id) errors.push('Employee ID is required');
+    if (row.emp_id && !EMP_ID_PATTERN.test(row.emp_id)) errors.push(`Invalid Employee ID '${row.emp_id}'`);
+    if (row.emp_id && !name) errors.push('Employee name is required for a new employee');
+    if (!row.attendance_type) {
+      errors.push('Attendance type is required');
+    } else if (!isActiveType(row.attendance_type)) {
+      errors.push(`Unknown attendance type '${row.attendance_type}'`);
+    }
+    if (!row.date) {
+      errors.push('Date is required');
+    } else if (!parseISODate(row.date)) {
+      errors.push(`Invalid date '${row.date}' (expected YYYY-MM-DD)`);
+    } else if (employment.has(row.emp_id)) {
+      const problem = employmentProblem(employment.get(row.emp_id), [row.date]);
+      if (problem) errors.push(`Cannot record attendance: ${problem.message}`);
+    }
+    if (!SESSIONS.includes(session)) {
+      errors.push(`Invalid session '${row.session}' (expected ${SESSIONS.join(', ')})`);
+    } else if (!(fraction > 0 && fraction <= SESSION_SHARE[session] && Number.isInteger(fraction * 4))) {
+      errors.push(`Invalid days '${row.fraction}' (quarter days up to ${SESSION_SHARE[session]} for the ${session} session)`);
+    }
+
+    // Rows for the same employee and day must not overlap
+    const day = `${row.emp_id}|${row.date}`;
+    const sessionsSeen = seen.get(day) || [];
+    if (row.emp_id && row.date && sessionsSeen.some(other => overlappingSessions(session).includes(other))) {
+      errors.push('Duplicate employee and date in file');
+    }
+    seen.set(day, [...sessionsSeen, session]);
+
+    const data = { ...row, name, session, fraction };
+    if (errors.length > 0) return { row: row.row, status: 'error', errors, data };
+
+    const current = records.get(`${day}|${session}`);
+    if (!current) return { row: row.row, status: 'insert', data };
+    if (current.attendance_type === row.attendance_type && current.fraction === fraction) {
+      return { row: row.row, status: 'unchanged', data };
+    }
+    return {
+      row: row.row,
+      status: 'update',
+      data,
+      conflict: {
+        ...(current.attendance_type !== row.attendance_type && {
+          attendance_type: { current: current.attendance_type, incoming: row.attendance_type }
+        }),
+        ...(current.fraction !== fraction && { fraction: { current: current.fraction, incoming: fraction } })
+      }
+    };
+  });
+}
+
+// Leave events from an iCalendar file as import rows numbered by their position in the file.
+// Cancelled events are left out. The employee and leave type come from the X- properties
+// the calendar feeds write, or else from the defaults chosen for the upload.
+function mapLeaveEvents(events, defaults) {
+  return events
+    .map((event, index) => ({ event, row: index + 1 }))
+    .filter(({ event }) => event.status !== 'CANCELLED')
+    .map(({ event, row }) => ({
+      row,
+      uid: event.uid,
+      summary: event.summary,
+      emp_id: (event.properties['X-ATTENDANCE-EMP-ID']?.value || defaults.emp_id || '').trim(),
+      attendance_type: (event.properties['X-ATTENDANCE-TYPE']?.value || defaults.attendance_type || '').trim(),
+      start_date: event.start,
+      end_date: event.end
+    }));
+}
+
+// Validate leave events against the employees and attendance_records tables. Each event
+// books its working days as whole days of approved leave. Leave over the balance is refused
+// or flagged as the type's policy says, counting earlier events in the file as booked.
+async function validateLeaveImport(db, rows) {
+  const empIds = [...new Set(rows.map(row => row.emp_id).filter(Boolean))];
+  const employeesResult = await db.query('SELECT emp_id, name FROM employees WHERE emp_id = ANY($1)', [empIds]);
+  const employees = new Map(employeesResult.rows.map(row => [row.emp_id, row.name]));
+  const employment = await loadEmployment(db, empIds);
+
+  const recordsResult = await db.query(`
+    SELECT emp_id, ${sql.date('date')} as date, session, attendance_type, fraction, status FROM attendance_records
+    WHERE emp_id = ANY($1) AND deleted_at IS NULL
+  `, [empIds]);
+  const records = new Map();
+  for (const record of recordsResult.rows) {
+    const day = `${record.emp_id}|${record.date}`;
+    records.set(day, [...(records.get(day) || []), record]);
+  }
+  const seen = new Map();
+  const booked = new Map();
+  const report = [];
+
+  for (const row of rows) {
+    const errors = [];
+    const name = employees.get(row.emp_id);
+    let dates = [];
+    let warning = null;
+
+    if (!row.emp_id) {
+      errors.push('Employee ID is required');
+    } else if (!EMP_ID_PATTERN.test(row.emp_id)) {
+      errors.push(`Invalid Employee ID '${row.emp_id}'`);
+    } else if (!name) {
+      errors.push(`Unknown employee '${row.emp_id}'`);
+    }
+    if (!row.attendance_type) {
+      errors.push('Leave type is required');
+    } else if (!isActiveType(row.attendance_type) || !isLeaveType(row.attendance_type)) {
+      errors.push(`'${row.attendance_type}' is not an active leave type`);
+    }
+    if (!row.start_date) {
+      errors.push('The event has no valid start date');
+    } else if ((parseISODate(row.end_date) - parseISODate(row.start_date)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      errors.push(`The event cannot be longer than ${MAX_RANGE_DAYS} days`);
+    } else if (name) {
+      // Weekends and holidays on the employee's calendar are not booked
+      const calendar = await getWorkCalendar(db, row.emp_id, row.start_date, row.end_date);
+      dates = classifyDates(calendar, expandDateRange(row.start_date, row.end_date)).working;
+      const problem = employmentProblem(employment.get(row.emp_id), dates);
+
+      if (dates.length === 0) errors.push('The event has no working days');
+      if (problem) errors.push(`Cannot record leave: ${problem.message}`);
+
+      // Events for the same employee must not overlap
+      const ranges = seen.get(row.emp_id) || [];
+      if (ranges.some(range => range.start_date <= row.end_date && row.start_date <= range.end_date)) {
+        errors.push('Overlaps another event for the same employee in file');
+      }
+      seen.set(row.emp_id, [...ranges, row]);
+    }
+
+    if (errors.length === 0) {
+      const key = `${row.emp_id}|${row.attendance_type}`;
+      const bookedDates = [...(booked.get(key) || []), ...dates];
+      const { policy, shortfalls } = await checkLeaveBalance(db, row.emp_id, row.attendance_type, bookedDates);
+      const balance = shortfalls.length > 0 && describeShortfalls(row.attendance_type, shortfalls);
+
+      if (balance && policy.on_exceed === 'reject') {
+        errors.push(`Insufficient leave balance (${balance})`);
+      } else {
+        booked.set(key, bookedDates);
+        if (balance) warning = `Leave exceeds the remaining balance (${balance})`;
+      }
+    }
+
+    const data = { ...row, name, dates, balance_exceeded: Boolean(warning) };
+    if (errors.length > 0) {
+      report.push({ row: row.row, status: 'error', errors, data });
+      continue;
+    }
+
+    const current = dates.flatMap(date => records.get(`${row.emp_id}|${date}`) || []);
+    const unchanged = current.length === dates.length && current.every(record =>
+      record.session === 'full' && record.fraction === 1 && record.status === 'approved' &&
+      record.attendance_type === row.attendance_type);
+    const currentTypes = [...new Set(current.map(record => record.attendance_type))];
+    const currentStatuses = [...new Set(current.map(record => record.status))];
+
+    if (current.length === 0) {
+      report.push({ row: row.row, status: 'insert', data, ...(warning && { warning }) });
+    } else if (unchanged) {
+      report.push({ row: row.row, status: 'unchanged', data });
+    } else {
+      report.push({
+        row: row.row,
+        status: 'update',
+        data,
+        ...(warning && { warning }),
+        conflict: {
+          ...(currentTypes.some(type => type !== row.attendance_type) && {
+            attendance_type: { current: currentTypes.join(', '), incoming: row.attendance_type }
+          }),
+          ...(currentStatuses.some(status => status !== 'approved') && {
+            status: { current: currentStatuses.join(', '), incoming: 'approved' }
+          })
+        }
+      });
+    }
+  }
+
+  return report;
+}
+
+// Columns the attendance list can be sorted on
+const ATTENDANCE_SORT_COLUMNS = {
+  id: 'ar.id',
+  emp_id: 'ar.emp_id',
+  emp_name: 'ar.emp_name',
+  attendance_type: 'ar.attendance_type',
+  date: 'ar.date',
+  timestamp: 'ar.timestamp',
+  status: 'ar.status',
+  worked_minutes: 'worked_minutes'
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Accept repeated (?type=a&type=b) or comma separated (?type=a,b) query values
+function queryList(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Escape LIKE wildcards so user input matches literally
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+// WHERE conditions for the attendance list filters (emp_id, name substring, q search,
+// start_date, end_date, one or more attendance_type values, department_id, team_id and
+// manager_id subtree). Users are always
+// limited to the records they may access (see canAccessEmployee). Expects the attendance table to be aliased as "ar".
+function buildAttendanceFilters(user, filters) {
+  const { emp_id, name, q, start_date, end_date, attendance_type } = filters;
+  const conditions = ['ar.deleted_at IS NULL'];
+  const params = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace(/\?/g, `$${params.length}`));
+  };
+
+  const types = queryList(attendance_type);
+
+  conditions.push(...buildAccessFilters(user, 'ar.emp_id', params));
+  if (emp_id) add('ar.emp_id = ?', emp_id);
+  if (name) add(`ar.emp_name ILIKE ? ESCAPE '\\'`, likePattern(name));
+  if (q) {
+    add(`(ar.emp_id ILIKE ? ESCAPE '\\' OR ar.emp_name ILIKE ? ESCAPE '\\' OR ar.attendance_type ILIKE ? ESCAPE '\\')`, likePattern(q));
+  }
+  if (start_date) add('ar.date >= ?', start_date);
+  if (end_date) add('ar.date <= ?', end_date);
+  if (types.length > 0) add('ar.attendance_type = ANY(?)', types);
+  conditions.push(...buildOrgFilters('ar.emp_id', filters, params));
+
+  return { conditions, params };
+}
+
+// ORDER BY for ?sort=date,-emp_id (a leading "-" sorts descending), or null if a
+// column is not sortable. The id tie-breaker keeps pages stable.
+function buildAttendanceSort(sort = '-date,emp_id') {
+  const clauses = [];
+  for (const field of queryList(sort)) {
+    const descending = field.startsWith('-');
+    const column = ATTENDANCE_SORT_COLUMNS[descending ? field.slice(1) : field];
+    if (!column) return null;
+    clauses.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+  }
+  clauses.push('ar.id');
+  return clauses.join(', ');
+}
+
+// Query fields for the org, attendance list and paging filters
+const orgFilterFields = { department_id: field.id(), team_id: field.id(), manager_id: field.empId() };
+const attendanceFilterFields = {
+  emp_id: field.empId(),
+  name: field.string({ max: 100 }),
+  q: field.string({ max: 100 }),
+  start_date: field.date(),
+  end_date: field.date(),
+  attendance_type: field.list(knownTypeField()),
+  ...orgFilterFields
+};
+const pageFields = { limit: field.integer({ min: 1, max: MAX_PAGE_SIZE }), offset: field.integer({ min: 0 }) };
+
+// Route params naming a row ID or an employee
+const idParams = { id: field.id({ required: true }) };
+const empIdParams = { emp_id: field.empId({ required: true }) };
+
+// ===================
+// Export & Register
+// ===================
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_HEADERS = ['Employee ID', 'Employee Name', 'Attendance Type', 'Date', 'Session', 'Days'];
+
+// Day codes for the monthly register besides the attendance types' own register codes
+const ABSENT_CODE = 'A';
+const WEEKLY_OFF_CODE = 'WO';
+const HOLIDAY_CODE = 'HD';
+
+function registerCode(type) {
+  return attendanceTypes.get(type)?.register_code || type;
+}
+
+// Quote a CSV field when it contains a comma, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+// Page through approved attendance rows matching the list filters
+async function* exportRows(db, user, filters) {
+  const { conditions, params } = buildAttendanceFilters(user, filters);
+  conditions.push(`ar.status = 'approved'`);
+
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const result = await db.query(`
+      SELECT ar.emp_id, ar.emp_name, ar.attendance_type, ${sql.date('ar.date')} as date, ar.session, ar.fraction
+      FROM attendance_records ar
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ar.date DESC, ar.emp_id, ar.id
+      LIMIT ${EXPORT_BATCH_SIZE} OFFSET ${offset}
+    `, params);
+
+    for (const row of result.rows) {
+      yield [row.emp_id, row.emp_name, row.attendance_type, row.date, row.session, row.fraction];
+    }
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+// Employee × day grid for a month (YYYY-MM) built from approved records.
+// Working days in the past with no record are marked absent. A day split into halves
+// shows both codes (morning first, e.g. SL/O) and totals count each half as a half.
+async function buildMonthlyRegister(db, month, { empId = null, user = null } = {}) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const startDate = `${month}-01`;
+  const endDate = formatISODate(new Date(Date.UTC(year, monthNumber, 0)));
+  const dates = expandDateRange(startDate, endDate);
+  const today = formatLocalDate(new Date());
+
+  const employeeParams = [empId];
+  const employeeConditions = ['($1::text IS NULL OR emp_id = $1)', ...(user ? buildAccessFilters(user, 'emp_id', employeeParams) : [])];
+  const employeesResult = await db.query(`
+    SELECT emp_id, name FROM employees
+    WHERE ${employeeConditions.join(' AND ')}
+    ORDER BY name
+  `, employeeParams);
+
+  const recordsResult = await db.query(`
+    SELECT emp_id, attendance_type, ${sql.date('date')} as date, session, fraction FROM attendance_records
+    WHERE date BETWEEN $1 AND $2 AND status = 'approved' AND deleted_at IS NULL
+      AND emp_id = ANY($3)
+    ORDER BY CASE session WHEN 'pm' THEN 1 ELSE 0 END
+  `, [startDate, endDate, employeesResult.rows.map(employee => employee.emp_id)]);
+  const records = new Map();
+  for (const row of recordsResult.rows) {
+    const key = `${row.emp_id}|${row.date}`;
+    records.set(key, [...(records.get(key) || []), row]);
+  }
+
+  const rows = [];
+  for (const employee of employeesResult.rows) {
+    const calendar = await getWorkCalendar(db, employee.emp_id, startDate, endDate);
+    const { working } = classifyDates(calendar, dates);
+    const workingDays = new Set(working);
+    const totals = {};
+
+    const days = dates.map(date => {
+      const entries = records.get(`${employee.emp_id}|${date}`) || [];
+      const type = entries[0]?.attendance_type;
+      let code = '';
+      if (type) {
+        code = entries.map(entry => registerCode(entry.attendance_type)).join('/');
+        for (const entry of entries) {
+          totals[entry.attendance_type] = roundDays((totals[entry.attendance_type] || 0) + entry.fraction);
+        }
+      } else if (!workingDays.has(date)) {
+        code = calendar.holidays.has(date) ? HOLIDAY_CODE : WEEKLY_OFF_CODE;
+      } else if (date <= today) {
+        code = ABSENT_CODE;
+        totals.Absent = (totals.Absent || 0) + 1;
+      }
+      return {
+        date,
+        code,
+        attendance_type: type || null,
+        sessions: entries.map(({ attendance_type, session, fraction }) => ({ attendance_type, session, fraction }))
+      };
+    });
+
+    rows.push({ emp_id: employee.emp_id, name: employee.name, working_days: workingDays.size, days, totals });
+  }
+
+  return {
+    month,
+    days: dates.map(date => ({ date, day: parseInt(date.slice(8)), weekday: parseISODate(date).getUTCDay() || 7 })),
+    legend: {
+      ...Object.fromEntries([...attendanceTypes.keys()].map(type => [registerCode(type), type])),
+      [ABSENT_CODE]: 'Absent',
+      [WEEKLY_OFF_CODE]: 'Weekly off',
+      [HOLIDAY_CODE]: 'Holiday'
+    },
+    rows
+  };
+}
+
+// Draw the monthly register as a landscape PDF table
+function writeRegisterPDF(register, stream) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 20 });
+  doc.pipe(stream);
+
+  const idWidth = 45;
+  const nameWidth = 95;
+  const dayWidth = 16;
+  const totalWidth = 30;
+  const rowHeight = 12;
+  const categoryTotal = (row, category) => Object.entries(row.totals)
+    .filter(([type]) => attendanceTypes.get(type)?.category === category)
+    .reduce((sum, [, count]) => roundDays(sum + count), 0);
+  const totalColumns = [
+    { label: 'Present', count: row => categoryTotal(row, 'presence') },
+    { label: 'Leave', count: row => categoryTotal(row, 'leave') },
+    { label: 'Absent', count: row => row.totals.Absent || 0 }
+  ];
+
+  const drawHeader = () => {
+    doc.fontSize(12).font('Helvetica-Bold').text(`Attendance Register - ${register.month}`, 20, 20);
+    let x = 20;
+    const y = 42;
+    doc.fontSize(7);
+    doc.text('Emp ID', x, y, { width: idWidth });
+    x += idWidth;
+    doc.text('Name', x, y, { width: nameWidth });
+    x += nameWidth;
+    for (const day of register.days) {
+      doc.text(String(day.day), x, y, { width: dayWidth, align: 'center' });
+      x += dayWidth;
+    }
+    for (const column of totalColumns) {
+      doc.text(column.label, x, y, { width: totalWidth, align: 'center' });
+      x += totalWidth;
+    }
+    doc.moveTo(20, y + 10).lineTo(x, y + 10).stroke();
+    doc.font('Helvetica');
+    return y + rowHeight + 2;
+  };
+
+  let y = drawHeader();
+  for (const row of register.rows) {
+    if (y + rowHeight > doc.page.height - 40) {
+      doc.addPage();
+      y = drawHeader();
+    }
+
+    let x = 20;
+    doc.text(row.emp_id, x, y, { width: idWidth, lineBreak: false, ellipsis: true });
+    x += idWidth;
+    doc.text(row.name, x, y, { width: nameWidth - 4, lineBreak: false, ellipsis: true });
+    x += nameWidth;
+    for (const day of row.days) {
+      doc.text(day.code, x, y, { width: dayWidth, align: 'center', lineBreak: false });
+      x += dayWidth;
+    }
+    for (const column of totalColumns) {
+      doc.text(String(column.count(row)), x, y, { width: totalWidth, align: 'center' });
+      x += totalWidth;
+    }
+    y += rowHeight;
+  }
+
+  const legend = Object.entries(register.legend).map(([code, label]) => `${code} = ${label}`).join('   ');
+  doc.fontSize(7).text(legend, 20, Math.min(y + 10, doc.page.height - 35), { width: doc.page.width - 40 });
+
+  doc.end();
+}
+
+// ===================
+// Calendar Feeds
+// ===================
+
+const FEED_SCOPES = ['employee', 'team', 'company'];
+// Feeds start this many days back; everything booked ahead is included
+const FEED_HISTORY_DAYS = 90;
+const SESSION_NAMES = { am: 'morning', pm: 'afternoon' };
+
+// Whether a user may see a feed's attendance: admins everyone's; others an employee they
+// may access (see canAccessEmployee) and their own team. Returns an error message or null.
+async function feedAccessProblem(db, user, { scope, emp_id, team_id }) {
+  if (user.role === 'admin') return null;
+  if (scope === 'employee') {
+    return (await canAccessEmployee(db, user, emp_id)) ? null : 'You can only subscribe to the calendars of yourself and your reports';
+  }
+  if (scope === 'team') {
+    const result = await db.query('SELECT 1 FROM employees WHERE emp_id = $1 AND team_id = $2', [user.emp_id, team_id]);
+    return result.rows.length > 0 ? null : 'You can only subscribe to your own team';
+  }
+  return 'Only admins can subscribe to the company calendar';
+}
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+}
+
+// All-day events for a feed: each run of days an employee has the same type (and session and
+// approval status) becomes one event. A run carries on over weekends and holidays of the
+// employee's calendar, and always within one leave request; its length adds up the day
+// fractions, so a half day counts as a half. Rejected and deleted records are left out.
+async function buildFeedEvents(db, feed) {
+  const categories = feed.include_presence ? ATTENDANCE_CATEGORIES : ['leave'];
+  const types = [...attendanceTypes.values()].filter(type => categories.includes(type.category)).map(type => type.code);
+  const params = [formatISODate(new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS)), types];
+  let scopeCondition = '';
+  if (feed.scope === 'employee') {
+    params.push(feed.emp_id);
+    scopeCondition = `AND ar.emp_id = $${params.length}`;
+  } else if (feed.scope === 'team') {
+    params.push(feed.team_id);
+    scopeCondition = `AND e.team_id = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT ar.id, ar.emp_id, e.name, ar.attendance_type, ${sql.date('ar.date')} as date, ar.session, ar.status,
+      ar.fraction, ar.leave_request_id
+    FROM attendance_records ar
+    JOIN employees e ON e.emp_id = ar.emp_id
+    WHERE ar.deleted_at IS NULL AND ar.status <> 'rejected' AND ar.date >= $1 AND ar.attendance_type = ANY($2)
+      ${scopeCondition}
+    ORDER BY ar.emp_id, ar.attendance_type, ar.session, ar.status, ar.date
+  `, params);
+
+  const lastDate = result.rows.reduce((max, row) => (row.date > max ? row.date : max), params[0]);
+  const calendars = new Map();
+  for (const empId of new Set(result.rows.map(row => row.emp_id))) {
+    calendars.set(empId, await getWorkCalendar(db, empId, params[0], lastDate));
+  }
+
+  const runs = [];
+  for (const row of result.rows) {
+    const last = runs[runs.length - 1];
+    const continues = last && ['emp_id', 'attendance_type', 'session', 'status'].every(key => last[key] === row[key])
+      && ((row.leave_request_id && row.leave_request_id === last.leave_request_id)
+        || classifyDates(calendars.get(row.emp_id), expandDateRange(last.end, row.date).slice(1, -1)).working.length === 0);
+    if (continues) {
+      last.end = row.date;
+      last.days += parseFloat(row.fraction);
+    } else {
+      runs.push({ ...row, start: row.date, end: row.date, days: parseFloat(row.fraction) });
+    }
+  }
+
+  return runs
+    .sort((a, b) => a.start.localeCompare(b.start) || a.emp_id.localeCompare(b.emp_id))
+    .map(run => {
+      const label = attendanceTypes.get(run.attendance_type)?.label || run.attendance_type;
+      const half = SESSION_NAMES[run.session] ? ` (${SESSION_NAMES[run.session]})` : '';
+      const pending = run.status === 'pending';
+      const days = roundDays(run.days);
+      return {
+        uid: `attendance-${run.id}@attendance-tracker`,
+        start: run.start,
+        end: run.end,
+        summary: `${run.name}: ${label}${half}`,
+        description: `${run.name} (${run.emp_id}), ${days} day${days === 1 ? '' : 's'}${pending ? '. Pending approval' : ''}`,
+        status: pending ? 'TENTATIVE' : 'CONFIRMED',
+        categories: label,
+        properties: { 'X-ATTENDANCE-EMP-ID': run.emp_id, 'X-ATTENDANCE-TYPE': run.attendance_type }
+      };
+    });
+}
+
+// ===================
+// Work Policies
+// ===================
+
+const POLICY_PERIODS = ['week', 'month'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// The week (Monday to Sunday) or calendar month containing a date
+function policyPeriod(date, period) {
+  const day = parseISODate(date);
+  if (period === 'month') {
+    const last = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+    return { key: date.slice(0, 7), first: `${date.slice(0, 7)}-01`, last: formatISODate(last) };
+  }
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() || 7) - 1));
+  const first = formatISODate(day);
+  day.setUTCDate(day.getUTCDate() + 6);
+  return { key: first, first, last: formatISODate(day) };
+}
+
+// Check one employee's approved records (days by type for each date) against a hybrid
+// work policy. Only whole periods inside the range count towards the office-day minimum,
+// and leave lowers the minimum to the days actually available; half days count as a half.
+// Non-working days and holidays are ignored, a day without a record or with any time in
+// the office breaks a run of remote days, and an anchor day needs office time unless it
+// is all leave. Days after today have not happened yet, so the range ends today at the latest.
+function evaluateWorkPolicy(policy, calendar, dates, records, { startDate, endDate, today = formatLocalDate(new Date()) }) {
+  const lastDate = endDate < today ? endDate : today;
+  const { working } = classifyDates(calendar, dates.filter(date => date <= lastDate));
+  const reasons = [];
+  let officeDays = 0;
+  let remoteDays = 0;
+
+  const periods = new Map();
+  let run = [];
+  let longestRun = [];
+
+  for (const date of working) {
+    const day = records.get(date) || new Map();
+    const office = day.get(policy.office_type) || 0;
+    const remote = day.get(policy.remote_type) || 0;
+    const leave = [...day].reduce((sum, [type, days]) => sum + (isLeaveType(type) ? days : 0), 0);
+    const period = policyPeriod(date, policy.period);
+    if (!periods.has(period.key)) periods.set(period.key, { ...period, working: 0, leave: 0, office: 0 });
+    const totals = periods.get(period.key);
+    totals.working++;
+
+    officeDays += office;
+    remoteDays += remote;
+    totals.office += office;
+    totals.leave += leave;
+
+    if (remote > 0 && office === 0) {
+      run.push(date);
+      if (run.length > longestRun.length) longestRun = run;
+    } else {
+      run = [];
+    }
+
+    const weekday = parseISODate(date).getUTCDay() || 7;
+    if (policy.anchor_days.includes(weekday) && office === 0 && leave < 1) {
+      reasons.push(`Not in the office on anchor day ${WEEKDAY_NAMES[weekday - 1]} ${date}`);
+    }
+  }
+
+  if (policy.min_office_days > 0) {
+    for (const totals of periods.values()) {
+      if (totals.first < startDate || totals.last > lastDate) continue;
+      const required = Math.min(policy.min_office_days, totals.working - totals.leave);
+      if (totals.office < required) {
+        reasons.push(`${totals.office} of ${required} required ${policy.office_type} days in the ${policy.period} starting ${totals.first}`);
+      }
+    }
+  }
+
+  if (policy.max_consecutive_remote !== null && longestRun.length > policy.max_consecutive_remote) {
+    reasons.push(
+      `${longestRun.length} consecutive ${policy.remote_type} days from ${longestRun[0]} to ${longestRun[longestRun.length - 1]} ` +
+      `(maximum ${policy.max_consecutive_remote})`
+    );
+  }
+
+  return { office_days: roundDays(officeDays), remote_days: roundDays(remoteDays), reasons };
+}
+
+// Policy fields in a request body (only the name is required on create)
+function workPolicyFields(partial = false) {
+  return {
+    name: field.string({ max: 100, required: !partial }),
+    period: field.oneOf(POLICY_PERIODS),
+    min_office_days: field.integer({ min: 0, max: 31 }),
+    max_consecutive_remote: field.integer({ min: 0 }),
+    anchor_days: weekdaysField(),
+    office_type: presenceTypeField(),
+    remote_type: presenceTypeField()
+  };
+}
+
+// Submissions queued offline carry queued_at. If a record for one of their dates was changed
+// after that, the submission is refused so the user can decide instead of silently overwriting.
+async function findOfflineConflicts(client, empId, dates, queuedAt) {
+  if (!queuedAt) return [];
+
+  const result = await client.query(`
+    SELECT ${sql.date('date')} as date, attendance_type, status FROM attendance_records
+    WHERE emp_id = $1 AND date = ANY($2) AND deleted_at IS NULL
+      AND (timestamp > $3::timestamptz OR reviewed_at > $3::timestamptz)
+    ORDER BY date
+  `, [empId, dates, new Date(queuedAt)]);
+  return result.rows;
+}
+
+function sendOfflineConflict(res, conflicts, dateField) {
+  return sendError(res, 409, `Attendance for ${conflicts.map(row => row.date).join(', ')} was changed after this was queued offline`, {
+    code: 'ATTENDANCE_CONFLICT',
+    details: conflicts.map(row => ({
+      location: 'body',
+      field: dateField,
+      message: `${row.date} is now ${row.attendance_type} (${row.status})`
+    }))
+  });
+}
+
+// Make sure the employee exists (only admins may rename an existing employee)
+async function ensureEmployee(client, user, empId, empName) {
+  const result = await client.query(`
+    INSERT INTO employees (emp_id, name, updated_at) 
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (emp_id) 
+    ${user.role === 'admin' ? 'DO UPDATE SET name = $2, updated_at = CURRENT_TIMESTAMP WHERE employees.name <> $2' : 'DO NOTHING'}
+    RETURNING *
+  `, [empId, empName]);
+  await queueRowEvents(client, 'employee.upserted', result.rows);
+}
+
+// Create the first admin account from the environment
+async function ensureAdminUser(db) {
+  const usersResult = await db.query('SELECT COUNT(*) as count FROM users');
+  if (parseInt(usersResult.rows[0].count) === 0) {
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+      await db.query(
+        `INSERT INTO users (username, password_hash, role) VALUES ($1, $2, 'admin')`,
+        [process.env.ADMIN_USERNAME, hashPassword(process.env.ADMIN_PASSWORD)]
+      );
+      console.log(`Admin user '${process.env.ADMIN_USERNAME}' created`);
+    } else {
+      console.warn('No users exist - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    }
+  }
+}
+
+// Purge expired trash on startup and then daily
+const runTrashPurge = () => purgeExpiredTrash(db)
+  .then(count => count > 0 && console.log(`Purged ${count} attendance records from the trash`))
+  .catch(err => console.error('Error purging trash:', err));
+
+// Trim the webhook delivery log on startup and then daily
+const runWebhookLogPurge = () => webhooks.purgeDeliveryLog(db)
+  .then(count => count > 0 && console.log(`Removed ${count} old webhook deliveries from the log`))
+  .catch(err => console.error('Error purging webhook deliveries:', err));
+
+// ===================
+// Reminder Jobs
+// ===================
+
+// Reminders go through the configured channel (see notifier.js); jobs run daily at
+// REMINDER_TIME and DIGEST_TIME in the server's time zone (see scheduler.js)
+const notifier = createNotifier();
+const scheduler = createScheduler(db);
+
+function describeDates(dates) {
+  return dates.map(date => `  - ${date} (${WEEKDAY_NAMES[(parseISODate(date).getUTCDay() + 6) % 7]})`).join('\n');
+}
+
+// Send each message, counting the ones the channel accepted and the ones it did not
+async function sendNotifications(messages) {
+  const outcome = { sent: 0, failed: 0 };
+  for (const message of messages) {
+    try {
+      await notifier.send(message);
+      outcome.sent++;
+    } catch (err) {
+      outcome.failed++;
+      console.error(`Error notifying ${message.to}:`, err.message);
+    }
+  }
+  return outcome;
+}
+
+// Remind every employee with an email address about their missing days
+async function sendAttendanceReminders() {
+  const endDate = yesterdayDate();
+  const startDate = lookbackStart(endDate);
+  const missing = (await findMissingAttendance(db, startDate, endDate))
+    .filter(employee => employee.missing_dates.length > 0);
+  const recipients = missing.filter(employee => employee.email);
+
+  const outcome = await sendNotifications(recipients.map(employee => ({
+    to: employee.email,
+    subject: `Attendance missing for ${employee.missing_dates.length} working day(s)`,
+    text: [
+      `Hi ${employee.name},`,
+      '',
+      'No attendance has been recorded for you on these working days:',
+      describeDates(employee.missing_dates),
+      '',
+      'Please add them in the attendance tracker.'
+    ].join('\n')
+  })));
+
+  return { start_date: startDate, end_date: endDate, employees: missing.length, without_email: missing.length - recipients.length, ...outcome };
+}
+
+// Send each manager one digest of their direct reports' missing days
+async function sendManagerDigests() {
+  const endDate = yesterdayDate();
+  const startDate = lookbackStart(endDate);
+  const missing = (await findMissingAttendance(db, startDate, endDate, { conditions: ['e.manager_id IS NOT NULL'] }))
+    .filter(employee => employee.missing_dates.length > 0);
+
+  const reportsByManager = new Map();
+  for (const employee of missing) {
+    if (!reportsByManager.has(employee.manager_id)) reportsByManager.set(employee.manager_id, []);
+    reportsByManager.get(employee.manager_id).push(employee);
+  }
+
+  const managersResult = await db.query(
+    'SELECT emp_id, name, email FROM employees WHERE emp_id = ANY($1) AND email IS NOT NULL',
+    [[...reportsByManager.keys()]]
+  );
+
+  const outcome = await sendNotifications(managersResult.rows.map(manager => {
+    const reports = reportsByManager.get(manager.emp_id);
+    const days = reports.reduce((sum, employee) => sum + employee.missing_dates.length, 0);
+    return {
+      to: manager.email,
+      subject: `Missing attendance in your team: ${reports.length} people, ${days} working days`,
+      text: [
+        `Hi ${manager.name},`,
+        '',
+        `These direct reports have no attendance recorded for working days between ${startDate} and ${endDate}:`,
+        ...reports.flatMap(employee => ['', `${employee.name} (${employee.emp_id})`, describeDates(employee.missing_dates)])
+      ].join('\n')
+    };
+  }));
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    managers: reportsByManager.size,
+    without_email: reportsByManager.size - managersResult.rows.length,
+    ...outcome
+  };
+}
+
+scheduler.define('attendance-reminders', { time: process.env.REMINDER_TIME || '10:00', run: sendAttendanceReminders });
+scheduler.define('manager-digest', { time: process.env.DIGEST_TIME || '09:00', run: sendManagerDigests });
+
+// ===================
+// API Routes
+// ===================
+
+// Log in and receive a bearer token
+app.post('/api/auth/login', validate({
+  body: { username: field.string({ max: 100, required: true }), password: field.string({ required: true }) }
+}), async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const result = await db.query('SELECT * FROM users WHERE username = $1', [username]);
+    const user = result.rows[0];
+
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return sendError(res, 401, 'Invalid username or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    res.json({
+      token: createToken(user),
+      user: { id: user.id, username: user.username, role: user.role, emp_id: user.emp_id }
+    });
+  } catch (err) {
+    console.error('Error logging in:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get the current session's user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  const { id, username, role, emp_id } = req.user;
+  res.json({ id, username, role, emp_id });
+});
+
+// Get all users
+app.get('/api/users', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query('SELECT id, username, role, emp_id, created_at FROM users ORDER BY username');
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create a user account
+app.post('/api/users', requireAuth, requireRole('admin'), validate({
+  body: {
+    username: field.string({ max: 100, required: true }),
+    password: field.string({ required: true }),
+    role: field.oneOf(ROLES, { required: true }),
+    emp_id: field.empId()
+  },
+  checks: [req => req.body.role === 'employee' && !req.body.emp_id
+    ? { location: 'body', field: 'emp_id', message: 'is required for employee accounts' }
+    : null]
+}), async (req, res) => {
+  const { username, password, role, emp_id } = req.body;
+
+  try {
+    const result = await db.query(`
+      INSERT INTO users (username, password_hash, role, emp_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [username, hashPassword(password), role, emp_id || null]);
+
+    res.json({
+      message: 'User created successfully',
+      id: result.rows[0].id
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, 'Username already exists');
+    }
+    console.error('Error creating user:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get all employees (active=true|false lists only active or inactive ones)
+app.get('/api/employees', requireAuth, validate({
+  query: { ...orgFilterFields, active: field.boolean() }
+}), async (req, res) => {
+  const params = [];
+  const conditions = buildOrgFilters('e.emp_id', req.query, params);
+
+  if (req.query.active) {
+    params.push(req.query.active === 'true');
+    conditions.push(`e.active = $${params.length}`);
+  }
+
+  conditions.push(...buildAccessFilters(req.user, 'e.emp_id', params));
+
+  try {
+    const result = await db.query(`
+      SELECT ${employeeColumns('e')}, d.name as department_name, t.name as team_name, m.name as manager_name
+      FROM employees e
+      LEFT JOIN departments d ON d.id = e.department_id
+      LEFT JOIN teams t ON t.id = e.team_id
+      LEFT JOIN employees m ON m.emp_id = e.manager_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY e.name
+    `, params);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching employees:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Editable fields of an employee (only the name is required unless partial)
+function employeeFields(partial = false) {
+  return {
+    name: field.string({ max: 100, required: !partial }),
+    email: field.email(),
+    calendar_id: field.id(),
+    department_id: field.id(),
+    team_id: field.id(),
+    manager_id: field.empId(),
+    active: field.boolean(),
+    join_date: field.date(),
+    exit_date: field.date()
+  };
+}
+
+const EMPLOYEE_FIELDS = Object.keys(employeeFields());
+
+// Columns that refer to an employee by emp_id
+const EMPLOYEE_REFERENCES = [
+  ['attendance_records', 'emp_id'],
+  ['leave_ledger', 'emp_id'],
+  ['users', 'emp_id'],
+  ['employees', 'manager_id'],
+  ['calendar_feeds', 'emp_id']
+];
+
+// Give an employee a new ID. Referenced primary keys cannot be updated in place, so the row
+// is copied to the new ID, every reference is moved over and the old row is deleted.
+// Users linked to the employee keep the old ID in their session until they log in again.
+async function changeEmployeeId(client, fromId, toId) {
+  const columns = ['name', 'created_at', 'updated_at', ...EMPLOYEE_FIELDS.filter(name => name !== 'name')].join(', ');
+  await client.query(`
+    INSERT INTO employees (emp_id, ${columns})
+    SELECT $2, ${columns} FROM employees WHERE emp_id = $1
+  `, [fromId, toId]);
+
+  for (const [table, column] of EMPLOYEE_REFERENCES) {
+    await client.query(`UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`, [fromId, toId]);
+  }
+  await client.query('DELETE FROM employees WHERE emp_id = $1', [fromId]);
+}
+
+// Check an employee's fields before saving: the name cannot be cleared, the exit date must
+// not be before the join date and the organization placement must be valid.
+// Returns { error } or { departmentId }.
+async function validateEmployee(db, empId, values) {
+  if (!values.name) {
+    return { error: 'name is required' };
+  }
+  if (values.join_date && values.exit_date && values.exit_date < values.join_date) {
+    return { error: 'exit_date must not be before join_date' };
+  }
+  return validateOrgPlacement(db, empId, values);
+}
+
+// Add or update employee
+app.post('/api/employees', requireAuth, requireRole('admin'), validate({
+  body: { emp_id: field.empId({ required: true }), ...employeeFields() },
+  checks: [dateRange('body', 'join_date', 'exit_date')]
+}), async (req, res) => {
+  const { emp_id, name, email, calendar_id, team_id, manager_id, active = true, join_date, exit_date } = req.body;
+
+  try {
+    const { error, departmentId } = await validateOrgPlacement(db, emp_id, req.body);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    await auditedTransaction(req.user, async client => {
+      const result = await client.query(`
+        INSERT INTO employees (emp_id, name, calendar_id, department_id, team_id, manager_id, email, active, join_date, exit_date, updated_at) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+        ON CONFLICT (emp_id) 
+        DO UPDATE SET name = $2, calendar_id = $3, department_id = $4, team_id = $5, manager_id = $6, email = $7,
+          active = $8, join_date = $9, exit_date = $10, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [emp_id, name, calendar_id || null, departmentId, team_id || null, manager_id || null, email || null,
+        active, join_date || null, exit_date || null]);
+      await queueRowEvents(client, 'employee.upserted', result.rows);
+    });
+    
+    res.json({ 
+      message: 'Employee saved successfully',
+      emp_id: emp_id
+    });
+  } catch (err) {
+    console.error('Error saving employee:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get one employee's profile with their direct reports
+app.get('/api/employees/:emp_id', requireAuth, validate({ params: empIdParams }), async (req, res) => {
+  const { emp_id } = req.params;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the profiles of yourself and your reports');
+    }
+
+    const [employeeResult, reportsResult] = await Promise.all([
+      db.query(`
+        SELECT ${employeeColumns('e')}, d.name as department_name, t.name as team_name, m.name as manager_name,
+          c.name as calendar_name
+        FROM employees e
+        LEFT JOIN departments d ON d.id = e.department_id
+        LEFT JOIN teams t ON t.id = e.team_id
+        LEFT JOIN employees m ON m.emp_id = e.manager_id
+        LEFT JOIN holiday_calendars c ON c.id = e.calendar_id
+        WHERE e.emp_id = $1
+      `, [emp_id]),
+      db.query('SELECT emp_id, name, active FROM employees WHERE manager_id = $1 ORDER BY name', [emp_id])
+    ]);
+
+    if (employeeResult.rows.length === 0) {
+      return sendError(res, 404, 'Employee not found');
+    }
+
+    res.json({ ...employeeResult.rows[0], reports: reportsResult.rows });
+  } catch (err) {
+    console.error('Error fetching employee:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Update an employee. PUT replaces every editable field (left out means cleared, and
+// active by default); PATCH only changes the fields it is given, where null clears one.
+// Either may give a new emp_id to correct the ID; the employee's records move with it.
+function updateEmployee(partial) {
+  return async (req, res) => {
+    const { emp_id } = req.params;
+    const newEmpId = req.body.emp_id || emp_id;
+
+    try {
+      const currentResult = await db.query(`SELECT ${employeeColumns('e')} FROM employees e WHERE e.emp_id = $1`, [emp_id]);
+      if (currentResult.rows.length === 0) {
+        return sendError(res, 404, 'Employee not found');
+      }
+
+      const current = currentResult.rows[0];
+      const values = Object.fromEntries(EMPLOYEE_FIELDS.map(name => [
+        name,
+        partial && !(name in req.body) ? current[name] : req.body[name] ?? null
+      ]));
+      values.active = values.active ?? true;
+
+      // A new team moves the employee to its department unless one is given too
+      if (partial && req.body.team_id && !('department_id' in req.body)) {
+        values.department_id = null;
+      }
+
+      const { error, departmentId } = await validateEmployee(db, emp_id, values);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      if (newEmpId !== emp_id) {
+        const takenResult = await db.query('SELECT 1 FROM employees WHERE emp_id = $1', [newEmpId]);
+        if (takenResult.rows.length > 0) {
+          return sendError(res, 409, `Employee ID ${newEmpId} is already in use`);
+        }
+      }
+
+      const employee = await auditedTransaction(req.user, async client => {
+        if (newEmpId !== emp_id) {
+          await changeEmployeeId(client, emp_id, newEmpId);
+        }
+
+        const result = await client.query(`
+          UPDATE employees SET name = $2, email = $3, calendar_id = $4, department_id = $5, team_id = $6,
+            manager_id = $7, active = $8, join_date = $9, exit_date = $10, updated_at = CURRENT_TIMESTAMP
+          WHERE emp_id = $1
+          RETURNING *
+        `, [newEmpId, values.name, values.email, values.calendar_id, departmentId, values.team_id,
+          values.manager_id, values.active, values.join_date, values.exit_date]);
+        await queueRowEvents(client, 'employee.updated', result.rows.map(row => (
+          newEmpId !== emp_id ? { ...row, previous_emp_id: emp_id } : row
+        )));
+        return result.rows[0];
+      });
+
+      res.json({
+        message: newEmpId !== emp_id ? `Employee updated and moved to ID ${newEmpId}` : 'Employee updated successfully',
+        emp_id: employee.emp_id
+      });
+    } catch (err) {
+      if (err.code === '23505') {
+        return sendError(res, 409, `Employee ID ${newEmpId} is already in use`);
+      }
+      if (err.code === '23503') {
+        return sendError(res, 400, 'Calendar not found');
+      }
+      console.error('Error updating employee:', err);
+      sendError(res, 500, 'Internal server error');
+    }
+  };
+}
+
+app.put('/api/employees/:emp_id', requireAuth, requireRole('admin'), validate({
+  params: empIdParams,
+  body: { emp_id: field.empId(), ...employeeFields() },
+  checks: [dateRange('body', 'join_date', 'exit_date')]
+}), updateEmployee(false));
+
+app.patch('/api/employees/:emp_id', requireAuth, requireRole('admin'), validate({
+  params: empIdParams,
+  body: { emp_id: field.empId(), ...employeeFields(true) },
+  checks: [dateRange('body', 'join_date', 'exit_date')]
+}), updateEmployee(true));
+
+// Delete an employee who has no attendance, leave ledger entries or user account, such as
+// a test entry (deactivate them otherwise). Their direct reports are left without a manager.
+app.delete('/api/employees/:emp_id', requireAuth, requireRole('admin'), validate({ params: empIdParams }), async (req, res) => {
+  const { emp_id } = req.params;
+
+  try {
+    const usageResult = await db.query(`
+      SELECT EXISTS (SELECT 1 FROM attendance_records WHERE emp_id = $1)
+        OR EXISTS (SELECT 1 FROM leave_ledger WHERE emp_id = $1)
+        OR EXISTS (SELECT 1 FROM users WHERE emp_id = $1) as used
+    `, [emp_id]);
+
+    if (usageResult.rows[0].used) {
+      return sendError(res, 409, 'This employee has attendance, leave or a user account; deactivate them instead', {
+        code: 'EMPLOYEE_IN_USE'
+      });
+    }
+
+    const deleted = await auditedTransaction(req.user, async client => {
+      const reportsResult = await client.query(
+        'UPDATE employees SET manager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE manager_id = $1 RETURNING *',
+        [emp_id]
+      );
+      const result = await client.query('DELETE FROM employees WHERE emp_id = $1 RETURNING *', [emp_id]);
+      await queueRowEvents(client, 'employee.updated', reportsResult.rows);
+      await queueRowEvents(client, 'employee.deleted', result.rows);
+      return result.rowCount > 0;
+    });
+
+    if (!deleted) {
+      return sendError(res, 404, 'Employee not found');
+    }
+    res.json({ message: 'Employee deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting employee:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Add attendance record
+app.post('/api/attendance', requireAuth, validate({
+  body: {
+    emp_id: field.empId({ required: true }),
+    emp_name: field.string({ max: 100, required: true }),
+    attendance_type: activeTypeField({ required: true }),
+    date: field.date({ required: true }),
+    ...sessionFields,
+    queued_at: field.timestamp()
+  },
+  checks: [fractionFitsSession('body')]
+}), async (req, res) => {
+  const { emp_id, emp_name, attendance_type, date, queued_at } = req.body;
+  const session = req.body.session || 'full';
+  const fraction = req.body.fraction ?? SESSION_SHARE[session];
+
+  const client = await db.connect();
+  
+  try {
+    await beginAudited(client, req.user);
+
+    if (!(await canAccessEmployee(client, req.user, emp_id))) {
+      await client.query('ROLLBACK');
+      return sendError(res, 403, 'You can only add attendance for yourself and your reports');
+    }
+
+    const conflicts = await findOfflineConflicts(client, emp_id, [date], queued_at);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return sendOfflineConflict(res, conflicts, 'date');
+    }
+    
+    // First, ensure employee exists
+    await ensureEmployee(client, req.user, emp_id, emp_name);
+
+    const problem = await checkEmployment(client, emp_id, [date]);
+    if (problem) {
+      await client.query('ROLLBACK');
+      return sendEmploymentProblem(res, problem);
+    }
+
+    // Leave on a working day must fit in the remaining balance
+    const calendar = await getWorkCalendar(client, emp_id, date, date);
+    const { working } = classifyDates(calendar, [date]);
+    const { policy, shortfalls } = await checkLeaveBalance(client, emp_id, attendance_type, working, { session, fraction });
+
+    if (shortfalls.length > 0 && policy.on_exceed === 'reject') {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Insufficient leave balance (${describeShortfalls(attendance_type, shortfalls)})`, {
+        code: 'INSUFFICIENT_BALANCE'
+      });
+    }
+
+    // Then add attendance record (leave starts as a pending request)
+    const leave = isLeaveType(attendance_type);
+    const existingResult = await client.query(
+      'SELECT id FROM attendance_records WHERE emp_id = $1 AND date = $2 AND session = $3 AND deleted_at IS NULL',
+      [emp_id, date, session]
+    );
+    await makeRoomForSession(client, req.user, emp_id, date, session);
+    const result = await client.query(`
+      INSERT INTO attendance_records 
+      (emp_id, emp_name, attendance_type, date, balance_exceeded, status, leave_request_id, session, fraction) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (emp_id, date, session) 
+      DO UPDATE SET emp_name = $2, attendance_type = $3, balance_exceeded = $5, status = $6, leave_request_id = $7,
+        fraction = $9, reviewed_by = NULL, reviewed_at = NULL, review_comment = NULL, timestamp = CURRENT_TIMESTAMP,
+        deleted_at = NULL, deleted_by = NULL
+      RETURNING *
+    `, [emp_id, emp_name, attendance_type, date, shortfalls.length > 0,
+      leave ? 'pending' : 'approved', leave ? crypto.randomUUID() : null, session, fraction]);
+    await queueRowEvents(client, existingResult.rows.length > 0 ? 'attendance.updated' : 'attendance.created', result.rows);
+
+    await client.query('COMMIT');
+    
+    res.json({ 
+      message: leave ? 'Leave request submitted for approval' : 'Attendance record added successfully',
+      id: result.rows[0].id,
+      status: leave ? 'pending' : 'approved',
+      ...(shortfalls.length > 0 && {
+        warning: `Leave exceeds the remaining balance (${describeShortfalls(attendance_type, shortfalls)})`
+      })
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error saving attendance:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// Add attendance for every date in a range, all-or-nothing
+app.post('/api/attendance/range', requireAuth, validate({
+  body: {
+    emp_id: field.empId({ required: true }),
+    emp_name: field.string({ max: 100, required: true }),
+    attendance_type: activeTypeField({ required: true }),
+    start_date: field.date({ required: true }),
+    end_date: field.date({ required: true }),
+    ...sessionFields,
+    queued_at: field.timestamp()
+  },
+  checks: [dateRange('body', 'start_date', 'end_date', { maxDays: MAX_RANGE_DAYS }), fractionFitsSession('body')]
+}), async (req, res) => {
+  const { emp_id, emp_name, attendance_type, start_date, end_date, queued_at } = req.body;
+  const dates = expandDateRange(start_date, end_date);
+  const session = req.body.session || 'full';
+  const fraction = req.body.fraction ?? SESSION_SHARE[session];
+
+  const client = await db.connect();
+
+  try {
+    await beginAudited(client, req.user);
+
+    if (!(await canAccessEmployee(client, req.user, emp_id))) {
+      await client.query('ROLLBACK');
+      return sendError(res, 403, 'You can only add attendance for yourself and your reports');
+    }
+
+    await ensureEmployee(client, req.user, emp_id, emp_name);
+
+    // Weekends and holidays on the employee's calendar are not booked
+    const calendar = await getWorkCalendar(client, emp_id, start_date, end_date);
+    const { working, skipped } = classifyDates(calendar, dates);
+
+    const problem = await checkEmployment(client, emp_id, working);
+    if (problem) {
+      await client.query('ROLLBACK');
+      return sendEmploymentProblem(res, problem);
+    }
+
+    const conflicts = await findOfflineConflicts(client, emp_id, working, queued_at);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return sendOfflineConflict(res, conflicts, 'start_date');
+    }
+
+    const { policy, shortfalls } = await checkLeaveBalance(client, emp_id, attendance_type, working, { session, fraction });
+
+    if (shortfalls.length > 0 && policy.on_exceed === 'reject') {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Insufficient leave balance (${describeShortfalls(attendance_type, shortfalls)})`, {
+        code: 'INSUFFICIENT_BALANCE'
+      });
+    }
+
+    // The whole range is reviewed as one leave request
+    const leave = isLeaveType(attendance_type);
+    const leaveRequestId = leave ? crypto.randomUUID() : null;
+
+    // Dates that already have a record in this session (possibly in the trash) are updated,
+    // not created. For webhooks a record coming back out of the trash is created again.
+    const existingResult = await client.query(`
+      SELECT ${sql.date('date')} as date, deleted_at FROM attendance_records
+      WHERE emp_id = $1 AND date = ANY($2) AND session = $3
+    `, [emp_id, working, session]);
+    const existing = new Set(existingResult.rows.map(row => row.date));
+    const live = new Set(existingResult.rows.filter(row => !row.deleted_at).map(row => row.date));
+
+    const results = [];
+    for (const date of working) {
+      await makeRoomForSession(client, req.user, emp_id, date, session);
+      const result = await client.query(`
+        INSERT INTO attendance_records 
+        (emp_id, emp_name, attendance_type, date, balance_exceeded, status, leave_request_id, session, fraction) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (emp_id, date, session) 
+        DO UPDATE SET emp_name = $2, attendance_type = $3, balance_exceeded = $5, status = $6, leave_request_id = $7,
+          fraction = $9, reviewed_by = NULL, reviewed_at = NULL, review_comment = NULL, timestamp = CURRENT_TIMESTAMP,
+          deleted_at = NULL, deleted_by = NULL
+        RETURNING *
+      `, [emp_id, emp_name, attendance_type, date, shortfalls.length > 0, leave ? 'pending' : 'approved', leaveRequestId,
+        session, fraction]);
+      await queueRowEvents(client, live.has(date) ? 'attendance.updated' : 'attendance.created', result.rows);
+
+      results.push({ date, id: result.rows[0].id, status: existing.has(date) ? 'updated' : 'created' });
+    }
+    for (const { date, reason } of skipped) {
+      results.push({ date, status: 'skipped', reason });
+    }
+    results.sort((a, b) => a.date.localeCompare(b.date));
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: leave
+        ? `Leave request for ${roundDays(working.length * fraction)} days submitted for approval`
+        : `${working.length} attendance records saved successfully`,
+      leave_request_id: leaveRequestId,
+      status: leave ? 'pending' : 'approved',
+      saved: working.length,
+      skipped: skipped.length,
+      results,
+      ...(shortfalls.length > 0 && {
+        warning: `Leave exceeds the remaining balance (${describeShortfalls(attendance_type, shortfalls)})`
+      })
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error saving attendance range:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// ===================
+// Missing Attendance Routes (before /api/attendance/:emp_id so "missing" is not read as an employee ID)
+// ===================
+
+// Past working days without attendance, per employee. Defaults to the reminder lookback
+// window ending yesterday; an end_date of today or later is cut back to yesterday.
+// Accepts emp_id and the department_id, team_id and manager_id filters.
+app.get('/api/attendance/missing', requireAuth, validate({
+  query: {
+    start_date: field.date(),
+    end_date: field.date(),
+    emp_id: field.empId(),
+    ...orgFilterFields
+  },
+  checks: [
+    dateRange('query', 'start_date', 'end_date', { maxDays: MAX_RANGE_DAYS }),
+    req => req.query.start_date && req.query.start_date > yesterdayDate()
+      ? { location: 'query', field: 'start_date', message: 'must be before today' }
+      : null
+  ]
+}), async (req, res) => {
+  const yesterday = yesterdayDate();
+  const end_date = req.query.end_date && req.query.end_date < yesterday ? req.query.end_date : yesterday;
+  const start_date = req.query.start_date || lookbackStart(end_date);
+
+  if ((parseISODate(end_date) - parseISODate(start_date)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return sendError(res, 400, `The range cannot be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  const params = [];
+  const conditions = [
+    '1=1',
+    ...buildAccessFilters(req.user, 'e.emp_id', params),
+    ...buildOrgFilters('e.emp_id', req.query, params)
+  ];
+  if (req.query.emp_id) {
+    params.push(req.query.emp_id);
+    conditions.push(`e.emp_id = $${params.length}`);
+  }
+
+  try {
+    const employees = await findMissingAttendance(db, start_date, end_date, { conditions, params });
+    const missing = employees
+      .filter(employee => employee.missing_dates.length > 0)
+      .map(employee => ({ ...employee, missing_days: employee.missing_dates.length }));
+
+    res.json({
+      start_date,
+      end_date,
+      summary: {
+        employees: employees.length,
+        with_missing: missing.length,
+        missing_days: missing.reduce((sum, employee) => sum + employee.missing_days, 0)
+      },
+      employees: missing
+    });
+  } catch (err) {
+    console.error('Error finding missing attendance:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Trash Routes (before /api/attendance/:emp_id so "trash" is not read as an employee ID)
+// ===================
+
+// List deleted records with the date each will be purged
+app.get('/api/attendance/trash', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT ar.* FROM attendance_records ar
+      WHERE ar.deleted_at IS NOT NULL
+      ORDER BY ar.deleted_at DESC
+    `);
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      records: result.rows.map(row => ({ ...row, purge_at: trashPurgeDate(row.deleted_at) }))
+    });
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Restore a deleted record, unless a live record now covers the same part of its day
+app.post('/api/attendance/:id/restore', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await auditedTransaction(req.user, async client => {
+      const trashedResult = await client.query(`
+        SELECT emp_id, attendance_type, ${sql.date('date')} as date, session, fraction, status FROM attendance_records
+        WHERE id = $1 AND deleted_at IS NOT NULL
+      `, [req.params.id]);
+      const trashed = trashedResult.rows[0];
+      if (!trashed) return { missing: true };
+
+      const overlapping = await client.query(`
+        SELECT ${sql.date('live.date')} as date, live.attendance_type, live.session FROM attendance_records trashed
+        JOIN attendance_records live ON live.emp_id = trashed.emp_id AND live.date = trashed.date
+          AND (live.session = trashed.session OR 'full' IN (live.session, trashed.session))
+        WHERE trashed.id = $1 AND trashed.deleted_at IS NOT NULL AND live.deleted_at IS NULL
+      `, [req.params.id]);
+      if (overlapping.rows.length > 0) return { overlapping: overlapping.rows };
+
+      // The record is checked as if it were added again: the employment or the leave
+      // balance may have changed since it was deleted
+      const problem = await checkEmployment(client, trashed.emp_id, [trashed.date]);
+      if (problem) return { problem };
+
+      const { policy, shortfalls } = trashed.status === 'rejected'
+        ? { policy: null, shortfalls: [] }
+        : await checkLeaveBalance(client, trashed.emp_id, trashed.attendance_type, [trashed.date], {
+          session: trashed.session,
+          fraction: trashed.fraction
+        });
+      if (shortfalls.length > 0 && policy.on_exceed === 'reject') return { trashed, shortfalls };
+
+      const restored = await client.query(`
+        UPDATE attendance_records SET deleted_at = NULL, deleted_by = NULL, balance_exceeded = balance_exceeded OR $2
+        WHERE id = $1 AND deleted_at IS NOT NULL
+        RETURNING *
+      `, [req.params.id, shortfalls.length > 0]);
+      await queueRowEvents(client, 'attendance.restored', restored.rows);
+      return { trashed, shortfalls, restored: restored.rows[0] };
+    });
+
+    if (result.missing) {
+      return sendError(res, 404, 'Record not found in the trash');
+    }
+    if (result.overlapping) {
+      const [{ date, attendance_type, session }] = result.overlapping;
+      return sendError(res, 409, `${date} already has ${attendance_type} (${session}); delete it before restoring this record`, {
+        code: 'ATTENDANCE_CONFLICT'
+      });
+    }
+    if (result.problem) {
+      return sendEmploymentProblem(res, result.problem);
+    }
+
+    const { trashed, shortfalls } = result;
+    if (!result.restored) {
+      return sendError(res, 409, `Insufficient leave balance (${describeShortfalls(trashed.attendance_type, shortfalls)})`, {
+        code: 'INSUFFICIENT_BALANCE'
+      });
+    }
+
+    res.json({
+      message: 'Record restored successfully',
+      ...(shortfalls.length > 0 && {
+        warning: `Leave exceeds the remaining balance (${describeShortfalls(trashed.attendance_type, shortfalls)})`
+      })
+    });
+  } catch (err) {
+    console.error('Error restoring attendance record:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Permanently delete one record from the trash
+app.delete('/api/attendance/trash/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await auditedQuery(req.user,
+      'DELETE FROM attendance_records WHERE id = $1 AND deleted_at IS NOT NULL',
+      [req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return sendError(res, 404, 'Record not found in the trash');
+    }
+
+    res.json({ message: 'Record permanently deleted' });
+  } catch (err) {
+    console.error('Error purging attendance record:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Apply the retention policy now instead of waiting for the daily purge
+app.post('/api/attendance/trash/purge', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash(db);
+    res.json({ message: `Purged ${purged} records older than ${TRASH_RETENTION_DAYS} days`, purged });
+  } catch (err) {
+    console.error('Error purging trash:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get attendance records by employee ID
+app.get('/api/attendance/:emp_id', requireAuth, validate({ params: empIdParams }), async (req, res) => {
+  const { emp_id } = req.params;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the attendance of yourself and your reports');
+    }
+
+    const result = await db.query(`
+      SELECT ar.*, ${WORKED_MINUTES_COLUMN} FROM attendance_records ar
+      WHERE emp_id = $1 AND deleted_at IS NULL
+      ORDER BY date DESC
+    `, [emp_id]);
+    
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching employee attendance:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get a page of attendance records with filters, sorting and a total count
+app.get('/api/attendance', requireAuth, validate({
+  query: {
+    ...attendanceFilterFields,
+    ...pageFields,
+    sort: field.string({
+      check: sort => buildAttendanceSort(sort) ? null : `must use: ${Object.keys(ATTENDANCE_SORT_COLUMNS).join(', ')}`
+    })
+  },
+  checks: [dateRange('query', 'start_date', 'end_date')]
+}), async (req, res) => {
+  const { conditions, params } = buildAttendanceFilters(req.user, req.query);
+  const orderBy = buildAttendanceSort(req.query.sort || undefined);
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const [result, countResult] = await Promise.all([
+      db.query(`
+        SELECT ar.*, ${WORKED_MINUTES_COLUMN} FROM attendance_records ar
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${orderBy}
+        LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      db.query(`SELECT COUNT(*) as count FROM attendance_records ar WHERE ${conditions.join(' AND ')}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+    res.json({
+      records: result.rows,
+      total,
+      limit,
+      offset,
+      has_more: offset + result.rows.length < total
+    });
+  } catch (err) {
+    console.error('Error fetching attendance records:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+const STATS_GROUPS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Breakdowns in the stats query and the columns each one groups by
+const STATS_SETS = {
+  total: [],
+  byType: ['attendance_type'],
+  trend: ['period', 'attendance_type'],
+  byEmployee: ['emp_id', 'attendance_type'],
+  weekday: ['weekday'],
+  weekdayByType: ['weekday', 'attendance_type']
+};
+const STATS_COLUMNS = ['period', 'emp_id', 'weekday', 'attendance_type'];
+
+// One aggregate per breakdown over the "scoped" rows, combined with UNION ALL
+// (SQLite has no GROUPING SETS). Columns a breakdown does not group by are NULL.
+// count is in days, so half days count as a half.
+function statsBreakdownQuery() {
+  return Object.entries(STATS_SETS).map(([set, columns]) => `
+    SELECT '${set}' as grouping_set,
+      ${STATS_COLUMNS.map(column => `${columns.includes(column) ? column : 'NULL'} as ${column}`).join(', ')},
+      MAX(emp_name) as emp_name, SUM(fraction) as count, COUNT(DISTINCT emp_id) as employees, COUNT(DISTINCT date) as days
+    FROM scoped
+    ${columns.length > 0 ? `GROUP BY ${columns.join(', ')}` : ''}`
+  ).join('\n    UNION ALL');
+}
+
+// Get attendance statistics for approved records on working days. Takes the attendance
+// list filters (start_date, end_date, emp_id, attendance_type, department_id, team_id,
+// manager_id) and a group (daily, weekly or monthly) for the trend series. Every
+// breakdown comes from one aggregate query.
+app.get('/api/stats', requireAuth, requireRole('admin', 'manager'), validate({
+  query: { ...attendanceFilterFields, group: field.oneOf(Object.keys(STATS_GROUPS)) },
+  checks: [dateRange('query', 'start_date', 'end_date')]
+}), async (req, res) => {
+  const { start_date, end_date } = req.query;
+  const group = req.query.group || (start_date && end_date ? 'daily' : 'monthly');
+
+  const employeeParams = [];
+  const employeeScope = [
+    '1=1',
+    ...buildAccessFilters(req.user, 'emp_id', employeeParams),
+    ...buildOrgFilters('emp_id', req.query, employeeParams)
+  ].join(' AND ');
+  const { conditions, params } = buildAttendanceFilters(req.user, req.query);
+
+  try {
+    const [totalEmpResult, aggregateResult] = await Promise.all([
+      db.query(`SELECT COUNT(*) as count FROM employees WHERE ${employeeScope}`, employeeParams),
+      db.query(`
+        WITH scoped AS (
+          SELECT ar.emp_id, ar.emp_name, ar.attendance_type, ar.date, ar.fraction,
+            ${sql.periodStart(STATS_GROUPS[group], 'ar.date')} as period,
+            ${sql.isoWeekday('ar.date')} as weekday
+          FROM attendance_records ar
+          WHERE ar.status = 'approved' AND ${WORKING_DAY_CONDITION} AND ${conditions.join(' AND ')}
+        )
+        ${statsBreakdownQuery()}
+      `, params)
+    ]);
+
+    const rowsFor = set => aggregateResult.rows.filter(row => row.grouping_set === set);
+    const categoryOf = type => attendanceTypes.get(type)?.category;
+    const dayCount = row => roundDays(parseFloat(row.count));
+    const sumWhere = (rows, match) => roundDays(rows.filter(match).reduce((sum, row) => sum + dayCount(row), 0));
+    const byType = rowsFor('byType');
+
+    const stats = {
+      range: { start_date: start_date || null, end_date: end_date || null, group },
+      totalEmployees: parseInt(totalEmpResult.rows[0].count),
+      totalRecords: sumWhere(rowsFor('total'), () => true),
+      presenceRecords: sumWhere(byType, row => categoryOf(row.attendance_type) === 'presence'),
+      leaveRecords: sumWhere(byType, row => categoryOf(row.attendance_type) === 'leave'),
+      unpaidLeaveRecords: sumWhere(byType, row =>
+        categoryOf(row.attendance_type) === 'leave' && attendanceTypes.get(row.attendance_type).paid === false)
+    };
+
+    stats.attendanceByType = byType
+      .map(row => ({
+        attendance_type: row.attendance_type,
+        label: attendanceTypes.get(row.attendance_type)?.label || row.attendance_type,
+        category: categoryOf(row.attendance_type) || null,
+        color: attendanceTypes.get(row.attendance_type)?.color || null,
+        count: dayCount(row)
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    // Counts by type for each period, in date order
+    const trends = new Map();
+    for (const row of rowsFor('trend')) {
+      if (!trends.has(row.period)) trends.set(row.period, { period: row.period, total: 0, counts: {} });
+      const point = trends.get(row.period);
+      point.counts[row.attendance_type] = dayCount(row);
+      point.total = roundDays(point.total + dayCount(row));
+    }
+    stats.trends = [...trends.values()].sort((a, b) => a.period.localeCompare(b.period));
+
+    // Per-employee counts by type and category
+    const employees = new Map();
+    for (const row of rowsFor('byEmployee')) {
+      if (!employees.has(row.emp_id)) {
+        employees.set(row.emp_id, { emp_id: row.emp_id, emp_name: row.emp_name, total: 0, presence: 0, leave: 0, counts: {} });
+      }
+      const employee = employees.get(row.emp_id);
+      const count = dayCount(row);
+      employee.counts[row.attendance_type] = count;
+      employee.total = roundDays(employee.total + count);
+      if (categoryOf(row.attendance_type)) {
+        employee[categoryOf(row.attendance_type)] = roundDays(employee[categoryOf(row.attendance_type)] + count);
+      }
+    }
+    stats.employees = [...employees.values()].sort((a, b) => b.total - a.total || a.emp_name.localeCompare(b.emp_name));
+
+    // Presence by weekday, averaged over the matching days in the range (or the days with records)
+    const weekdayOccurrences = new Map();
+    if (start_date && end_date) {
+      for (const date of expandDateRange(start_date, end_date)) {
+        const weekday = parseISODate(date).getUTCDay() || 7;
+        weekdayOccurrences.set(weekday, (weekdayOccurrences.get(weekday) || 0) + 1);
+      }
+    }
+    const weekdayDays = new Map(rowsFor('weekday').map(row => [row.weekday, parseInt(row.days)]));
+    stats.occupancyByWeekday = WEEKDAY_NAMES.map((name, index) => {
+      const weekday = index + 1;
+      const rows = rowsFor('weekdayByType').filter(row => row.weekday === weekday);
+      const present = sumWhere(rows, row => categoryOf(row.attendance_type) === 'presence');
+      const days = weekdayOccurrences.get(weekday) ?? weekdayDays.get(weekday) ?? 0;
+      return {
+        weekday,
+        name,
+        days,
+        counts: Object.fromEntries(rows.map(row => [row.attendance_type, dayCount(row)])),
+        present,
+        average_present: days > 0 ? Math.round(present / days * 10) / 10 : 0
+      };
+    });
+
+    // Leave taken by type, with how many employees took it
+    stats.leaveUsage = byType
+      .filter(row => categoryOf(row.attendance_type) === 'leave')
+      .map(row => ({
+        attendance_type: row.attendance_type,
+        label: attendanceTypes.get(row.attendance_type).label,
+        paid: attendanceTypes.get(row.attendance_type).paid,
+        days: dayCount(row),
+        employees: parseInt(row.employees)
+      }))
+      .sort((a, b) => b.days - a.days);
+
+    res.json(stats);
+  } catch (err) {
+    console.error('Error fetching stats:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delete attendance record (moves it to the trash)
+app.delete('/api/attendance/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const result = await auditedTransaction(req.user, async client => {
+      const deleted = await client.query(`
+        UPDATE attendance_records SET deleted_at = NOW(), deleted_by = $2
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      `, [id, req.user.username]);
+      await queueRowEvents(client, 'attendance.deleted', deleted.rows);
+      return deleted;
+    });
+    
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Record not found');
+    } else {
+      res.json({ message: 'Record moved to the trash' });
+    }
+  } catch (err) {
+    console.error('Error deleting attendance record:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get attendance for a specific date range
+app.get('/api/attendance-range/:emp_id/:start_date/:end_date', requireAuth, validate({
+  params: {
+    emp_id: field.empId({ required: true }),
+    start_date: field.date({ required: true }),
+    end_date: field.date({ required: true })
+  },
+  checks: [dateRange('params', 'start_date', 'end_date')]
+}), async (req, res) => {
+  const { emp_id, start_date, end_date } = req.params;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the attendance of yourself and your reports');
+    }
+
+    const result = await db.query(`
+      SELECT * FROM attendance_records 
+      WHERE emp_id = $1 AND date BETWEEN $2 AND $3 AND deleted_at IS NULL
+      ORDER BY date DESC
+    `, [emp_id, start_date, end_date]);
+    
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching attendance range:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Attendance Type Routes
+// ===================
+
+// Get the attendance type catalogue (?active=true for recordable types only)
+app.get('/api/attendance-types', requireAuth, validate({ query: { active: field.boolean() } }), (req, res) => {
+  const types = [...attendanceTypes.values()];
+  res.json(req.query.active === 'true' ? types.filter(type => type.active) : types);
+});
+
+// Add an attendance type
+app.post('/api/attendance-types', requireAuth, requireRole('admin'), validate({
+  body: { code: field.string({ max: 50, required: true }), ...attendanceTypeFields() }
+}), async (req, res) => {
+  const { code, label, category, paid = true, color, needs_range = category === 'leave', active = true } = req.body;
+  const register_code = req.body.register_code?.trim() || defaultRegisterCode(code);
+
+  try {
+    await db.query(`
+      INSERT INTO attendance_types (code, label, category, paid, color, needs_range, active, register_code, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM attendance_types))
+    `, [code.trim(), label.trim(), category, paid, color, needs_range, active, register_code]);
+    await loadAttendanceTypes(db);
+
+    res.json({ message: 'Attendance type created successfully', code: code.trim() });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, 'An attendance type with this code already exists');
+    }
+    console.error('Error creating attendance type:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Update an attendance type (the code is fixed because records refer to it)
+app.put('/api/attendance-types/:code', requireAuth, requireRole('admin'), validate({
+  params: { code: field.string({ max: 50, required: true }) },
+  body: attendanceTypeFields(true)
+}), async (req, res) => {
+  const { code } = req.params;
+  const { label, category, paid, color, needs_range, active, register_code } = req.body;
+
+  try {
+    const result = await db.query(`
+      UPDATE attendance_types SET
+        label = COALESCE($2, label),
+        category = COALESCE($3, category),
+        paid = COALESCE($4, paid),
+        color = COALESCE($5, color),
+        needs_range = COALESCE($6, needs_range),
+        active = COALESCE($7, active),
+        register_code = COALESCE($8, register_code),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE code = $1
+    `, [code, label ? label.trim() : null, category ?? null, paid ?? null, color ?? null, needs_range ?? null, active ?? null,
+      register_code?.trim() || null]);
+
+    if (result.rowCount === 0) {
+      return sendError(res, 404, 'Attendance type not found');
+    }
+
+    await loadAttendanceTypes(db);
+    res.json({ message: 'Attendance type updated successfully' });
+  } catch (err) {
+    console.error('Error updating attendance type:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delete an attendance type that has never been used (deactivate it otherwise)
+app.delete('/api/attendance-types/:code', requireAuth, requireRole('admin'), validate({
+  params: { code: field.string({ max: 50, required: true }) }
+}), async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const usageResult = await db.query(`
+      SELECT EXISTS (SELECT 1 FROM attendance_records WHERE attendance_type = $1)
+        OR EXISTS (SELECT 1 FROM leave_policies WHERE attendance_type = $1)
+        OR EXISTS (SELECT 1 FROM leave_ledger WHERE attendance_type = $1) as used
+    `, [code]);
+
+    if (usageResult.rows[0].used) {
+      return sendError(res, 409, 'This attendance type is in use; deactivate it instead');
+    }
+
+    const result = await db.query('DELETE FROM attendance_types WHERE code = $1', [code]);
+
+    if (result.rowCount === 0) {
+      return sendError(res, 404, 'Attendance type not found');
+    }
+
+    await loadAttendanceTypes(db);
+    res.json({ message: 'Attendance type deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting attendance type:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Work Policy Routes
+// ===================
+
+// Get all work policies (team_id null is the company-wide policy)
+app.get('/api/work-policies', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT p.*, t.name as team_name FROM work_policies p
+      LEFT JOIN teams t ON t.id = p.team_id
+      ORDER BY p.team_id NULLS FIRST, t.name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching work policies:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create the company policy, or a team policy when team_id is given
+app.post('/api/work-policies', requireAuth, requireRole('admin'), validate({
+  body: { team_id: field.id(), ...workPolicyFields() }
+}), async (req, res) => {
+  const {
+    name,
+    team_id = null,
+    period = 'week',
+    min_office_days = 0,
+    max_consecutive_remote = null,
+    anchor_days = [],
+    office_type = 'WFO',
+    remote_type = 'WFH'
+  } = req.body;
+
+  try {
+    const result = await db.query(`
+      INSERT INTO work_policies
+        (name, team_id, period, min_office_days, max_consecutive_remote, anchor_days, office_type, remote_type)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [name, team_id, period, min_office_days, max_consecutive_remote, anchor_days, office_type, remote_type]);
+
+    res.json({ message: 'Work policy created successfully', id: result.rows[0].id });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, team_id ? 'This team already has a policy' : 'A company policy already exists');
+    }
+    if (err.code === '23503') {
+      return sendError(res, 400, 'Team not found');
+    }
+    console.error('Error creating work policy:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Update a work policy's rules (send max_consecutive_remote: null to remove that limit)
+app.put('/api/work-policies/:id', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: workPolicyFields(true)
+}), async (req, res) => {
+  const { name, period, min_office_days, max_consecutive_remote, anchor_days, office_type, remote_type } = req.body;
+
+  try {
+    const result = await db.query(`
+      UPDATE work_policies SET
+        name = COALESCE($2, name),
+        period = COALESCE($3, period),
+        min_office_days = COALESCE($4, min_office_days),
+        max_consecutive_remote = CASE WHEN $5 THEN $6 ELSE max_consecutive_remote END,
+        anchor_days = COALESCE($7, anchor_days),
+        office_type = COALESCE($8, office_type),
+        remote_type = COALESCE($9, remote_type),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [req.params.id, name || null, period || null, min_office_days ?? null,
+      max_consecutive_remote !== undefined, max_consecutive_remote ?? null, anchor_days || null,
+      office_type || null, remote_type || null]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Work policy not found');
+    } else {
+      res.json({ message: 'Work policy updated successfully' });
+    }
+  } catch (err) {
+    console.error('Error updating work policy:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delete a work policy
+app.delete('/api/work-policies/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM work_policies WHERE id = $1', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Work policy not found');
+    } else {
+      res.json({ message: 'Work policy deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting work policy:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Evaluate employees against their team's policy (or the company policy) between
+// start_date and end_date, with pass/fail and the reasons for each failure.
+// Accepts emp_id and the department_id, team_id and manager_id filters.
+app.get('/api/compliance', requireAuth, validate({
+  query: {
+    start_date: field.date({ required: true }),
+    end_date: field.date({ required: true }),
+    emp_id: field.empId(),
+    ...orgFilterFields
+  },
+  checks: [dateRange('query', 'start_date', 'end_date', { maxDays: MAX_RANGE_DAYS })]
+}), async (req, res) => {
+  const { start_date, end_date } = req.query;
+  const dates = expandDateRange(start_date, end_date);
+
+  const params = [];
+  const conditions = [
+    '1=1',
+    ...buildAccessFilters(req.user, 'e.emp_id', params),
+    ...buildOrgFilters('e.emp_id', req.query, params)
+  ];
+  if (req.query.emp_id) {
+    params.push(req.query.emp_id);
+    conditions.push(`e.emp_id = $${params.length}`);
+  }
+
+  try {
+    const [employeesResult, policiesResult] = await Promise.all([
+      db.query(`
+        SELECT e.emp_id, e.name, e.team_id, t.name as team_name FROM employees e
+        LEFT JOIN teams t ON t.id = e.team_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY e.name
+      `, params),
+      db.query('SELECT * FROM work_policies')
+    ]);
+
+    const companyPolicy = policiesResult.rows.find(policy => policy.team_id === null) || null;
+    const teamPolicies = new Map(policiesResult.rows.map(policy => [policy.team_id, policy]));
+    const employeeIds = employeesResult.rows.map(employee => employee.emp_id);
+
+    const recordsResult = await db.query(`
+      SELECT emp_id, attendance_type, ${sql.date('date')} as date, fraction FROM attendance_records
+      WHERE emp_id = ANY($1) AND date BETWEEN $2 AND $3 AND status = 'approved' AND deleted_at IS NULL
+    `, [employeeIds, start_date, end_date]);
+    const recordsByEmployee = new Map();
+    for (const row of recordsResult.rows) {
+      if (!recordsByEmployee.has(row.emp_id)) recordsByEmployee.set(row.emp_id, new Map());
+      const dates = recordsByEmployee.get(row.emp_id);
+      if (!dates.has(row.date)) dates.set(row.date, new Map());
+      const day = dates.get(row.date);
+      day.set(row.attendance_type, (day.get(row.attendance_type) || 0) + row.fraction);
+    }
+
+    const summary = { evaluated: 0, passed: 0, failed: 0, no_policy: 0 };
+    const employees = [];
+    for (const employee of employeesResult.rows) {
+      const policy = teamPolicies.get(employee.team_id) || companyPolicy;
+
+      if (!policy) {
+        summary.no_policy++;
+        employees.push({ ...employee, policy: null, status: 'no_policy', reasons: [] });
+        continue;
+      }
+
+      const calendar = await getWorkCalendar(db, employee.emp_id, start_date, end_date);
+      const result = evaluateWorkPolicy(policy, calendar, dates, recordsByEmployee.get(employee.emp_id) || new Map(),
+        { startDate: start_date, endDate: end_date });
+      const status = result.reasons.length === 0 ? 'pass' : 'fail';
+
+      summary.evaluated++;
+      summary[status === 'pass' ? 'passed' : 'failed']++;
+      employees.push({ ...employee, policy: { id: policy.id, name: policy.name }, status, ...result });
+    }
+
+    res.json({ start_date, end_date, summary, employees });
+  } catch (err) {
+    console.error('Error evaluating work policy compliance:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Organization Routes
+// ===================
+
+// Get all departments with their teams
+app.get('/api/departments', requireAuth, async (req, res) => {
+  try {
+    const [departmentsResult, teamsResult] = await Promise.all([
+      db.query('SELECT * FROM departments ORDER BY name'),
+      db.query('SELECT id, name, department_id FROM teams ORDER BY name')
+    ]);
+    res.json(departmentsResult.rows.map(department => ({
+      ...department,
+      teams: teamsResult.rows
+        .filter(team => team.department_id === department.id)
+        .map(({ id, name }) => ({ id, name }))
+    })));
+  } catch (err) {
+    console.error('Error fetching departments:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create a department
+app.post('/api/departments', requireAuth, requireRole('admin'), validate({
+  body: { name: field.string({ max: 100, required: true }) }
+}), async (req, res) => {
+  const { name } = req.body;
+
+  try {
+    const result = await db.query('INSERT INTO departments (name) VALUES ($1) RETURNING id', [name]);
+    res.json({ message: 'Department created successfully', id: result.rows[0].id });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, 'A department with this name already exists');
+    }
+    console.error('Error creating department:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Rename a department
+app.put('/api/departments/:id', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: { name: field.string({ max: 100, required: true }) }
+}), async (req, res) => {
+  const { name } = req.body;
+
+  try {
+    const result = await db.query('UPDATE departments SET name = $2 WHERE id = $1', [req.params.id, name]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Department not found');
+    } else {
+      res.json({ message: 'Department updated successfully' });
+    }
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, 'A department with this name already exists');
+    }
+    console.error('Error updating department:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delete a department and its teams (employees are left without one)
+app.delete('/api/departments/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await auditedQuery(req.user, 'DELETE FROM departments WHERE id = $1', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Department not found');
+    } else {
+      res.json({ message: 'Department deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting department:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get teams, optionally for one department
+app.get('/api/teams', requireAuth, validate({ query: { department_id: field.id() } }), async (req, res) => {
+  const departmentId = req.query.department_id || null;
+
+  try {
+    const result = await db.query(`
+      SELECT t.*, d.name as department_name
+      FROM teams t
+      JOIN departments d ON d.id = t.department_id
+      WHERE $1::integer IS NULL OR t.department_id = $1
+      ORDER BY d.name, t.name
+    `, [departmentId]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching teams:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create a team in a department
+app.post('/api/teams', requireAuth, requireRole('admin'), validate({
+  body: { name: field.string({ max: 100, required: true }), department_id: field.id({ required: true }) }
+}), async (req, res) => {
+  const { name, department_id } = req.body;
+
+  try {
+    const result = await db.query(
+      'INSERT INTO teams (name, department_id) VALUES ($1, $2) RETURNING id',
+      [name, department_id]
+    );
+    res.json({ message: 'Team created successfully', id: result.rows[0].id });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendError(res, 409, 'This department already has a team with this name');
+    }
+    if (err.code === '23503') {
+      return sendError(res, 400, 'Department not found');
+    }
+    console.error('Error creating team:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Rename a team or move it to another department (its members move with it)
+app.put('/api/teams/:id', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: { name: field.string({ max: 100 }), department_id: field.id() }
+}), async (req, res) => {
+  const { id } = req.params;
+  const { name, department_id } = req.body;
+  const client = await db.connect();
+
+  try {
+    await beginAudited(client, req.user);
+
+    const result = await client.query(`
+      UPDATE teams SET name = COALESCE($2, name), department_id = COALESCE($3, department_id)
+      WHERE id = $1
+      RETURNING department_id
+    `, [id, name || null, department_id || null]);
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Team not found');
+    }
+
+    const movedResult = await client.query(
+      'UPDATE employees SET department_id = $2, updated_at = CURRENT_TIMESTAMP WHERE team_id = $1 AND department_id IS DISTINCT FROM $2 RETURNING *',
+      [id, result.rows[0].department_id]
+    );
+    await queueRowEvents(client, 'employee.upserted', movedResult.rows);
+
+    await client.query('COMMIT');
+    res.json({ message: 'Team updated successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return sendError(res, 409, 'This department already has a team with this name');
+    }
+    if (err.code === '23503') {
+      return sendError(res, 400, 'Department not found');
+    }
+    console.error('Error updating team:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a team (its members stay in the department)
+app.delete('/api/teams/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await auditedQuery(req.user, 'DELETE FROM teams WHERE id = $1', [req.params.id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Team not found');
+    } else {
+      res.json({ message: 'Team deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting team:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Roll up a manager's organization: headcount and approved working-day attendance by type
+// for each direct report's whole subtree, optionally between start_date and end_date
+app.get('/api/employees/:emp_id/rollup', requireAuth, validate({
+  params: empIdParams,
+  query: { start_date: field.date(), end_date: field.date() },
+  checks: [dateRange('query', 'start_date', 'end_date')]
+}), async (req, res) => {
+  const { emp_id } = req.params;
+  const { start_date, end_date } = req.query;
+
+  // Every employee below the manager, tagged with the direct report whose branch they are in
+  const branches = `
+    WITH RECURSIVE branch AS (
+      SELECT emp_id, emp_id as report_id FROM employees WHERE manager_id = $1
+      UNION
+      SELECT e.emp_id, b.report_id FROM employees e JOIN branch b ON e.manager_id = b.emp_id
+    )`;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the organization of yourself and your reports');
+    }
+
+    const managerResult = await db.query('SELECT emp_id, name FROM employees WHERE emp_id = $1', [emp_id]);
+    if (managerResult.rows.length === 0) {
+      return sendError(res, 404, 'Employee not found');
+    }
+
+    const [headcountResult, attendanceResult] = await Promise.all([
+      db.query(`
+        ${branches}
+        SELECT r.emp_id, r.name, COUNT(DISTINCT b.emp_id) as headcount
+        FROM branch b JOIN employees r ON r.emp_id = b.report_id
+        GROUP BY r.emp_id, r.name
+        ORDER BY r.name
+      `, [emp_id]),
+      db.query(`
+        ${branches}
+        SELECT b.report_id, ar.attendance_type, SUM(ar.fraction) as days
+        FROM branch b JOIN attendance_records ar ON ar.emp_id = b.emp_id
+        WHERE ar.status = 'approved' AND ar.deleted_at IS NULL AND ${WORKING_DAY_CONDITION}
+          AND ($2::date IS NULL OR ar.date >= $2) AND ($3::date IS NULL OR ar.date <= $3)
+        GROUP BY b.report_id, ar.attendance_type
+      `, [emp_id, start_date || null, end_date || null])
+    ]);
+
+    const totals = { headcount: 0, by_type: {} };
+    const reports = headcountResult.rows.map(row => {
+      const headcount = parseInt(row.headcount);
+      totals.headcount += headcount;
+      return { emp_id: row.emp_id, name: row.name, headcount, by_type: {} };
+    });
+    const reportsById = new Map(reports.map(report => [report.emp_id, report]));
+
+    for (const row of attendanceResult.rows) {
+      const days = roundDays(parseFloat(row.days));
+      reportsById.get(row.report_id).by_type[row.attendance_type] = days;
+      totals.by_type[row.attendance_type] = roundDays((totals.by_type[row.attendance_type] || 0) + days);
+    }
+
+    res.json({ manager: managerResult.rows[0], totals, reports });
+  } catch (err) {
+    console.error('Error building manager rollup:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Calendar Routes
+// ===================
+
+// Get all holiday calendars
+app.get('/api/calendars', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM holiday_calendars ORDER BY is_default DESC, name');
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching calendars:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create a holiday calendar
+app.post('/api/calendars', requireAuth, requireRole('admin'), validate({
+  body: calendarFields(),
+  checks: [workHoursCheck(DEFAULT_SCHEDULE)]
+}), async (req, res) => {
+  const {
+    name,
+    working_days = DEFAULT_WORKING_DAYS,
+    is_default = false,
+    work_start = DEFAULT_SCHEDULE.workStart,
+    work_end = DEFAULT_SCHEDULE.workEnd,
+    grace_minutes = DEFAULT_SCHEDULE.graceMinutes
+  } = req.body;
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (is_default) {
+      await client.query('UPDATE holiday_calendars SET is_default = FALSE WHERE is_default');
+    }
+
+    const result = await client.query(`
+      INSERT INTO holiday_calendars (name, working_days, is_default, work_start, work_end, grace_minutes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [name, working_days, !!is_default, work_start, work_end, grace_minutes]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Calendar created successfully',
+      id: result.rows[0].id
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return sendError(res, 409, 'A calendar with this name already exists');
+    }
+    console.error('Error creating calendar:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// Update a holiday calendar's name, working week, work hours or default flag
+app.put('/api/calendars/:id', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: calendarFields(true),
+  checks: [workHoursCheck()]
+}), async (req, res) => {
+  const { id } = req.params;
+  const { name, working_days, is_default, work_start, work_end, grace_minutes } = req.body;
+
+  if (is_default === false) {
+    return sendError(res, 400, 'Make another calendar the default instead');
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (is_default) {
+      await client.query('UPDATE holiday_calendars SET is_default = FALSE WHERE is_default AND id <> $1', [id]);
+    }
+
+    const result = await client.query(`
+      UPDATE holiday_calendars SET
+        name = COALESCE($2, name),
+        working_days = COALESCE($3, working_days),
+        is_default = COALESCE($4, is_default),
+        work_start = COALESCE($5, work_start),
+        work_end = COALESCE($6, work_end),
+        grace_minutes = COALESCE($7, grace_minutes)
+      WHERE id = $1
+    `, [id, name || null, working_days || null, is_default || null,
+      work_start || null, work_end || null, grace_minutes ?? null]);
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Calendar not found');
+    }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Calendar updated successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return sendError(res, 409, 'A calendar with this name already exists');
+    }
+    console.error('Error updating calendar:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a holiday calendar (the default calendar cannot be deleted)
+app.delete('/api/calendars/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await db.query('DELETE FROM holiday_calendars WHERE id = $1 AND NOT is_default', [id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Calendar not found or is the default calendar');
+    } else {
+      res.json({ message: 'Calendar deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting calendar:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get a calendar's holidays, optionally for one year
+app.get('/api/calendars/:id/holidays', requireAuth, validate({
+  params: idParams,
+  query: { year: yearField() }
+}), async (req, res) => {
+  const { id } = req.params;
+  const { year } = req.query;
+
+  let query = `SELECT id, calendar_id, ${sql.date('date')} as date, name FROM holidays WHERE calendar_id = $1`;
+  const params = [id];
+
+  if (year) {
+    query += ` AND ${sql.year('date')} = $2`;
+    params.push(parseInt(year));
+  }
+
+  query += ' ORDER BY date';
+
+  try {
+    const result = await db.query(query, params);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching holidays:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Add or rename a holiday on a calendar
+app.post('/api/calendars/:id/holidays', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: { date: field.date({ required: true }), name: field.string({ max: 100, required: true }) }
+}), async (req, res) => {
+  const { id } = req.params;
+  const { date, name } = req.body;
+
+  try {
+    const result = await db.query(`
+      INSERT INTO holidays (calendar_id, date, name)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (calendar_id, date)
+      DO UPDATE SET name = $3
+      RETURNING id
+    `, [id, date, name]);
+
+    res.json({
+      message: 'Holiday saved successfully',
+      id: result.rows[0].id
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return sendError(res, 404, 'Calendar not found');
+    }
+    console.error('Error saving holiday:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Remove a holiday from a calendar
+app.delete('/api/calendars/:id/holidays/:holidayId', requireAuth, requireRole('admin'), validate({
+  params: { ...idParams, holidayId: field.id({ required: true }) }
+}), async (req, res) => {
+  const { id, holidayId } = req.params;
+
+  try {
+    const result = await db.query('DELETE FROM holidays WHERE id = $1 AND calendar_id = $2', [holidayId, id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Holiday not found');
+    } else {
+      res.json({ message: 'Holiday deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting holiday:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get the working days in a range for an employee's calendar
+app.get('/api/working-days', requireAuth, validate({
+  query: { emp_id: field.empId(), start_date: field.date({ required: true }), end_date: field.date({ required: true }) },
+  checks: [dateRange('query', 'start_date', 'end_date', { maxDays: MAX_RANGE_DAYS })]
+}), async (req, res) => {
+  const { emp_id, start_date, end_date } = req.query;
+  const dates = expandDateRange(start_date, end_date);
+
+  try {
+    if (emp_id && !(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the calendars of yourself and your reports');
+    }
+
+    const calendar = await getWorkCalendar(db, emp_id || null, start_date, end_date);
+    const { working, skipped } = classifyDates(calendar, dates);
+
+    res.json({
+      calendar: { id: calendar.id, name: calendar.name, working_days: calendar.workingDays },
+      working_days: working,
+      skipped
+    });
+  } catch (err) {
+    console.error('Error fetching working days:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Calendar Feed Routes
+// ===================
+
+const FEED_COLUMNS = `
+  f.id, f.token, f.user_id, f.scope, f.emp_id, f.team_id, f.include_presence, f.created_at,
+  e.name as emp_name, t.name as team_name`;
+
+// The current user's feeds with their subscription URLs
+app.get('/api/calendar-feeds', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT ${FEED_COLUMNS}
+      FROM calendar_feeds f
+      LEFT JOIN employees e ON e.emp_id = f.emp_id
+      LEFT JOIN teams t ON t.id = f.team_id
+      WHERE f.user_id = $1
+      ORDER BY f.id
+    `, [req.user.id]);
+
+    res.json(result.rows.map(({ token, ...feed }) => ({ ...feed, url: feedUrl(req, token) })));
+  } catch (err) {
+    console.error('Error fetching calendar feeds:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Create a feed of one employee's, a team's or the company's leave (and optionally WFO/WFH days)
+app.post('/api/calendar-feeds', requireAuth, validate({
+  body: {
+    scope: field.oneOf(FEED_SCOPES, { required: true }),
+    emp_id: field.empId(),
+    team_id: field.id(),
+    include_presence: field.boolean()
+  },
+  checks: [
+    req => req.body.scope === 'employee' && !req.body.emp_id
+      ? { location: 'body', field: 'emp_id', message: 'is required for an employee feed' }
+      : null,
+    req => req.body.scope === 'team' && !req.body.team_id
+      ? { location: 'body', field: 'team_id', message: 'is required for a team feed' }
+      : null
+  ]
+}), async (req, res) => {
+  const { scope, include_presence = false } = req.body;
+  const emp_id = scope === 'employee' ? req.body.emp_id : null;
+  const team_id = scope === 'team' ? req.body.team_id : null;
+
+  try {
+    const problem = await feedAccessProblem(db, req.user, { scope, emp_id, team_id });
+    if (problem) {
+      return sendError(res, 403, problem);
+    }
+
+    if (emp_id && (await db.query('SELECT 1 FROM employees WHERE emp_id = $1', [emp_id])).rows.length === 0) {
+      return sendError(res, 404, 'Employee not found');
+    }
+    if (team_id && (await db.query('SELECT 1 FROM teams WHERE id = $1', [team_id])).rows.length === 0) {
+      return sendError(res, 404, 'Team not found');
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const result = await db.query(`
+      INSERT INTO calendar_feeds (token, user_id, scope, emp_id, team_id, include_presence)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [token, req.user.id, scope, emp_id, team_id, include_presence]);
+
+    res.json({ message: 'Calendar feed created successfully', id: result.rows[0].id, url: feedUrl(req, token) });
+  } catch (err) {
+    console.error('Error creating calendar feed:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delete one of the current user's feeds; its URL stops working
+app.delete('/api/calendar-feeds/:id', requireAuth, validate({ params: idParams }), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM calendar_feeds WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Calendar feed not found');
+    } else {
+      res.json({ message: 'Calendar feed deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting calendar feed:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// The feed itself, for calendar apps. The token stands in for a login, and the feed's owner
+// must still have access to what it shows.
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const feedResult = await db.query(`
+      SELECT ${FEED_COLUMNS}, u.username, u.role, u.emp_id as user_emp_id
+      FROM calendar_feeds f
+      JOIN users u ON u.id = f.user_id
+      LEFT JOIN employees e ON e.emp_id = f.emp_id
+      LEFT JOIN teams t ON t.id = f.team_id
+      WHERE f.token = $1
+    `, [req.params.token]);
+    const feed = feedResult.rows[0];
+
+    if (!feed) {
+      return sendError(res, 404, 'Calendar feed not found');
+    }
+
+    const owner = { id: feed.user_id, username: feed.username, role: feed.role, emp_id: feed.user_emp_id };
+    const problem = await feedAccessProblem(db, owner, feed);
+    if (problem) {
+      return sendError(res, 403, problem);
+    }
+
+    const subject = { employee: feed.emp_name, team: feed.team_name, company: 'Company' }[feed.scope];
+    const calendar = formatCalendar({
+      name: `${subject} ${feed.include_presence ? 'attendance' : 'leave'}`,
+      events: await buildFeedEvents(db, feed)
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${feed.scope}-${feed.id}.ics"`);
+    res.send(calendar);
+  } catch (err) {
+    console.error('Error building calendar feed:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Clock Routes
+// ===================
+
+// Load today's presence record and its sessions for an employee, and any leave booked today
+// that has not been rejected (which may cover the whole day or one half of it)
+async function getClockDay(db, empId) {
+  const today = formatLocalDate(new Date());
+  const recordResult = await db.query(
+    'SELECT * FROM attendance_records WHERE emp_id = $1 AND date = $2 AND deleted_at IS NULL',
+    [empId, today]
+  );
+  const record = recordResult.rows.find(row => !isLeaveType(row.attendance_type)) || null;
+  const leave = recordResult.rows.find(row => isLeaveType(row.attendance_type) && row.status !== 'rejected') || null;
+
+  const sessions = record
+    ? (await db.query(
+      'SELECT * FROM attendance_sessions WHERE attendance_id = $1 ORDER BY started_at',
+      [record.id]
+    )).rows
+    : [];
+
+  return { today, record, leave, sessions };
+}
+
+// Summarise today's clock state for the response
+async function clockStatus(db, empId) {
+  const { today, record, sessions } = await getClockDay(db, empId);
+  const calendar = await getWorkCalendar(db, empId, today, today);
+
+  return {
+    emp_id: empId,
+    date: today,
+    attendance_id: record ? record.id : null,
+    attendance_type: record ? record.attendance_type : null,
+    session: record ? record.session : null,
+    ...summarizeDay(sessions, calendar.schedule),
+    sessions
+  };
+}
+
+// Body of every clock action (the type is only used by the first clock-in of the day)
+const clockFields = { body: { emp_id: field.empId({ required: true }), attendance_type: presenceTypeField() } };
+
+// Shared handler for the clock actions. Each action closes the open session (if the
+// action allows it) and optionally opens a new one, in one transaction.
+function clockAction({ closes, opens, message }) {
+  return async (req, res) => {
+    const { emp_id, attendance_type = defaultPresenceType() } = req.body;
+
+    const client = await db.connect();
+
+    try {
+      await beginAudited(client, req.user);
+
+      if (!(await canAccessEmployee(client, req.user, emp_id))) {
+        await client.query('ROLLBACK');
+        return sendError(res, 403, 'You can only clock in and out for yourself and your reports');
+      }
+
+      const employeeResult = await client.query('SELECT name FROM employees WHERE emp_id = $1', [emp_id]);
+      if (employeeResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendError(res, 404, 'Employee not found');
+      }
+
+      const day = await getClockDay(client, emp_id);
+      let record = day.record;
+      const open = day.sessions.find(session => !session.ended_at);
+
+      if (day.leave?.session === 'full') {
+        await client.query('ROLLBACK');
+        return sendError(res, 409, `Today is booked as ${day.leave.attendance_type}`);
+      }
+
+      if (open ? open.kind !== closes : closes !== null) {
+        await client.query('ROLLBACK');
+        const state = !open ? 'clocked out' : open.kind === 'work' ? 'clocked in' : 'on a break';
+        return sendError(res, 409, `Cannot ${message} while ${state}`);
+      }
+
+      // The first clock-in of the day creates the attendance record (replacing rejected leave),
+      // for the half of the day not on leave when half of it is
+      if (!record) {
+        if (!isActiveType(attendance_type) || isLeaveType(attendance_type)) {
+          await client.query('ROLLBACK');
+          return sendError(res, 400, 'Clock in with an active presence type such as WFO or WFH');
+        }
+
+        const problem = await checkEmployment(client, emp_id, [day.today]);
+        if (problem) {
+          await client.query('ROLLBACK');
+          return sendEmploymentProblem(res, problem);
+        }
+
+        const session = day.leave ? OTHER_HALF[day.leave.session] : 'full';
+        const replaced = await client.query(
+          'SELECT id FROM attendance_records WHERE emp_id = $1 AND date = $2 AND session = $3 AND deleted_at IS NULL',
+          [emp_id, day.today, session]
+        );
+        await makeRoomForSession(client, req.user, emp_id, day.today, session);
+        const recordResult = await client.query(`
+          INSERT INTO attendance_records (emp_id, emp_name, attendance_type, date, session, fraction)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (emp_id, date, session)
+          DO UPDATE SET attendance_type = $3, status = 'approved', leave_request_id = NULL, balance_exceeded = FALSE,
+            fraction = $6, reviewed_by = NULL, reviewed_at = NULL, review_comment = NULL, timestamp = CURRENT_TIMESTAMP,
+            deleted_at = NULL, deleted_by = NULL
+          RETURNING *
+        `, [emp_id, employeeResult.rows[0].name, attendance_type, day.today, session, SESSION_SHARE[session]]);
+        await queueRowEvents(client, replaced.rows.length > 0 ? 'attendance.updated' : 'attendance.created', recordResult.rows);
+        record = recordResult.rows[0];
+      }
+
+      const now = new Date();
+      if (open) {
+        await client.query('UPDATE attendance_sessions SET ended_at = $2 WHERE id = $1', [open.id, now]);
+      }
+      if (opens) {
+        await client.query(`
+          INSERT INTO attendance_sessions (attendance_id, kind, started_at)
+          VALUES ($1, $2, $3)
+        `, [record.id, opens, now]);
+      }
+
+      const status = await clockStatus(client, emp_id);
+      await client.query('COMMIT');
+
+      res.json({ message: `${message[0].toUpperCase()}${message.slice(1)} recorded`, ...status });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`Error recording ${message}:`, err);
+      sendError(res, 500, 'Internal server error');
+    } finally {
+      client.release();
+    }
+  };
+}
+
+// Clock in (starts a work session; allowed only when clocked out)
+app.post('/api/clock/in', requireAuth, validate(clockFields), clockAction({ closes: null, opens: 'work', message: 'clock in' }));
+
+// Clock out (ends the current work session)
+app.post('/api/clock/out', requireAuth, validate(clockFields), clockAction({ closes: 'work', opens: null, message: 'clock out' }));
+
+// Start a break (ends the current work session)
+app.post('/api/clock/break/start', requireAuth, validate(clockFields), clockAction({ closes: 'work', opens: 'break', message: 'break start' }));
+
+// End a break (resumes work)
+app.post('/api/clock/break/end', requireAuth, validate(clockFields), clockAction({ closes: 'break', opens: 'work', message: 'break end' }));
+
+// Get today's clock status for an employee
+app.get('/api/clock/status/:emp_id', requireAuth, validate({ params: empIdParams }), async (req, res) => {
+  const { emp_id } = req.params;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the clock status of yourself and your reports');
+    }
+
+    res.json(await clockStatus(db, emp_id));
+  } catch (err) {
+    console.error('Error fetching clock status:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get daily worked hours, late arrivals and early departures for an employee
+app.get('/api/timesheet/:emp_id', requireAuth, validate({
+  params: empIdParams,
+  query: { start_date: field.date({ required: true }), end_date: field.date({ required: true }) },
+  checks: [dateRange('query', 'start_date', 'end_date', { maxDays: MAX_RANGE_DAYS })]
+}), async (req, res) => {
+  const { emp_id } = req.params;
+  const { start_date, end_date } = req.query;
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the timesheets of yourself and your reports');
+    }
+
+    const calendar = await getWorkCalendar(db, emp_id, start_date, end_date);
+    const result = await db.query(`
+      SELECT ar.id as attendance_id, ${sql.date('ar.date')} as date, ar.attendance_type,
+        s.id, s.kind, s.started_at, s.ended_at
+      FROM attendance_records ar
+      JOIN attendance_sessions s ON s.attendance_id = ar.id
+      WHERE ar.emp_id = $1 AND ar.date BETWEEN $2 AND $3 AND ar.deleted_at IS NULL
+      ORDER BY ar.date, s.started_at
+    `, [emp_id, start_date, end_date]);
+
+    const days = new Map();
+    for (const row of result.rows) {
+      if (!days.has(row.date)) {
+        days.set(row.date, { date: row.date, attendance_id: row.attendance_id, attendance_type: row.attendance_type, sessions: [] });
+      }
+      days.get(row.date).sessions.push({ id: row.id, kind: row.kind, started_at: row.started_at, ended_at: row.ended_at });
+    }
+
+    const timesheet = [...days.values()].map(day => ({
+      ...day,
+      ...summarizeDay(day.sessions, calendar.schedule)
+    }));
+
+    res.json({
+      emp_id,
+      schedule: calendar.schedule,
+      days: timesheet,
+      total_worked_minutes: timesheet.reduce((sum, day) => sum + day.worked_minutes, 0)
+    });
+  } catch (err) {
+    console.error('Error fetching timesheet:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Export Routes
+// ===================
+
+// Download approved attendance as CSV or XLSX (same filters as GET /api/attendance),
+// or the monthly register for ?month=YYYY-MM as a PDF
+app.get('/api/export', requireAuth, validate({
+  query: { ...attendanceFilterFields, format: field.oneOf(EXPORT_FORMATS), month: field.month() },
+  checks: [
+    dateRange('query', 'start_date', 'end_date'),
+    req => req.query.format === 'pdf' && !req.query.month
+      ? { location: 'query', field: 'month', message: 'is required for the PDF register' }
+      : null
+  ]
+}), async (req, res) => {
+  const { format = 'csv', month } = req.query;
+
+  try {
+    if (format === 'pdf') {
+      const register = await buildMonthlyRegister(db, month, { empId: req.query.emp_id || null, user: req.user });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="attendance_register_${month}.pdf"`);
+      writeRegisterPDF(register, res);
+      return;
+    }
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', 'attachment; filename="attendance_records.xlsx"');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const sheet = workbook.addWorksheet('Attendance');
+      sheet.columns = EXPORT_HEADERS.map(header => ({ header, width: 20 }));
+      for await (const values of exportRows(db, req.user, req.query)) {
+        sheet.addRow(values).commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="attendance_records.csv"');
+    res.write(csvLine(EXPORT_HEADERS));
+    for await (const values of exportRows(db, req.user, req.query)) {
+      res.write(csvLine(values));
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error exporting attendance:', err);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      sendError(res, 500, 'Internal server error');
+    }
+  }
+});
+
+// ===================
+// Report Routes
+// ===================
+
+// Monthly attendance register: one row per employee with a code per day and per-type totals
+app.get('/api/reports/monthly', requireAuth, validate({
+  query: { month: field.month({ required: true }), emp_id: field.empId() }
+}), async (req, res) => {
+  const { month } = req.query;
+
+  try {
+    res.json(await buildMonthlyRegister(db, month, { empId: req.query.emp_id || null, user: req.user }));
+  } catch (err) {
+    console.error('Error building monthly register:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Import Routes
+// ===================
+
+// Import employees or attendance from a CSV or XLSX file sent as the request body, or leave
+// from an iCalendar (.ics) file (kind=leave, with emp_id and attendance_type for events that
+// do not name them). mode=dry-run (default) only reports; mode=commit applies the valid rows
+// in one transaction.
+app.post('/api/import', requireAuth, requireRole('admin'), validate({
+  query: {
+    kind: field.oneOf(IMPORT_KINDS, { required: true }),
+    mode: field.oneOf(IMPORT_MODES),
+    filename: field.string({ max: 255 }),
+    emp_id: field.empId(),
+    attendance_type: leaveTypeField()
+  }
+}), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  const { kind, mode = 'dry-run', filename = '' } = req.query;
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return sendError(res, 400, kind === 'leave'
+      ? 'Upload an iCalendar (.ics) file as the request body'
+      : 'Upload a CSV or XLSX file as the request body');
+  }
+
+  // XLSX files are zip archives, which start with "PK"
+  const isXLSX = filename.toLowerCase().endsWith('.xlsx') || req.body.subarray(0, 2).toString() === 'PK';
+
+  let rows;
+  try {
+    if (kind === 'leave') {
+      rows = mapLeaveEvents(parseCalendar(req.body.toString('utf8')), req.query);
+    } else {
+      rows = mapImportRows(isXLSX ? await parseXLSX(req.body) : parseCSV(req.body.toString('utf8')));
+    }
+  } catch (err) {
+    return sendError(res, 400, `Could not read the file: ${err.message}`);
+  }
+
+  if (rows.length === 0) {
+    return sendError(res, 400, kind === 'leave' ? 'The file has no leave events' : 'The file has no data rows');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return sendError(res, 400, `A file cannot have more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const client = await db.connect();
+
+  try {
+    await beginAudited(client, req.user);
+
+    const validators = {
+      employees: validateEmployeeImport,
+      attendance: validateAttendanceImport,
+      leave: validateLeaveImport
+    };
+    const report = await validators[kind](client, rows);
+    const toApply = report.filter(entry => entry.status === 'insert' || entry.status === 'update');
+
+    if (mode === 'commit') {
+      for (const { data, status } of toApply) {
+        if (kind === 'employees') {
+          const result = await client.query(`
+            INSERT INTO employees (emp_id, name, updated_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)
+            ON CONFLICT (emp_id)
+            DO UPDATE SET name = $2, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+          `, [data.emp_id, data.name]);
+          await queueRowEvents(client, 'employee.upserted', result.rows);
+        } else if (kind === 'leave') {
+          // Each event becomes one approved leave request of whole days
+          const leaveRequestId = crypto.randomUUID();
+          const liveResult = await client.query(`
+            SELECT ${sql.date('date')} as date FROM attendance_records
+            WHERE emp_id = $1 AND date = ANY($2) AND session = 'full' AND deleted_at IS NULL
+          `, [data.emp_id, data.dates]);
+          const live = new Set(liveResult.rows.map(row => row.date));
+
+          for (const date of data.dates) {
+            await makeRoomForSession(client, req.user, data.emp_id, date, 'full');
+            const result = await client.query(`
+              INSERT INTO attendance_records
+                (emp_id, emp_name, attendance_type, date, status, leave_request_id, reviewed_by, reviewed_at, review_comment,
+                balance_exceeded)
+              VALUES ($1, $2, $3, $4, 'approved', $5, $6, CURRENT_TIMESTAMP, 'Imported from calendar', $7)
+              ON CONFLICT (emp_id, date, session)
+              DO UPDATE SET emp_name = $2, attendance_type = $3, status = 'approved', leave_request_id = $5, fraction = 1,
+                balance_exceeded = $7, reviewed_by = $6, reviewed_at = CURRENT_TIMESTAMP, review_comment = 'Imported from calendar',
+                timestamp = CURRENT_TIMESTAMP, deleted_at = NULL, deleted_by = NULL
+              RETURNING *
+            `, [data.emp_id, data.name, data.attendance_type, date, leaveRequestId, req.user.username, data.balance_exceeded]);
+            await queueRowEvents(client, live.has(date) ? 'attendance.updated' : 'attendance.created', result.rows);
+          }
+        } else {
+          // Historical leave is imported as already approved
+          await ensureEmployee(client, req.user, data.emp_id, data.name);
+          await makeRoomForSession(client, req.user, data.emp_id, data.date, data.session);
+          const result = await client.query(`
+            INSERT INTO attendance_records
+              (emp_id, emp_name, attendance_type, date, status, reviewed_by, reviewed_at, review_comment, session, fraction)
+            VALUES ($1, $2, $3, $4, 'approved', $5, CURRENT_TIMESTAMP, 'Imported', $6, $7)
+            ON CONFLICT (emp_id, date, session)
+            DO UPDATE SET emp_name = $2, attendance_type = $3, status = 'approved', leave_request_id = NULL, fraction = $7,
+              reviewed_by = $5, reviewed_at = CURRENT_TIMESTAMP, review_comment = 'Imported', timestamp = CURRENT_TIMESTAMP,
+              deleted_at = NULL, deleted_by = NULL
+            RETURNING *
+          `, [data.emp_id, data.name, data.attendance_type, data.date, req.user.username, data.session, data.fraction]);
+          await queueRowEvents(client, status === 'insert' ? 'attendance.created' : 'attendance.updated', result.rows);
+        }
+      }
+      await client.query('COMMIT');
+    } else {
+      await client.query('ROLLBACK');
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+
+    res.json({
+      kind,
+      mode,
+      applied: mode === 'commit' ? toApply.length : 0,
+      summary: {
+        total: report.length,
+        insert: count('insert'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        error: count('error')
+      },
+      rows: report
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error importing file:', err);
+    sendError(res, 500, 'Internal server error');
+  } finally {
+    client.release();
+  }
+});
+
+// ===================
+// Leave Routes
+// ===================
+
+// List leave requests (one per submission), pending by default.
+// Employees only see their own requests.
+app.get('/api/leave/requests', requireAuth, validate({ query: { status: field.oneOf(LEAVE_STATUSES) } }), async (req, res) => {
+  const status = req.query.status || 'pending';
 
-// Serve static files from React build (ALWAYS serve static files)
-const frontendPath = path.join(__dirname, '../attendance-tracker/dist');
-app.use(express.static(frontendPath));
+  let query = `
+    SELECT leave_request_id, emp_id, emp_name, attendance_type, status,
+      ${sql.date('MIN(date)')} as start_date,
+      ${sql.date('MAX(date)')} as end_date,
+      SUM(fraction) as days,
+      MAX(CASE WHEN balance_exceeded THEN 1 ELSE 0 END) = 1 as balance_exceeded,
+      MIN(timestamp) as submitted_at,
+      MAX(reviewed_by) as reviewed_by,
+      MAX(reviewed_at) as reviewed_at,
+      MAX(review_comment) as review_comment
+    FROM attendance_records
+    WHERE leave_request_id IS NOT NULL AND status = $1 AND deleted_at IS NULL`;
+  const params = [status];
 
-// PostgreSQL Database setup
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : { rejectUnauthorized: false }
-});
+  for (const condition of buildAccessFilters(req.user, 'emp_id', params)) {
+    query += ` AND ${condition}`;
+  }
 
-// Test database connection
-pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
-});
+  query += `
+    GROUP BY leave_request_id, emp_id, emp_name, attendance_type, status
+    ORDER BY MIN(timestamp)`;
 
-pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  try {
+    const result = await db.query(query, params);
+    res.json(result.rows.map(row => ({ ...row, days: roundDays(parseFloat(row.days)) })));
+  } catch (err) {
+    console.error('Error fetching leave requests:', err);
+    sendError(res, 500, 'Internal server error');
+  }
 });
 
-// Initialize database tables
-async function initializeDatabase_table() {
-  const client = await pool.connect();
-  
+// Approve or reject every pending day of a leave request. Approval checks the balance again
+// and is refused (or flagged, as the policy says) when the leave no longer fits.
+async function reviewLeaveRequest(req, res, status) {
+  const { requestId } = req.params;
+  const { comment } = req.body;
+  let client;
+
   try {
-    // Create employees table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS employees (
-        emp_id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Employees table created/verified');
-
-    // Create attendance_records table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS attendance_records (
-        id SERIAL PRIMARY KEY,
-        emp_id TEXT NOT NULL,
-        emp_name TEXT NOT NULL,
-        attendance_type TEXT NOT NULL,
-        date DATE NOT NULL,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (emp_id) REFERENCES employees (emp_id),
-        UNIQUE(emp_id, date)
-      )
-    `);
-    console.log('Attendance_records table created/verified');
+    client = await db.connect();
+    await beginAudited(client, req.user);
 
-    // Create indexes for better performance
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_attendance_emp_date ON attendance_records(emp_id, date)`);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance_records(date)`);
-    console.log('Database indexes created/verified');
-    
+    const requestResult = await client.query(`
+      SELECT emp_id, attendance_type, ${sql.date('date')} as date, fraction FROM attendance_records
+      WHERE leave_request_id = $1 AND status = 'pending' AND deleted_at IS NULL
+      ORDER BY date
+    `, [requestId]);
+    const records = requestResult.rows;
+
+    if (records.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Pending leave request not found');
+    }
+
+    if (records[0].emp_id === req.user.emp_id) {
+      await client.query('ROLLBACK');
+      return sendError(res, 403, 'You cannot review your own leave request');
+    }
+
+    if (!(await canAccessEmployee(client, req.user, records[0].emp_id))) {
+      await client.query('ROLLBACK');
+      return sendError(res, 403, 'You can only review leave requests of your reports');
+    }
+
+    let shortfalls = [];
+    if (status === 'approved') {
+      const balance = await checkApprovalBalance(client, records);
+      shortfalls = balance.shortfalls;
+
+      if (shortfalls.length > 0 && balance.policy.on_exceed === 'reject') {
+        await client.query('ROLLBACK');
+        return sendError(res, 409, `Insufficient leave balance to approve (${describeShortfalls(records[0].attendance_type, shortfalls)})`, {
+          code: 'INSUFFICIENT_BALANCE'
+        });
+      }
+    }
+
+    const reviewed = await client.query(`
+      UPDATE attendance_records
+      SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_comment = $4,
+        balance_exceeded = balance_exceeded OR $5
+      WHERE leave_request_id = $1 AND status = 'pending' AND deleted_at IS NULL
+      RETURNING *
+    `, [requestId, status, req.user.username, comment || null, shortfalls.length > 0]);
+    await queueRowEvents(client, 'attendance.updated', reviewed.rows);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: `Leave request ${status}`,
+      days: roundDays(reviewed.rows.reduce((sum, row) => sum + row.fraction, 0)),
+      ...(shortfalls.length > 0 && {
+        warning: `Leave exceeds the remaining balance (${describeShortfalls(records[0].attendance_type, shortfalls)})`
+      })
+    });
   } catch (err) {
-    console.error('Error initializing database:', err);
+    // The connection itself may be what failed
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error reviewing leave request:', err);
+    sendError(res, 500, 'Internal server error');
   } finally {
-    client.release();
+    client?.release();
   }
 }
 
-// Initialize database on startup
-initializeDatabase_table().catch(console.error);
+const reviewFields = {
+  params: { requestId: field.uuid({ required: true }) },
+  body: { comment: field.string({ max: 1000 }) }
+};
 
-// ===================
-// API Routes
-// ===================
+// Approve a leave request
+app.post('/api/leave/requests/:requestId/approve', requireAuth, requireRole('admin', 'manager'), validate(reviewFields), async (req, res) => {
+  await reviewLeaveRequest(req, res, 'approved');
+});
+
+// Reject a leave request
+app.post('/api/leave/requests/:requestId/reject', requireAuth, requireRole('admin', 'manager'), validate(reviewFields), async (req, res) => {
+  await reviewLeaveRequest(req, res, 'rejected');
+});
 
-// Get all employees
-app.get('/api/employees', async (req, res) => {
+// Get all leave policies
+app.get('/api/leave/policies', requireAuth, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM employees ORDER BY name');
+    const result = await db.query('SELECT * FROM leave_policies ORDER BY attendance_type');
     res.json(result.rows);
   } catch (err) {
-    console.error('Error fetching employees:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error fetching leave policies:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Add or update employee
-app.post('/api/employees', async (req, res) => {
-  const { emp_id, name } = req.body;
-  
-  if (!emp_id || !name) {
-    return res.status(400).json({ error: 'Employee ID and name are required' });
+// Add or update the policy for a leave type
+app.put('/api/leave/policies/:attendance_type', requireAuth, requireRole('admin'), validate({
+  params: { attendance_type: leaveTypeField({ required: true }) },
+  body: {
+    annual_days: field.number({ min: 0, required: true }),
+    accrual: field.oneOf(ACCRUAL_MODES),
+    carry_forward_cap: field.number({ min: 0 }),
+    on_exceed: field.oneOf(EXCEED_ACTIONS)
   }
+}), async (req, res) => {
+  const { attendance_type } = req.params;
+  const { annual_days, accrual = 'yearly', carry_forward_cap = 0, on_exceed = 'reject' } = req.body;
 
   try {
-    await pool.query(`
-      INSERT INTO employees (emp_id, name, updated_at) 
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
-      ON CONFLICT (emp_id) 
-      DO UPDATE SET name = $2, updated_at = CURRENT_TIMESTAMP
-    `, [emp_id, name]);
-    
-    res.json({ 
-      message: 'Employee saved successfully',
-      emp_id: emp_id
-    });
+    await db.query(`
+      INSERT INTO leave_policies (attendance_type, annual_days, accrual, carry_forward_cap, on_exceed, updated_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (attendance_type)
+      DO UPDATE SET annual_days = $2, accrual = $3, carry_forward_cap = $4, on_exceed = $5, updated_at = CURRENT_TIMESTAMP
+    `, [attendance_type, annual_days, accrual, carry_forward_cap, on_exceed]);
+
+    res.json({ message: 'Leave policy saved successfully' });
   } catch (err) {
-    console.error('Error saving employee:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error saving leave policy:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Add attendance record
-app.post('/api/attendance', async (req, res) => {
-  const { emp_id, emp_name, attendance_type, date } = req.body;
-  
-  if (!emp_id || !emp_name || !attendance_type || !date) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Remove the policy for a leave type (its leave is no longer balance-checked)
+app.delete('/api/leave/policies/:attendance_type', requireAuth, requireRole('admin'), validate({
+  params: { attendance_type: field.string({ max: 50, required: true }) }
+}), async (req, res) => {
+  const { attendance_type } = req.params;
+
+  try {
+    const result = await db.query('DELETE FROM leave_policies WHERE attendance_type = $1', [attendance_type]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Leave policy not found');
+    } else {
+      res.json({ message: 'Leave policy deleted successfully' });
+    }
+  } catch (err) {
+    console.error('Error deleting leave policy:', err);
+    sendError(res, 500, 'Internal server error');
   }
+});
+
+// Get an employee's leave balances for a year (defaults to the current year)
+app.get('/api/leave/balances/:emp_id', requireAuth, validate({
+  params: empIdParams,
+  query: { year: yearField() }
+}), async (req, res) => {
+  const { emp_id } = req.params;
+  const year = parseInt(req.query.year) || new Date().getUTCFullYear();
 
-  const client = await pool.connect();
-  
   try {
-    await client.query('BEGIN');
-    
-    // First, ensure employee exists
-    await client.query(`
-      INSERT INTO employees (emp_id, name, updated_at) 
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
-      ON CONFLICT (emp_id) 
-      DO UPDATE SET name = $2, updated_at = CURRENT_TIMESTAMP
-    `, [emp_id, emp_name]);
-
-    // Then add attendance record
-    const result = await client.query(`
-      INSERT INTO attendance_records 
-      (emp_id, emp_name, attendance_type, date) 
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (emp_id, date) 
-      DO UPDATE SET emp_name = $2, attendance_type = $3, timestamp = CURRENT_TIMESTAMP
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the leave balances of yourself and your reports');
+    }
+
+    const balances = await getLeaveBalances(db, emp_id, year, new Date());
+    res.json(balances);
+  } catch (err) {
+    console.error('Error fetching leave balances:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get the running balance ledger for one employee, leave type and year
+app.get('/api/leave/ledger/:emp_id', requireAuth, validate({
+  params: empIdParams,
+  query: { attendance_type: knownTypeField({ required: true }), year: yearField() }
+}), async (req, res) => {
+  const { emp_id } = req.params;
+  const { attendance_type } = req.query;
+  const year = parseInt(req.query.year) || new Date().getUTCFullYear();
+
+  try {
+    if (!(await canAccessEmployee(db, req.user, emp_id))) {
+      return sendError(res, 403, 'You can only view the leave ledgers of yourself and your reports');
+    }
+
+    const policyResult = await db.query('SELECT * FROM leave_policies WHERE attendance_type = $1', [attendance_type]);
+    const policy = policyResult.rows[0];
+
+    if (!policy) {
+      return sendError(res, 404, 'No leave policy for this attendance type');
+    }
+
+    const entries = [];
+
+    // Entitlement credits
+    const months = policy.accrual === 'monthly' ? 12 : 1;
+    let credited = 0;
+    for (let month = 0; month < months; month++) {
+      const date = formatISODate(new Date(Date.UTC(year, month, 1)));
+      const total = policy.accrual === 'monthly'
+        ? accruedDays(policy, year, parseISODate(date))
+        : parseFloat(policy.annual_days);
+      if (parseISODate(date) > new Date()) break;
+      entries.push({ date, entry_type: 'accrual', days: roundDays(total - credited), note: `${policy.accrual} entitlement` });
+      credited = total;
+    }
+
+    const ledgerResult = await db.query(`
+      SELECT ${sql.date('created_at')} as date, entry_type, days, note, created_by FROM leave_ledger
+      WHERE emp_id = $1 AND attendance_type = $2 AND year = $3
+    `, [emp_id, attendance_type, year]);
+    for (const row of ledgerResult.rows) {
+      // Carry forward is credited at the start of the year it was carried into
+      const date = row.entry_type === 'carry_forward' ? `${year}-01-01` : row.date;
+      entries.push({ ...row, date, days: parseFloat(row.days) });
+    }
+
+    const takenResult = await db.query(`
+      SELECT id, status, ${sql.date('date')} as date, session, fraction FROM attendance_records ar
+      WHERE emp_id = $1 AND attendance_type = $2 AND status <> 'rejected' AND deleted_at IS NULL
+        AND ${sql.year('date')} = $3 AND ${WORKING_DAY_CONDITION}
+    `, [emp_id, attendance_type, year]);
+    for (const row of takenResult.rows) {
+      entries.push({
+        date: row.date,
+        entry_type: 'taken',
+        days: -row.fraction,
+        session: row.session,
+        attendance_id: row.id,
+        status: row.status
+      });
+    }
+
+    // Credits before debits on the same day, then a running total
+    entries.sort((a, b) => a.date.localeCompare(b.date) || b.days - a.days);
+    let balance = 0;
+    for (const entry of entries) {
+      balance = roundDays(balance + entry.days);
+      entry.balance = balance;
+    }
+
+    res.json({ emp_id, attendance_type, year, entries, balance });
+  } catch (err) {
+    console.error('Error fetching leave ledger:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Credit or debit an employee's leave balance manually
+app.post('/api/leave/adjustments', requireAuth, requireRole('admin'), validate({
+  body: {
+    emp_id: field.empId({ required: true }),
+    attendance_type: leaveTypeField({ required: true }),
+    year: yearField({ required: true }),
+    days: field.number({ nonZero: true, required: true }),
+    note: field.string({ max: 500 })
+  }
+}), async (req, res) => {
+  const { emp_id, attendance_type, year, days, note } = req.body;
+
+  try {
+    const result = await db.query(`
+      INSERT INTO leave_ledger (emp_id, attendance_type, year, entry_type, days, note, created_by)
+      VALUES ($1, $2, $3, 'adjustment', $4, $5, $6)
       RETURNING id
-    `, [emp_id, emp_name, attendance_type, date]);
+    `, [emp_id, attendance_type, year, days, note || null, req.user.username]);
 
-    await client.query('COMMIT');
-    
-    res.json({ 
-      message: 'Attendance record added successfully',
+    res.json({
+      message: 'Leave adjustment saved successfully',
       id: result.rows[0].id
     });
+  } catch (err) {
+    if (err.code === '23503') {
+      return sendError(res, 404, 'Employee not found');
+    }
+    console.error('Error saving leave adjustment:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Carry unused leave from the previous year into the given year, up to each policy's cap.
+// Re-running replaces the carry forward entries for that year.
+app.post('/api/leave/carry-forward', requireAuth, requireRole('admin'), validate({
+  body: { year: yearField({ required: true }) }
+}), async (req, res) => {
+  const { year } = req.body;
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`DELETE FROM leave_ledger WHERE year = $1 AND entry_type = 'carry_forward'`, [year]);
+
+    const employeesResult = await client.query('SELECT emp_id FROM employees');
+    const policiesResult = await client.query('SELECT attendance_type, carry_forward_cap FROM leave_policies');
+    const caps = new Map(policiesResult.rows.map(row => [row.attendance_type, parseFloat(row.carry_forward_cap)]));
+    const previousYearEnd = new Date(Date.UTC(year - 1, 11, 31));
+    const carried = [];
+
+    for (const { emp_id } of employeesResult.rows) {
+      const balances = await getLeaveBalances(client, emp_id, year - 1, previousYearEnd);
+
+      for (const balance of balances) {
+        const days = Math.min(balance.remaining, caps.get(balance.attendance_type) || 0);
+        if (days <= 0) continue;
+
+        await client.query(`
+          INSERT INTO leave_ledger (emp_id, attendance_type, year, entry_type, days, note, created_by)
+          VALUES ($1, $2, $3, 'carry_forward', $4, $5, $6)
+        `, [emp_id, balance.attendance_type, year, days, `Carried forward from ${year - 1}`, req.user.username]);
+        carried.push({ emp_id, attendance_type: balance.attendance_type, days });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: `Carried forward leave for ${carried.length} balances`,
+      carried
+    });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Error saving attendance:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error carrying forward leave:', err);
+    sendError(res, 500, 'Internal server error');
   } finally {
     client.release();
   }
 });
 
-// Get attendance records by employee ID
-app.get('/api/attendance/:emp_id', async (req, res) => {
-  const { emp_id } = req.params;
-  
+// ===================
+// Audit Routes
+// ===================
+
+const AUDIT_TABLES = ['employees', 'attendance_records'];
+const AUDIT_ACTIONS = ['insert', 'update', 'delete'];
+
+// Search the audit log (table, record_id, actor, action, start/end timestamps), newest first
+app.get('/api/audit', requireAuth, requireRole('admin', 'manager'), validate({
+  query: {
+    table: field.oneOf(AUDIT_TABLES),
+    record_id: field.string({ max: 50 }),
+    actor: field.string({ max: 100 }),
+    action: field.oneOf(AUDIT_ACTIONS),
+    start: field.timestamp(),
+    end: field.timestamp(),
+    ...pageFields
+  }
+}), async (req, res) => {
+  const { table, record_id, actor, action, start, end } = req.query;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const conditions = ['1=1'];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (table) add('table_name = ?', table);
+  if (record_id) add('record_id = ?', String(record_id));
+  if (actor) add('actor = ?', actor);
+  if (action) add('action = ?', action);
+  if (start) add('changed_at >= ?::timestamptz', start);
+  if (end) add('changed_at <= ?::timestamptz', end);
+  // Managers only see changes to rows of employees they may access
+  conditions.push(...buildAccessFilters(req.user, `COALESCE(after_data, before_data) ->> 'emp_id'`, params));
+
   try {
-    const result = await pool.query(`
-      SELECT * FROM attendance_records 
-      WHERE emp_id = $1 
-      ORDER BY date DESC
-    `, [emp_id]);
-    
-    res.json(result.rows);
+    const [result, countResult] = await Promise.all([
+      db.query(`
+        SELECT * FROM audit_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY changed_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      db.query(`SELECT COUNT(*) as count FROM audit_log WHERE ${conditions.join(' AND ')}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+    res.json({
+      entries: formatAuditEntries(result.rows),
+      total,
+      limit,
+      offset,
+      has_more: offset + result.rows.length < total
+    });
   } catch (err) {
-    console.error('Error fetching employee attendance:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error fetching audit log:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Get all attendance records with filters
-app.get('/api/attendance', async (req, res) => {
-  const { start_date, end_date, attendance_type } = req.query;
-  
-  let query = 'SELECT * FROM attendance_records WHERE 1=1';
-  let params = [];
-  let paramCount = 0;
+// Revision history of one attendance record, including after it was deleted
+app.get('/api/attendance/:id/history', requireAuth, validate({ params: idParams }), async (req, res) => {
+  const params = [req.params.id];
+  const conditions = buildAccessFilters(req.user, `COALESCE(after_data, before_data) ->> 'emp_id'`, params);
+
+  try {
+    const result = await db.query(`
+      SELECT * FROM audit_log
+      WHERE table_name = 'attendance_records' AND record_id = $1
+        ${conditions.map(condition => `AND ${condition}`).join(' ')}
+      ORDER BY changed_at, id
+    `, params);
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'No history found for this record');
+    }
 
-  if (start_date) {
-    paramCount++;
-    query += ` AND date >= $${paramCount}`;
-    params.push(start_date);
+    res.json(formatAuditEntries(result.rows));
+  } catch (err) {
+    console.error('Error fetching attendance history:', err);
+    sendError(res, 500, 'Internal server error');
   }
+});
+
+// Revision history of one employee
+app.get('/api/employees/:emp_id/history', requireAuth, validate({ params: empIdParams }), async (req, res) => {
+  try {
+    if (!(await canAccessEmployee(db, req.user, req.params.emp_id))) {
+      return sendError(res, 403, 'You can only view the history of yourself and your reports');
+    }
 
-  if (end_date) {
-    paramCount++;
-    query += ` AND date <= $${paramCount}`;
-    params.push(end_date);
+    const result = await db.query(`
+      SELECT * FROM audit_log
+      WHERE table_name = 'employees' AND record_id = $1
+      ORDER BY changed_at, id
+    `, [req.params.emp_id]);
+
+    res.json(formatAuditEntries(result.rows));
+  } catch (err) {
+    console.error('Error fetching employee history:', err);
+    sendError(res, 500, 'Internal server error');
   }
+});
+
+// ===================
+// Webhook Routes
+// ===================
+
+const WEBHOOK_COLUMNS = `
+  s.id, s.url, s.events, s.description, s.active, s.created_by, s.created_at, s.updated_at,
+  (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'pending') as pending_deliveries,
+  (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'failed') as failed_deliveries`;
+
+// Subscription fields in a request body (url and events are required on create)
+function webhookFields(partial = false) {
+  return {
+    url: field.url({ required: !partial }),
+    events: field.array(field.oneOf(webhooks.WEBHOOK_EVENTS), { min: 1, unique: true, required: !partial }),
+    description: field.string({ max: 200 }),
+    active: field.boolean()
+  };
+}
+
+function formatWebhook(row) {
+  return {
+    ...row,
+    pending_deliveries: parseInt(row.pending_deliveries),
+    failed_deliveries: parseInt(row.failed_deliveries)
+  };
+}
 
-  if (attendance_type) {
-    paramCount++;
-    query += ` AND attendance_type = $${paramCount}`;
-    params.push(attendance_type);
+// List subscriptions (secrets are only shown when created or rotated)
+app.get('/api/webhooks', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhook_subscriptions s ORDER BY s.id`);
+    res.json({ events: webhooks.WEBHOOK_EVENTS, subscriptions: result.rows.map(formatWebhook) });
+  } catch (err) {
+    console.error('Error fetching webhooks:', err);
+    sendError(res, 500, 'Internal server error');
   }
+});
 
-  query += ' ORDER BY date DESC, emp_id';
+// Subscribe a URL to events; the response holds the signing secret
+app.post('/api/webhooks', requireAuth, requireRole('admin'), validate({ body: webhookFields() }), async (req, res) => {
+  const { url, events, description = null, active = true } = req.body;
+  const secret = webhooks.generateWebhookSecret();
 
   try {
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const result = await db.query(`
+      INSERT INTO webhook_subscriptions (url, events, secret, description, active, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [url, events, secret, description, active, req.user.username]);
+
+    res.json({ message: 'Webhook created successfully', id: result.rows[0].id, secret });
   } catch (err) {
-    console.error('Error fetching attendance records:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error creating webhook:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Get attendance statistics
-app.get('/api/stats', async (req, res) => {
+// Update a subscription (deliveries for an inactive subscription wait until it is reactivated)
+app.put('/api/webhooks/:id', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  body: webhookFields(true)
+}), async (req, res) => {
+  const { url, events, description, active } = req.body;
+
   try {
-    const stats = {};
-    
-    // Total employees
-    const totalEmpResult = await pool.query('SELECT COUNT(*) as count FROM employees');
-    stats.totalEmployees = parseInt(totalEmpResult.rows[0].count);
-
-    // Total records
-    const totalRecordsResult = await pool.query('SELECT COUNT(*) as count FROM attendance_records');
-    stats.totalRecords = parseInt(totalRecordsResult.rows[0].count);
-
-    // WFO records
-    const wfoResult = await pool.query("SELECT COUNT(*) as count FROM attendance_records WHERE attendance_type = 'WFO'");
-    stats.wfoRecords = parseInt(wfoResult.rows[0].count);
-
-    // WFH records
-    const wfhResult = await pool.query("SELECT COUNT(*) as count FROM attendance_records WHERE attendance_type = 'WFH'");
-    stats.wfhRecords = parseInt(wfhResult.rows[0].count);
-
-    // Attendance by type
-    const attendanceByTypeResult = await pool.query(`
-      SELECT attendance_type, COUNT(*) as count 
-      FROM attendance_records 
-      GROUP BY attendance_type 
-      ORDER BY count DESC
-    `);
-    stats.attendanceByType = attendanceByTypeResult.rows;
+    const result = await db.query(`
+      UPDATE webhook_subscriptions SET
+        url = COALESCE($2, url),
+        events = COALESCE($3, events),
+        description = CASE WHEN $4 THEN $5 ELSE description END,
+        active = COALESCE($6, active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [req.params.id, url || null, events || null, description !== undefined, description ?? null, active ?? null]);
 
-    res.json(stats);
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Webhook not found');
+    } else {
+      res.json({ message: 'Webhook updated successfully' });
+    }
   } catch (err) {
-    console.error('Error fetching stats:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error updating webhook:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Delete attendance record
-app.delete('/api/attendance/:id', async (req, res) => {
-  const { id } = req.params;
-  
+// Delete a subscription and its delivery log
+app.delete('/api/webhooks/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM attendance_records WHERE id = $1', [id]);
-    
+    const result = await db.query('DELETE FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+
     if (result.rowCount === 0) {
-      res.status(404).json({ error: 'Record not found' });
+      sendError(res, 404, 'Webhook not found');
     } else {
-      res.json({ message: 'Record deleted successfully' });
+      res.json({ message: 'Webhook deleted successfully' });
     }
   } catch (err) {
-    console.error('Error deleting attendance record:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error deleting webhook:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Get attendance for a specific date range
-app.get('/api/attendance-range/:emp_id/:start_date/:end_date', async (req, res) => {
-  const { emp_id, start_date, end_date } = req.params;
-  
+// Replace the signing secret; deliveries still queued are signed with the new one
+app.post('/api/webhooks/:id/secret', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  const secret = webhooks.generateWebhookSecret();
+
   try {
-    const result = await pool.query(`
-      SELECT * FROM attendance_records 
-      WHERE emp_id = $1 AND date BETWEEN $2 AND $3 
-      ORDER BY date DESC
-    `, [emp_id, start_date, end_date]);
-    
-    res.json(result.rows);
+    const result = await db.query(
+      'UPDATE webhook_subscriptions SET secret = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.params.id, secret]
+    );
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Webhook not found');
+    } else {
+      res.json({ message: 'Webhook secret rotated', secret });
+    }
   } catch (err) {
-    console.error('Error fetching attendance range:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Error rotating webhook secret:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Queue a webhook.test event for one subscription to check its receiver
+app.post('/api/webhooks/:id/test', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const subscriptionResult = await db.query('SELECT active FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+    if (subscriptionResult.rows.length === 0) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    if (!subscriptionResult.rows[0].active) {
+      return sendError(res, 409, 'Activate the webhook before testing it');
+    }
+
+    const payload = await webhooks.queueWebhookEvent(db, webhooks.TEST_EVENT, {
+      message: 'Test event from the attendance tracker',
+      sent_by: req.user.username
+    }, { subscriptionId: req.params.id });
+
+    res.json({ message: 'Test event queued', event_id: payload.id });
+  } catch (err) {
+    console.error('Error queueing webhook test:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Delivery log of one subscription, newest first
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireRole('admin'), validate({
+  params: idParams,
+  query: { status: field.oneOf(webhooks.DELIVERY_STATUSES), event: field.string({ max: 100 }), ...pageFields }
+}), async (req, res) => {
+  const { status, event } = req.query;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const conditions = ['subscription_id = $1'];
+  const params = [req.params.id];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (event) {
+    params.push(event);
+    conditions.push(`event = $${params.length}`);
+  }
+
+  try {
+    const [result, countResult] = await Promise.all([
+      db.query(`
+        SELECT id, event, event_id, payload, status, attempts, next_attempt_at, last_attempt_at,
+          response_status, last_error, delivered_at, created_at
+        FROM webhook_deliveries
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      db.query(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE ${conditions.join(' AND ')}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+    res.json({
+      deliveries: result.rows,
+      total,
+      limit,
+      offset,
+      has_more: offset + result.rows.length < total,
+      retention_days: webhooks.DELIVERY_LOG_RETENTION_DAYS
+    });
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Send a failed (or pending) delivery again now, with a fresh set of attempts
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', requireAuth, requireRole('admin'), validate({
+  params: { ...idParams, deliveryId: field.id({ required: true }) }
+}), async (req, res) => {
+  try {
+    const result = await db.query(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+      WHERE id = $1 AND subscription_id = $2 AND status <> 'delivered'
+    `, [req.params.deliveryId, req.params.id]);
+
+    if (result.rowCount === 0) {
+      sendError(res, 404, 'Undelivered webhook delivery not found');
+    } else {
+      res.json({ message: 'Delivery queued for retry' });
+    }
+  } catch (err) {
+    console.error('Error retrying webhook delivery:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// ===================
+// Scheduled Job Routes
+// ===================
+
+// Jobs with their schedule and the most recent runs
+app.get('/api/jobs', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, job, ${sql.date('run_date')} as run_date, triggered_by, status, result, error, started_at, finished_at
+      FROM job_runs
+      ORDER BY started_at DESC, id DESC
+      LIMIT 50
+    `);
+
+    res.json({
+      notifier: notifier.name,
+      jobs: scheduler.jobs().map(job => ({ ...job, last_run: result.rows.find(run => run.job === job.name) || null })),
+      runs: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Run a job now, in addition to its daily run
+app.post('/api/jobs/:name/run', requireAuth, requireRole('admin'), validate({
+  params: { name: field.oneOf(() => scheduler.jobs().map(job => job.name), { required: true }) }
+}), async (req, res) => {
+  try {
+    res.json(await scheduler.runNow(req.params.name, req.user));
+  } catch (err) {
+    console.error('Error running job:', err);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
@@ -307,7 +4930,7 @@ app.get('/api/attendance-range/:emp_id/:start_date/:end_date', async (req, res)
 app.get('/health', async (req, res) => {
   try {
     // Test database connection
-    await pool.query('SELECT NOW()');
+    await db.query('SELECT 1');
     res.json({ 
       status: 'OK', 
       timestamp: new Date().toISOString(),
@@ -332,9 +4955,7 @@ app.get('*', (req, res) => {
   if (require('fs').existsSync(indexPath)) {
     res.sendFile(indexPath);
   } else {
-    res.status(404).json({ 
-      error: 'Frontend not built. Please run: npm run build' 
-    });
+    sendError(res, 404, 'Frontend not built. Please run: npm run build');
   }
 });
 
@@ -342,15 +4963,21 @@ app.get('*', (req, res) => {
 // Error Handling
 // ===================
 
-// Global error handler
+// Global error handler (body parser errors are the client's fault)
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
   console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  sendError(res, 500, 'Internal server error');
 });
 
 // Handle 404 for API routes specifically
 app.use('/api/*', (req, res) => {
-  res.status(404).json({ error: 'API endpoint not found' });
+  sendError(res, 404, 'API endpoint not found');
 });
 
 // ===================
@@ -360,10 +4987,10 @@ app.use('/api/*', (req, res) => {
 process.on('SIGINT', async () => {
   console.log('\nShutting down server gracefully...');
   try {
-    await pool.end();
-    console.log('Database connection pool closed');
+    await db.end();
+    console.log('Database connection closed');
   } catch (err) {
-    console.error('Error closing database pool:', err.message);
+    console.error('Error closing database:', err.message);
   }
   process.exit(0);
 });
@@ -371,9 +4998,9 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
   try {
-    await pool.end();
+    await db.end();
   } catch (err) {
-    console.error('Error closing database pool:', err.message);
+    console.error('Error closing database:', err.message);
   }
   process.exit(0);
 });
@@ -382,18 +5009,50 @@ process.on('SIGTERM', async () => {
 // Start Server
 // ===================
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('🚀 ==========================================');
-  console.log(`📱 Server running on http://localhost:${PORT}`);
-  console.log(`🌐 External access: http://0.0.0.0:${PORT}`);
-  console.log(`🗄️  Database: PostgreSQL`);
-  console.log(`📁 Frontend: ${frontendPath}`);
-  console.log(`🔧 Environment: ${isDevelopment ? 'Development' : 'Production'}`);
-  console.log('🚀 ==========================================');
-  
-  // Check if frontend build exists
-  if (!require('fs').existsSync(path.join(frontendPath, 'index.html'))) {
-    console.log('⚠️  WARNING: Frontend build not found!');
-    console.log('   Please run: npm run build');
+// Refuse to serve until the schema matches the migrations shipped with this build
+async function startServer() {
+  const { applied, pending, unknown } = await migrationStatus(db);
+  if (pending.length > 0) {
+    console.error(`Database schema is behind: ${pending.length} pending migration(s)`);
+    pending.forEach(migration => console.error(`  ${migration.version}_${migration.name}`));
+    console.error('Run: npm run migrate');
+    process.exit(1);
   }
-});
\ No newline at end of file
+  if (unknown.length > 0) {
+    console.warn(`Database has migrations this build does not know: ${unknown.map(row => row.version).join(', ')}`);
+  }
+  console.log(`Database schema at version ${applied[applied.length - 1]?.version || 'none'}`);
+
+  await loadAttendanceTypes(db);
+  await ensureAdminUser(db);
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log('🚀 ==========================================');
+    console.log(`📱 Server running on http://localhost:${PORT}`);
+    console.log(`🌐 External access: http://0.0.0.0:${PORT}`);
+    console.log(`🗄️  Database: ${db.name}`);
+    console.log(`📁 Frontend: ${frontendPath}`);
+    console.log(`🔧 Environment: ${isDevelopment ? 'Development' : 'Production'}`);
+    console.log('🚀 ==========================================');
+    
+    // Check if frontend build exists
+    if (!require('fs').existsSync(path.join(frontendPath, 'index.html'))) {
+      console.log('⚠️  WARNING: Frontend build not found!');
+      console.log('   Please run: npm run build');
+    }
+  });
+
+  runTrashPurge();
+  setInterval(runTrashPurge, 24 * 60 * 60 * 1000).unref();
+
+  webhooks.startWebhookDispatcher(db);
+  scheduler.start();
+  console.log(`Notifications: ${notifier.name}`);
+  runWebhookLogPurge();
+  setInterval(runWebhookLogPurge, 24 * 60 * 60 * 1000).unref();
+}
+
+startServer().catch(err => {
+  console.error('Error starting server:', err);
+  process.exit(1);
+});
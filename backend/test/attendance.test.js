@@ -0,0 +1,178 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// 2030-01-07 is a Monday; the default calendar works Monday to Friday without holidays
+let server;
+let admin;
+
+const range = (empId, attendanceType, start, end) => ({
+  emp_id: empId,
+  emp_name: `Employee ${empId}`,
+  attendance_type: attendanceType,
+  start_date: start,
+  end_date: end
+});
+
+async function records(empId) {
+  const { body } = await server.request(admin, 'GET', `/attendance?emp_id=${empId}&limit=100`);
+  return body.records;
+}
+
+before(async () => {
+  server = await startTestServer();
+  admin = await server.adminLogin();
+});
+
+after(() => server?.stop());
+
+test('a range books working days only', async () => {
+  const { status, body } = await server.request(admin, 'POST', '/attendance/range', range('A1', 'WFH', '2030-01-11', '2030-01-14'));
+  assert.equal(status, 200);
+  assert.equal(body.status, 'approved');
+  assert.equal(body.leave_request_id, null);
+  assert.equal(body.saved, 2);
+  assert.equal(body.skipped, 2);
+  assert.deepEqual(body.results.map(result => [result.date, result.status]), [
+    ['2030-01-11', 'created'],
+    ['2030-01-12', 'skipped'],
+    ['2030-01-13', 'skipped'],
+    ['2030-01-14', 'created']
+  ]);
+});
+
+test('a range is validated', async () => {
+  const backwards = await server.request(admin, 'POST', '/attendance/range', range('A2', 'WFH', '2030-01-14', '2030-01-11'));
+  assert.equal(backwards.status, 400);
+  assert.equal(backwards.body.code, 'VALIDATION_FAILED');
+
+  const misspelt = await server.request(admin, 'POST', '/attendance/range', {
+    ...range('A2', 'WFH', '2030-01-07', '2030-01-08'),
+    sesion: 'am'
+  });
+  assert.equal(misspelt.status, 400);
+  assert.equal(misspelt.body.code, 'VALIDATION_FAILED');
+  assert.ok(misspelt.body.details.some(detail => detail.field === 'sesion'));
+
+  assert.deepEqual(await records('A2'), []);
+});
+
+test('leave is requested as pending and approved as one request', async () => {
+  const submitted = await server.request(admin, 'POST', '/attendance/range', range('L1', 'Annual Leave', '2030-02-04', '2030-02-06'));
+  assert.equal(submitted.status, 200);
+  assert.equal(submitted.body.status, 'pending');
+  const id = submitted.body.leave_request_id;
+  assert.ok(id);
+
+  const pending = await server.request(admin, 'GET', '/leave/requests?status=pending');
+  const request = pending.body.find(row => row.leave_request_id === id);
+  assert.equal(request.days, 3);
+
+  const approved = await server.request(admin, 'POST', `/leave/requests/${id}/approve`, {});
+  assert.equal(approved.status, 200);
+  const approvedRecords = await records('L1');
+  assert.equal(approvedRecords.length, 3);
+  assert.ok(approvedRecords.every(record => record.status === 'approved'));
+
+  const again = await server.request(admin, 'POST', `/leave/requests/${id}/approve`, {});
+  assert.equal(again.status, 404);
+});
+
+test('nobody reviews their own leave', async () => {
+  await server.request(admin, 'POST', '/employees', { emp_id: 'S1', name: 'Sam Self' });
+  await server.request(admin, 'POST', '/users', { username: 'sam', password: 'sam-pass', role: 'manager', emp_id: 'S1' });
+  const sam = await server.login('sam', 'sam-pass');
+
+  const submitted = await server.request(sam, 'POST', '/attendance/range', range('S1', 'Annual Leave', '2030-03-04', '2030-03-04'));
+  assert.equal(submitted.status, 200);
+
+  const review = await server.request(sam, 'POST', `/leave/requests/${submitted.body.leave_request_id}/approve`, {});
+  assert.equal(review.status, 403);
+});
+
+test('leave over the balance is refused under a reject policy', async () => {
+  await server.request(admin, 'PUT', '/leave/policies/Planned%20Leave', { annual_days: 3, on_exceed: 'reject' });
+
+  const over = await server.request(admin, 'POST', '/attendance/range', range('B1', 'Planned Leave', '2030-04-01', '2030-04-04'));
+  assert.equal(over.status, 409);
+  assert.equal(over.body.code, 'INSUFFICIENT_BALANCE');
+  assert.deepEqual(await records('B1'), []);
+
+  const within = await server.request(admin, 'POST', '/attendance/range', range('B1', 'Planned Leave', '2030-04-01', '2030-04-03'));
+  assert.equal(within.status, 200);
+  assert.equal(within.body.warning, undefined);
+});
+
+test('leave over the balance is flagged under a flag policy', async () => {
+  await server.request(admin, 'PUT', '/leave/policies/Sick%20Leave', { annual_days: 1, on_exceed: 'flag' });
+
+  const over = await server.request(admin, 'POST', '/attendance/range', range('B2', 'Sick Leave', '2030-04-01', '2030-04-02'));
+  assert.equal(over.status, 200);
+  assert.match(over.body.warning, /exceeds the remaining balance/);
+  const flagged = await records('B2');
+  assert.equal(flagged.length, 2);
+  assert.ok(flagged.every(record => record.balance_exceeded));
+});
+
+test('approving re-checks the balance', async () => {
+  await server.request(admin, 'PUT', '/leave/policies/Planned%20Leave', { annual_days: 3, on_exceed: 'reject' });
+  const submitted = await server.request(admin, 'POST', '/attendance/range', range('B3', 'Planned Leave', '2030-05-06', '2030-05-07'));
+  assert.equal(submitted.status, 200);
+
+  const adjusted = await server.request(admin, 'POST', '/leave/adjustments', {
+    emp_id: 'B3', attendance_type: 'Planned Leave', year: 2030, days: -2
+  });
+  assert.equal(adjusted.status, 200);
+
+  const approved = await server.request(admin, 'POST', `/leave/requests/${submitted.body.leave_request_id}/approve`, {});
+  assert.equal(approved.status, 409);
+  assert.equal(approved.body.code, 'INSUFFICIENT_BALANCE');
+  const stillPending = await records('B3');
+  assert.equal(stillPending.length, 2);
+  assert.ok(stillPending.every(record => record.status === 'pending'));
+});
+
+test('restoring from the trash checks employment and the leave balance again', async () => {
+  const added = await server.request(admin, 'POST', '/attendance/range', range('T1', 'WFO', '2030-06-03', '2030-06-04'));
+  const [first] = added.body.results;
+  assert.equal((await server.request(admin, 'DELETE', `/attendance/${first.id}`)).status, 200);
+  await server.request(admin, 'PATCH', '/employees/T1', { exit_date: '2030-06-02' });
+
+  const afterExit = await server.request(admin, 'POST', `/attendance/${first.id}/restore`);
+  assert.equal(afterExit.status, 409);
+  assert.equal(afterExit.body.code, 'OUTSIDE_EMPLOYMENT');
+
+  await server.request(admin, 'PUT', '/leave/policies/Annual%20Leave', { annual_days: 2, on_exceed: 'reject' });
+  const leave = await server.request(admin, 'POST', '/attendance/range', range('T2', 'Annual Leave', '2030-06-03', '2030-06-04'));
+  const [day] = leave.body.results;
+  assert.equal((await server.request(admin, 'DELETE', `/attendance/${day.id}`)).status, 200);
+  await server.request(admin, 'POST', '/leave/adjustments', { emp_id: 'T2', attendance_type: 'Annual Leave', year: 2030, days: -1 });
+
+  const overdrawn = await server.request(admin, 'POST', `/attendance/${day.id}/restore`);
+  assert.equal(overdrawn.status, 409);
+  assert.equal(overdrawn.body.code, 'INSUFFICIENT_BALANCE');
+
+  await server.request(admin, 'PUT', '/leave/policies/Annual%20Leave', { annual_days: 2, on_exceed: 'flag' });
+  const flagged = await server.request(admin, 'POST', `/attendance/${day.id}/restore`);
+  assert.equal(flagged.status, 200);
+  assert.match(flagged.body.warning, /exceeds the remaining balance/);
+  assert.ok((await records('T2')).find(record => record.id === day.id).balance_exceeded);
+});
+
+test('the monthly register uses the catalogue register codes', async () => {
+  const created = await server.request(admin, 'POST', '/attendance-types', {
+    code: 'Client Visit', label: 'Client Visit', category: 'presence', color: '#123456'
+  });
+  assert.equal(created.status, 200);
+  await server.request(admin, 'POST', '/attendance', { emp_id: 'G1', emp_name: 'Employee G1', attendance_type: 'Client Visit', date: '2030-07-01' });
+  await server.request(admin, 'POST', '/attendance', { emp_id: 'G1', emp_name: 'Employee G1', attendance_type: 'WFO', date: '2030-07-02' });
+
+  const codesOn = async () => {
+    const { body } = await server.request(admin, 'GET', '/reports/monthly?month=2030-07&emp_id=G1');
+    return body.rows[0].days.slice(0, 2).map(day => day.code);
+  };
+  assert.deepEqual(await codesOn(), ['CV', 'O']);
+
+  await server.request(admin, 'PUT', '/attendance-types/Client%20Visit', { register_code: 'V' });
+  assert.deepEqual(await codesOn(), ['V', 'O']);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startTestServer();
+  admin = await server.adminLogin();
+
+  const { request } = server;
+  await request(admin, 'POST', '/employees', { emp_id: 'M1', name: 'Maria Manager' });
+  await request(admin, 'POST', '/employees', { emp_id: 'R1', name: 'Ravi Report', manager_id: 'M1' });
+  await request(admin, 'POST', '/employees', { emp_id: 'O1', name: 'Olga Other' });
+  await request(admin, 'POST', '/users', { username: 'maria', password: 'maria-pass', role: 'manager', emp_id: 'M1' });
+  await request(admin, 'POST', '/users', { username: 'ravi', password: 'ravi-pass', role: 'employee', emp_id: 'R1' });
+});
+
+after(() => server?.stop());
+
+test('login returns a token for the right password only', async () => {
+  const ok = await server.request(null, 'POST', '/auth/login', ADMIN);
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.token);
+  assert.equal(ok.body.user.role, 'admin');
+
+  const wrong = await server.request(null, 'POST', '/auth/login', { username: ADMIN.username, password: 'nope' });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+});
+
+test('requests without a valid token are refused', async () => {
+  assert.equal((await server.request(null, 'GET', '/employees')).status, 401);
+  assert.equal((await server.request('not-a-token', 'GET', '/employees')).status, 401);
+
+  const me = await server.request(admin, 'GET', '/auth/me');
+  assert.equal(me.status, 200);
+  assert.equal(me.body.username, ADMIN.username);
+});
+
+test('only admins manage user accounts', async () => {
+  const ravi = await server.login('ravi', 'ravi-pass');
+  const { status } = await server.request(ravi, 'POST', '/users', { username: 'x', password: 'x', role: 'admin' });
+  assert.equal(status, 403);
+});
+
+test('employees only record attendance for themselves', async () => {
+  const ravi = await server.login('ravi', 'ravi-pass');
+  const record = { attendance_type: 'WFH', date: '2030-01-07' };
+
+  const own = await server.request(ravi, 'POST', '/attendance', { ...record, emp_id: 'R1', emp_name: 'Ravi Report' });
+  assert.equal(own.status, 200);
+
+  const other = await server.request(ravi, 'POST', '/attendance', { ...record, emp_id: 'O1', emp_name: 'Olga Other' });
+  assert.equal(other.status, 403);
+});
+
+test('managers are limited to their reports', async () => {
+  const maria = await server.login('maria', 'maria-pass');
+  const record = { attendance_type: 'WFO', date: '2030-01-08' };
+
+  const report = await server.request(maria, 'POST', '/attendance', { ...record, emp_id: 'R1', emp_name: 'Ravi Report' });
+  assert.equal(report.status, 200);
+
+  const outside = await server.request(maria, 'POST', '/attendance', { ...record, emp_id: 'O1', emp_name: 'Olga Other' });
+  assert.equal(outside.status, 403);
+
+  const employees = await server.request(maria, 'GET', '/employees');
+  assert.deepEqual(employees.body.map(employee => employee.emp_id).sort(), ['M1', 'R1']);
+});
+
+test('managers only see audit entries of their reports', async () => {
+  const maria = await server.login('maria', 'maria-pass');
+  const empIdOf = entry => (entry.after || entry.before).emp_id;
+
+  const all = await server.request(admin, 'GET', '/audit?table=employees&limit=100');
+  assert.ok(all.body.entries.some(entry => empIdOf(entry) === 'O1'));
+
+  const scoped = await server.request(maria, 'GET', '/audit?limit=100');
+  assert.equal(scoped.status, 200);
+  assert.ok(scoped.body.entries.length > 0);
+  assert.ok(scoped.body.entries.every(entry => ['M1', 'R1'].includes(empIdOf(entry))));
+
+  const other = await server.request(maria, 'GET', '/audit?table=employees&record_id=O1');
+  assert.deepEqual(other.body.entries, []);
+});
+
+test('working days are only shown for employees one may access', async () => {
+  const ravi = await server.login('ravi', 'ravi-pass');
+  const range = 'start_date=2030-01-07&end_date=2030-01-13';
+
+  const own = await server.request(ravi, 'GET', `/working-days?emp_id=R1&${range}`);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.working_days.length, 5);
+
+  const other = await server.request(ravi, 'GET', `/working-days?emp_id=O1&${range}`);
+  assert.equal(other.status, 403);
+});
@@ -0,0 +1,120 @@
+// Shared setup for the API tests: a server on its own temporary SQLite file and a free port
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../db');
+const { migrateUp } = require('../migrate');
+
+const ADMIN = { username: 'admin', password: 'admin-test-password' };
+
+function tempDatabaseFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+  return { dir, file: path.join(dir, 'attendance.db') };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(baseUrl, child, output) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start:\n${output.join('')}`);
+}
+
+// Migrate a fresh database and start server.js on it. The returned api sends JSON requests
+// with an optional bearer token and resolves to { status, body }.
+async function startTestServer() {
+  const { dir, file } = tempDatabaseFile();
+  const database = createDatabase({ DATABASE_DRIVER: 'sqlite', SQLITE_FILE: file });
+  try {
+    await migrateUp(database);
+  } finally {
+    await database.end();
+  }
+
+  const port = await freePort();
+  const output = [];
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      DATABASE_DRIVER: 'sqlite',
+      SQLITE_FILE: file,
+      PORT: String(port),
+      AUTH_SECRET: 'test-secret',
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    await waitForHealth(baseUrl, child, output);
+  } catch (err) {
+    child.kill('SIGKILL');
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const request = async (token, method, url, body) => {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON, e.g. a CSV or iCalendar body
+    }
+    return { status: response.status, body: parsed };
+  };
+
+  const login = async (username, password) => {
+    const { status, body } = await request(null, 'POST', '/auth/login', { username, password });
+    if (status !== 200) throw new Error(`Login as ${username} failed with ${status}`);
+    return body.token;
+  };
+
+  return { baseUrl, request, login, adminLogin: () => login(ADMIN.username, ADMIN.password), stop };
+}
+
+module.exports = { startTestServer, tempDatabaseFile, ADMIN };
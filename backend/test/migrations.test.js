@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createDatabase } = require('../db');
+const { loadMigrations, migrationStatus, migrateUp, migrateDown } = require('../migrate');
+const { tempDatabaseFile } = require('./helpers');
+
+const { dir, file } = tempDatabaseFile();
+const database = createDatabase({ DATABASE_DRIVER: 'sqlite', SQLITE_FILE: file });
+
+after(async () => {
+  await database.end();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('every migration applies, rolls back and applies again', async () => {
+  const migrations = loadMigrations(database.dialect);
+  assert.ok(migrations.length > 0);
+
+  const applied = await migrateUp(database);
+  assert.deepEqual(applied.map(migration => migration.version), migrations.map(migration => migration.version));
+  assert.equal((await migrationStatus(database)).pending.length, 0);
+
+  const reverted = await migrateDown(database, { steps: migrations.length });
+  assert.equal(reverted.length, migrations.length);
+  const empty = await migrationStatus(database);
+  assert.equal(empty.applied.length, 0);
+  assert.equal(empty.pending.length, migrations.length);
+
+  const tables = await database.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`);
+  assert.deepEqual(tables.rows.map(row => row.name), ['schema_migrations']);
+
+  await migrateUp(database);
+  assert.equal((await migrationStatus(database)).pending.length, 0);
+});
+
+test('migrating up to a version stops there', async () => {
+  const migrations = loadMigrations(database.dialect);
+  await migrateDown(database, { steps: migrations.length });
+
+  const target = migrations[2].version;
+  const applied = await migrateUp(database, { to: target });
+  assert.deepEqual(applied.map(migration => migration.version), migrations.slice(0, 3).map(migration => migration.version));
+
+  await migrateUp(database);
+  assert.equal((await migrationStatus(database)).pending.length, 0);
+});
@@ -0,0 +1,233 @@
+// Request validation and the API error envelope.
+// Routes declare the fields of their params, query and body with validate(); every
+// invalid field is reported at once. All error responses share one shape:
+//   { error: 'Readable message', code: 'MACHINE_READABLE_CODE', details: [{ location, field, message }] }
+// where details is only present for validation failures.
+
+// Default code for each status (handlers may send a more specific one)
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR'
+};
+
+function sendError(res, status, message, { code = ERROR_CODES[status] || 'ERROR', details } = {}) {
+  return res.status(status).json({ error: message, code, ...(details && { details }) });
+}
+
+// Employee IDs are letters, digits, dots, dashes and underscores, starting with a letter or digit
+const EMP_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Parse a YYYY-MM-DD string as a UTC date, or null if it is not a real date
+function parseISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+// ===================
+// Field Rules
+// ===================
+
+// A rule checks one value and returns an error message, or null when it is valid.
+// Every rule takes { required, check }: check(value) runs after the type checks for
+// rules that depend on server state (e.g. the attendance type catalogue).
+function rule(test, { required = false, check } = {}) {
+  return {
+    required,
+    test: (value, location) => test(value, location) || (check ? check(value) : null)
+  };
+}
+
+// Params and query values are text, so numbers are read from it there
+function numeric(value, location, pattern) {
+  return location !== 'body' && typeof value === 'string' && pattern.test(value) ? Number(value) : value;
+}
+
+const field = {
+  string: ({ max = 200, pattern, format, ...options } = {}) => rule(value => {
+    if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+    if (value.length > max) return `must be at most ${max} characters`;
+    if (pattern && !pattern.test(value)) return `must be ${format}`;
+    return null;
+  }, options),
+
+  empId: options => field.string({
+    max: 50,
+    pattern: EMP_ID_PATTERN,
+    format: 'up to 50 letters, digits, dots, dashes or underscores',
+    ...options
+  }),
+
+  uuid: options => field.string({ pattern: UUID_PATTERN, format: 'a UUID', ...options }),
+
+  email: options => field.string({ max: 254, pattern: EMAIL_PATTERN, format: 'an email address', ...options }),
+
+  // Absolute http or https URL
+  url: ({ max = 2000, ...options } = {}) => rule(value => {
+    if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+    if (value.length > max) return `must be at most ${max} characters`;
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http or https URL';
+    } catch {
+      return 'must be an http or https URL';
+    }
+  }, options),
+
+  oneOf: (values, options) => rule(value => {
+    const allowed = typeof values === 'function' ? values() : values;
+    return allowed.includes(value) ? null : `must be one of: ${allowed.join(', ')}`;
+  }, options),
+
+  integer: ({ min, max, ...options } = {}) => rule((value, location) => {
+    const number = numeric(value, location, INTEGER_PATTERN);
+    if (!Number.isInteger(number)) return 'must be a whole number';
+    if (min !== undefined && number < min) return `must be at least ${min}`;
+    if (max !== undefined && number > max) return `must be at most ${max}`;
+    return null;
+  }, options),
+
+  // Database row IDs
+  id: options => field.integer({ min: 1, ...options }),
+
+  number: ({ min, nonZero = false, ...options } = {}) => rule((value, location) => {
+    const number = numeric(value, location, NUMBER_PATTERN);
+    if (typeof number !== 'number' || !Number.isFinite(number)) return 'must be a number';
+    if (min !== undefined && number < min) return `must be at least ${min}`;
+    if (nonZero && number === 0) return 'must not be zero';
+    return null;
+  }, options),
+
+  boolean: options => rule((value, location) => {
+    const allowed = location === 'body' ? [true, false] : ['true', 'false'];
+    return allowed.includes(value) ? null : 'must be true or false';
+  }, options),
+
+  date: options => rule(value => parseISODate(value) ? null : 'must be a valid YYYY-MM-DD date', options),
+
+  month: options => rule(value => (
+    typeof value === 'string' && /^\d{4}-\d{2}$/.test(value) && parseISODate(`${value}-01`) ? null : 'must be a valid YYYY-MM month'
+  ), options),
+
+  time: options => rule(value => (
+    typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'must be an HH:MM time'
+  ), options),
+
+  // Date and time with an optional offset, e.g. 2024-05-01T09:00:00Z
+  timestamp: options => rule(value => (
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) &&
+      !isNaN(Date.parse(value.replace(' ', 'T')))
+      ? null
+      : 'must be an ISO 8601 date or date and time'
+  ), options),
+
+  // JSON array in a body, every item checked by the item rule
+  array: (item, { min = 0, max, unique = false, ...options } = {}) => rule((value, location) => {
+    if (!Array.isArray(value)) return 'must be a list';
+    if (value.length < min) return `must have at least ${min} item(s)`;
+    if (max !== undefined && value.length > max) return `must have at most ${max} items`;
+    if (unique && new Set(value).size !== value.length) return 'must not repeat items';
+    const index = value.findIndex(entry => item.test(entry, location));
+    return index === -1 ? null : `item ${index + 1} ${item.test(value[index], location)}`;
+  }, options),
+
+  // Query value given repeated (?type=a&type=b) or comma separated (?type=a,b)
+  list: (item, options) => rule((value, location) => {
+    const items = (Array.isArray(value) ? value : [value]).flatMap(entry => String(entry).split(','))
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    const invalid = items.find(entry => item.test(entry, location));
+    return invalid === undefined ? null : `'${invalid}' ${item.test(invalid, location)}`;
+  }, options)
+};
+
+// ===================
+// Cross-field Checks
+// ===================
+
+// A check looks at the whole request and returns a detail ({ location, field, message })
+// or null. Checks only run once every field is valid on its own.
+
+// The end of a date range must not be before its start, and the range may be capped
+function dateRange(location, startField, endField, { maxDays } = {}) {
+  return req => {
+    const start = parseISODate(req[location][startField]);
+    const end = parseISODate(req[location][endField]);
+    if (!start || !end) return null;
+
+    if (end < start) {
+      return { location, field: endField, message: `must not be before ${startField}` };
+    }
+    if (maxDays && (end - start) / 86400000 + 1 > maxDays) {
+      return { location, field: endField, message: `must be within ${maxDays} days of ${startField}` };
+    }
+    return null;
+  };
+}
+
+// ===================
+// Middleware
+// ===================
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Missing means absent or null, or empty in the params and query (blank form fields)
+function isMissing(value, location) {
+  return value === undefined || value === null || (value === '' && location !== 'body');
+}
+
+function describeDetails(details) {
+  return details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+}
+
+// Validate a request against { params, query, body, checks } before the handler runs.
+// A body field the schema does not list is rejected, as it is most likely misspelt;
+// unknown query fields are ignored.
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const location of LOCATIONS) {
+      if (!schema[location]) continue;
+      const values = req[location] !== null && typeof req[location] === 'object' && !Array.isArray(req[location])
+        ? req[location]
+        : {};
+
+      for (const [name, fieldRule] of Object.entries(schema[location])) {
+        const value = values[name];
+        const message = isMissing(value, location)
+          ? (fieldRule.required ? 'is required' : null)
+          : fieldRule.test(value, location);
+        if (message) details.push({ location, field: name, message });
+      }
+
+      if (location === 'body') {
+        for (const name of Object.keys(values)) {
+          if (!Object.hasOwn(schema.body, name)) details.push({ location, field: name, message: 'is not a recognised field' });
+        }
+      }
+    }
+
+    if (details.length === 0) {
+      for (const check of schema.checks || []) {
+        const detail = check(req);
+        if (detail) details.push(detail);
+      }
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, describeDetails(details), { code: 'VALIDATION_FAILED', details });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, field, dateRange, sendError, parseISODate, EMP_ID_PATTERN, ERROR_CODES };
@@ -0,0 +1,189 @@
+// Outbound webhooks.
+// Route handlers queue events with queueWebhookEvent() on their transaction client, so an
+// event is only sent when the change it describes commits. The dispatcher polls
+// webhook_deliveries (the persistent retry queue and delivery log), POSTs each payload to
+// its subscription and retries failures with exponential backoff.
+//
+// Every request is signed with the subscription's secret. Receivers recompute
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${raw body}`>
+// and should reject old timestamps to stop replays.
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+  'attendance.created',
+  'attendance.updated',
+  'attendance.deleted',
+  'attendance.restored',
+  'employee.upserted',
+  'employee.updated',
+  'employee.deleted'
+];
+// Sent only by the test endpoint, to check a receiver
+const TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_SECONDS || '5') * 1000;
+const DELIVERY_LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS || '30');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const BATCH_SIZE = 20;
+// Retries wait 30s, 1m, 2m, 4m ... up to 6 hours
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+// A claimed delivery is retried after this long if the process dies mid-request
+const LEASE_MS = DELIVERY_TIMEOUT_MS + 60000;
+const USER_AGENT = 'attendance-tracker-webhooks/1.0';
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+// Queue an event for every active subscription to it (or only the given subscription)
+// and return the payload. Call it inside the transaction that makes the change.
+async function queueWebhookEvent(client, event, data, { subscriptionId } = {}) {
+  const payload = { id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data };
+  const params = [event, payload.id, payload];
+  let target = `active AND $1::text = ANY(events)`;
+
+  if (subscriptionId) {
+    params.push(subscriptionId);
+    target = `id = $${params.length}`;
+  }
+
+  await client.query(`
+    INSERT INTO webhook_deliveries (subscription_id, event, event_id, payload)
+    SELECT id, $1::text, $2::uuid, $3::jsonb FROM webhook_subscriptions
+    WHERE ${target}
+  `, params);
+  return payload;
+}
+
+// POST one delivery and record the outcome: delivered on any 2xx, otherwise retried
+// later until MAX_ATTEMPTS is reached and it is marked failed
+async function attemptDelivery(db, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhook(delivery.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Receiver responded ${response.status} ${response.statusText}`.trim();
+    }
+    await response.body?.cancel();
+  } catch (err) {
+    error = err.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`
+      : err.cause?.message || err.message;
+  }
+
+  const now = new Date();
+  const status = !error ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  const nextAttemptAt = status === 'pending' ? new Date(now.getTime() + retryDelaySeconds(attempts) * 1000) : now;
+
+  await db.query(`
+    UPDATE webhook_deliveries
+    SET status = $2, attempts = $3, last_attempt_at = $4, next_attempt_at = $5,
+      response_status = $6, last_error = $7, delivered_at = $8
+    WHERE id = $1
+  `, [delivery.id, status, attempts, now, nextAttemptAt, responseStatus, error, status === 'delivered' ? now : null]);
+
+  return status;
+}
+
+// Send the deliveries that are due, oldest first. Each one is claimed by pushing its
+// next attempt past the lease, so other server processes polling the queue skip it.
+async function dispatchDueWebhooks(db) {
+  const due = await db.query(`
+    SELECT d.id, d.event, d.event_id, d.payload, d.attempts, s.url, s.secret
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.active
+    ORDER BY d.next_attempt_at
+    LIMIT $1
+  `, [BATCH_SIZE]);
+
+  let sent = 0;
+  for (const delivery of due.rows) {
+    const claim = await db.query(`
+      UPDATE webhook_deliveries SET next_attempt_at = $2
+      WHERE id = $1 AND status = 'pending' AND next_attempt_at <= NOW()
+    `, [delivery.id, new Date(Date.now() + LEASE_MS)]);
+    if (claim.rowCount === 0) continue;
+
+    if (await attemptDelivery(db, delivery) === 'delivered') sent++;
+  }
+  return { attempted: due.rows.length, delivered: sent };
+}
+
+// Remove finished deliveries older than the retention period from the log
+async function purgeDeliveryLog(db) {
+  const cutoff = new Date(Date.now() - DELIVERY_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await db.query(
+    `DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < $1`,
+    [cutoff]
+  );
+  return result.rowCount;
+}
+
+// Poll the queue in the background; a poll is skipped while the previous one is running
+function startWebhookDispatcher(db) {
+  let running = false;
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDueWebhooks(db);
+    } catch (err) {
+      console.error('Error delivering webhooks:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(poll, POLL_INTERVAL_MS);
+  timer.unref();
+  poll();
+  return { poll, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  DELIVERY_STATUSES,
+  DELIVERY_LOG_RETENTION_DAYS,
+  generateWebhookSecret,
+  signWebhook,
+  queueWebhookEvent,
+  dispatchDueWebhooks,
+  purgeDeliveryLog,
+  startWebhookDispatcher
+};